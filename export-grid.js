@@ -0,0 +1,61 @@
+/**
+ * export-grid - Writes a published layer to a file, e.g. for QGIS or xarray
+ *
+ * Usage: node export-grid.js <product> [--format geotiff|netcdf|json|csv|geojson] [--date <ISO time>]
+ *            [--level surface|<n>hPa] [--bbox west,south,east,north] [--stride <n>] [--out <file>]
+ *
+ * The options are those of /api/grid (lib/grid-extract.js), read from the published data in public/. GeoTIFF (the
+ * default) and NetCDF files are named after the layer unless --out is given, e.g. wind-surface-20240131T0600Z.tif;
+ * the text formats go to standard output.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var gridExtract = require("./lib/grid-extract");
+
+var PUBLIC_DIR = path.join(__dirname, "public");
+var OPTIONS = ["format", "date", "level", "bbox", "stride", "out"];
+
+function usage() {
+    console.error("Usage: node export-grid.js <product> [--format geotiff|netcdf|json|csv|geojson] " +
+        "[--date <ISO time>] [--level surface|<n>hPa] [--bbox west,south,east,north] [--stride <n>] [--out <file>]");
+    process.exit(1);
+}
+
+/**
+ * @returns {Object} the query for lib/grid-extract.js from the command line arguments
+ */
+function parseArguments(args) {
+    var query = { format: "geotiff" };
+    for (var i = 0; i < args.length; i++) {
+        var m = /^--(\w+)$/.exec(args[i]);
+        if (m) {
+            if (OPTIONS.indexOf(m[1]) < 0 || i + 1 >= args.length) usage();
+            query[m[1]] = args[++i];
+        } else if (!query.product) {
+            query.product = args[i];
+        } else {
+            usage();
+        }
+    }
+    if (!query.product) usage();
+    return query;
+}
+
+if (require.main === module) {
+    var query = parseArguments(process.argv.slice(2));
+    gridExtract.extractGrid(PUBLIC_DIR, query).then(function (result) {
+        var out = query.out || result.fileName;
+        if (!out) {
+            process.stdout.write(result.body);
+            return;
+        }
+        fs.writeFileSync(out, result.body);
+        console.log("Wrote " + out + " (" + result.body.length + " bytes)");
+    }).catch(function (error) {
+        console.error("Export failed:", error.message);
+        process.exitCode = 1;
+    });
+}
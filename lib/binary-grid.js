@@ -0,0 +1,152 @@
+/**
+ * Compact binary grids
+ *
+ * The JSON layers are arrays of floats written out in decimal, which are large and slow to parse on mobile devices.
+ * The weather service also writes each layer in this format, next to the JSON file with the extension .bin
+ * (current-wind-surface-level-gfs-1.0.bin), and products.js prefers it when the manifest lists it.
+ *
+ * Layout, all numbers little-endian:
+ *
+ *   offset  size  contents
+ *   0       4     magic "EGRD"
+ *   4       2     format version (1)
+ *   6       2     number of records (2 for vector layers: u, v)
+ *   8       4     length L of the metadata
+ *   12      L     metadata, UTF-8 JSON: {"records": [{"header": {...}, "type": "int16" or "float32", "scale": s,
+ *                 "offset": o, "count": n}, ...]}, the header being the record's header from the JSON layer
+ *   ...           zero padding to a multiple of 4, then the values of each record in turn, each padded to a multiple
+ *                 of 4 bytes:
+ *                   int16:   value = o + q * s, where q = -32768 marks a missing value
+ *                   float32: the value, NaN marking a missing value
+ *
+ * Records are quantized to int16 when the rounding error (half a step of the range divided into 65534 steps) is
+ * within the tolerance given for the layer, which halves the size again compared with float32.
+ */
+
+"use strict";
+
+var MAGIC = "EGRD";
+var VERSION = 1;
+var NULL_INT16 = -32768;
+var INT16_STEPS = 65534;  // q in [-32767, 32767]
+
+function isValue(x) {
+    return x !== null && x !== undefined && !isNaN(x);
+}
+
+function padded(n) {
+    return Math.ceil(n / 4) * 4;
+}
+
+/**
+ * @returns {string} the path of the binary file for a JSON layer path
+ */
+function binaryPathOf(jsonPath) {
+    return jsonPath.replace(/\.json$/, ".bin");
+}
+
+/**
+ * Choose how to store a record's values.
+ *
+ * @returns {Object} {type, scale, offset}
+ */
+function quantization(data, tolerance) {
+    var min = Infinity, max = -Infinity;
+    for (var i = 0; i < data.length; i++) {
+        var x = data[i];
+        if (isValue(x)) {
+            if (x < min) min = x;
+            if (x > max) max = x;
+        }
+    }
+    if (min === Infinity) {
+        return { type: "int16", scale: 1, offset: 0 };  // nothing but missing values
+    }
+    var scale = max > min ? (max - min) / INT16_STEPS : 1;
+    if (tolerance >= 0 && scale / 2 <= tolerance) {
+        return { type: "int16", scale: scale, offset: (max + min) / 2 };
+    }
+    return { type: "float32", scale: 1, offset: 0 };
+}
+
+/**
+ * Encode JSON-ified GRIB records.
+ *
+ * @param {Array<Object>} records - [{header, data}]
+ * @param {number} tolerance - the largest acceptable error per value when quantizing to int16; negative (or
+ *        undefined) to always store float32
+ * @returns {Buffer}
+ */
+function encode(records, tolerance) {
+    var meta = records.map(function (record) {
+        var q = quantization(record.data, tolerance === undefined ? -1 : tolerance);
+        return { header: record.header, type: q.type, scale: q.scale, offset: q.offset, count: record.data.length };
+    });
+    var metaBytes = Buffer.from(JSON.stringify({ records: meta }), "utf8");
+    var dataStart = padded(12 + metaBytes.length);
+    var size = dataStart;
+    meta.forEach(function (m) {
+        size += padded(m.count * (m.type === "int16" ? 2 : 4));
+    });
+
+    var buffer = Buffer.alloc(size);
+    buffer.write(MAGIC, 0, "ascii");
+    buffer.writeUInt16LE(VERSION, 4);
+    buffer.writeUInt16LE(records.length, 6);
+    buffer.writeUInt32LE(metaBytes.length, 8);
+    metaBytes.copy(buffer, 12);
+
+    var p = dataStart;
+    records.forEach(function (record, r) {
+        var m = meta[r], data = record.data;
+        for (var i = 0; i < m.count; i++) {
+            var x = data[i];
+            if (m.type === "int16") {
+                buffer.writeInt16LE(isValue(x) ? Math.round((x - m.offset) / m.scale) : NULL_INT16, p + i * 2);
+            } else {
+                buffer.writeFloatLE(isValue(x) ? x : NaN, p + i * 4);
+            }
+        }
+        p += padded(m.count * (m.type === "int16" ? 2 : 4));
+    });
+    return buffer;
+}
+
+/**
+ * Decode a binary grid back into JSON-ified GRIB records (missing values as null). The browser's decoder is
+ * decodeBinaryGrid in products.js.
+ *
+ * @param {Buffer} buffer
+ * @returns {Array<Object>} [{header, data}]
+ */
+function decode(buffer) {
+    if (buffer.length < 12 || buffer.toString("ascii", 0, 4) !== MAGIC) {
+        throw new Error("not a binary grid");
+    }
+    if (buffer.readUInt16LE(4) !== VERSION) {
+        throw new Error("unsupported binary grid version " + buffer.readUInt16LE(4));
+    }
+    var metaLength = buffer.readUInt32LE(8);
+    var meta = JSON.parse(buffer.toString("utf8", 12, 12 + metaLength)).records;
+    var p = padded(12 + metaLength);
+    return meta.map(function (m) {
+        var data = new Array(m.count);
+        for (var i = 0; i < m.count; i++) {
+            if (m.type === "int16") {
+                var q = buffer.readInt16LE(p + i * 2);
+                data[i] = q === NULL_INT16 ? null : m.offset + q * m.scale;
+            } else {
+                var x = buffer.readFloatLE(p + i * 4);
+                data[i] = isNaN(x) ? null : x;
+            }
+        }
+        p += padded(m.count * (m.type === "int16" ? 2 : 4));
+        return { header: m.header, data: data };
+    });
+}
+
+module.exports = {
+    binaryPathOf: binaryPathOf,
+    decode: decode,
+    encode: encode
+};
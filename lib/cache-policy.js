@@ -0,0 +1,92 @@
+/**
+ * Cache-Control per file, for server.js
+ *
+ *   libs/<name>/<version>/...          immutable: a new version gets a new path
+ *   libs/earth/...                     revalidate: the app's own code changes with each deploy under the same path
+ *   *.html                             revalidate (ETag/Last-Modified make that a cheap 304)
+ *   data/weather/current/current-*     until the next GFS run is expected to be published, then revalidate
+ *   data/weather/manifest.json         the same, since it changes with each run
+ *   data/weather/yyyy/mm/dd/hhhh-*     long-lived once the model run for that hour (its analysis) has been fetched;
+ *                                      until then it is a forecast that the next run replaces, so like current-*
+ *   data/oscar/<date>-*.json           long-lived: a published OSCAR layer does not change
+ *   anything else                      the default (short) policy
+ *
+ * Shared caches (a CDN in front of the server) follow the same max-age, so everyone picks up a new run at about the
+ * time it becomes available rather than up to a fixed interval later.
+ */
+
+"use strict";
+
+var DEFAULT = "public, max-age=300";
+var IMMUTABLE = "public, max-age=31536000, immutable";
+var REVALIDATE = "no-cache";
+var LONG_LIVED = "public, max-age=2592000";
+
+/**
+ * @param {Object} context - {now: Date, nextPublishAt: Date? (when the next run is expected), latestRefTime: Date?
+ *        (model run of the current data)}
+ * @returns {string} a Cache-Control value that expires when the next run is expected
+ */
+function untilNextRun(context) {
+    if (!context.nextPublishAt) {
+        return DEFAULT;
+    }
+    // Once the next run is overdue, revalidate every time: it may be published at any moment, and pages told about
+    // it by /api/events must not be handed the previous run from their cache.
+    var seconds = Math.floor((context.nextPublishAt.getTime() - context.now.getTime()) / 1000);
+    return seconds > 0 ? "public, max-age=" + seconds : REVALIDATE;
+}
+
+/**
+ * @returns {Date?} the validity time in a dated layer path ("data/weather/2024/01/31/0600-..."), or null
+ */
+function datedValidTime(relativePath) {
+    var m = /^data\/weather\/(\d{4})\/(\d{2})\/(\d{2})\/(\d{2})00-[^\/]+$/.exec(relativePath);
+    return m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4])) : null;
+}
+
+/**
+ * @param {Date?} validTime - the time of the weather data some content shows, or null for the current data
+ * @param {Object} context - {now: Date, nextPublishAt: Date?, latestRefTime: Date?}
+ * @returns {string} the Cache-Control header value for content derived from that data (e.g. map tiles)
+ */
+function cacheControlForTime(validTime, context) {
+    if (!validTime) {
+        return untilNextRun(context);
+    }
+    // Without a run in use (the service is off or has just started), treat a day-old hour as settled.
+    var settled = context.latestRefTime ?
+        validTime.getTime() <= context.latestRefTime.getTime() :
+        validTime.getTime() < context.now.getTime() - 24 * 60 * 60 * 1000;
+    return settled ? LONG_LIVED : untilNextRun(context);
+}
+
+/**
+ * @param {string} relativePath - path of the file within public/, with "/" separators
+ * @param {Object} context - {now: Date, nextPublishAt: Date?, latestRefTime: Date?}
+ * @returns {string} the Cache-Control header value for the file
+ */
+function cacheControlFor(relativePath, context) {
+    if (/\.html$/.test(relativePath) || /^libs\/earth\//.test(relativePath)) {
+        return REVALIDATE;
+    }
+    if (/^libs\/[^\/]+\/\d+(\.\d+)*\//.test(relativePath)) {
+        return IMMUTABLE;
+    }
+    if (/^data\/weather\/current\/current-/.test(relativePath) || relativePath === "data/weather/manifest.json") {
+        return untilNextRun(context);
+    }
+    var validTime = datedValidTime(relativePath);
+    if (validTime) {
+        return cacheControlForTime(validTime, context);
+    }
+    if (/^data\/oscar\/\d{8}-[^\/]+\.json$/.test(relativePath)) {
+        return LONG_LIVED;
+    }
+    return DEFAULT;
+}
+
+module.exports = {
+    cacheControlFor: cacheControlFor,
+    cacheControlForTime: cacheControlForTime
+};
@@ -0,0 +1,173 @@
+/**
+ * Data manifests
+ *
+ * Each data service publishes a manifest.json next to its files (public/data/weather/manifest.json,
+ * public/data/oscar/manifest.json) listing every layer it has published:
+ *
+ *   {
+ *     "generated": "2025-12-16T16:05:00.000Z",
+ *     "layers": [
+ *       {
+ *         "product": "wind", "surface": "isobaric", "level": "500hPa",   // surface/level null if not height-dependent
+ *         "date": "2025/12/16", "hour": "1500",                          // date "current", hour null for current
+ *         "forecastHour": 3,
+ *         "refTime": "2025-12-16T12:00:00.000Z", "validTime": "2025-12-16T15:00:00.000Z",
+ *         "source": "...", "grid": { "nx": 360, "ny": 181 },
+ *         "bytes": 1234567, "sha256": "...",
+ *         "path": "data/weather/2025/12/16/1500-wind-isobaric-500hPa-gfs-1.0.json",  // relative to public/
+ *         "binary": {"path": "data/weather/2025/12/16/1500-wind-isobaric-500hPa-gfs-1.0.bin", "bytes": 260684}
+ *       }
+ *     ]
+ *   }
+ *
+ * so the client can tell what exists (and where) without probing for 404s. Services update the manifest
+ * incrementally as they write files; entries whose file has disappeared (pruned, or replaced by a generation swap)
+ * are dropped on every update.
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+
+/**
+ * @param {string|Buffer} contents
+ * @returns {Object} {bytes, sha256} of the contents as written to disk
+ */
+function digest(contents) {
+    var buffer = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, "utf8");
+    return { bytes: buffer.length, sha256: crypto.createHash("sha256").update(buffer).digest("hex") };
+}
+
+function toIso(value) {
+    if (value === null || value === undefined) return null;
+    var date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a manifest entry for a file.
+ *
+ * @param {string} publicDir - the directory the web server serves (paths are relative to it)
+ * @param {string} filePath - the file's public location (e.g. under data/weather/current, not a generation dir)
+ * @param {Object} info - {product, surface, level, date, hour, forecastHour, refTime, validTime, source, header,
+ *        bytes, sha256, binary: {file, bytes}? (the layer's compact binary copy, see lib/binary-grid.js)}; the grid
+ *        size comes from header (nx, ny)
+ */
+function layerEntry(publicDir, filePath, info) {
+    var header = info.header || {};
+    return {
+        product: info.product,
+        surface: info.surface || null,
+        level: info.level || null,
+        date: info.date,
+        hour: info.hour || null,
+        forecastHour: typeof info.forecastHour === "number" ? info.forecastHour : null,
+        refTime: toIso(info.refTime || header.refTime),
+        validTime: toIso(info.validTime),
+        source: info.source || header.centerName || null,
+        grid: { nx: header.nx, ny: header.ny },
+        bytes: info.bytes,
+        sha256: info.sha256,
+        path: path.relative(publicDir, filePath).split(path.sep).join("/"),
+        binary: info.binary ? {
+            path: path.relative(publicDir, info.binary.file).split(path.sep).join("/"),
+            bytes: info.binary.bytes
+        } : null
+    };
+}
+
+/**
+ * @returns {Object} the manifest at manifestPath, or an empty one if it is missing or unreadable
+ */
+function readManifest(manifestPath) {
+    try {
+        var manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        if (manifest && Array.isArray(manifest.layers)) {
+            return manifest;
+        }
+    } catch (e) {
+        // start afresh
+    }
+    return { generated: null, layers: [] };
+}
+
+function compareLayers(a, b) {
+    var ka = [a.date === "current" ? "" : a.date, a.hour || "", a.product, a.surface || "", a.level || ""].join("|");
+    var kb = [b.date === "current" ? "" : b.date, b.hour || "", b.product, b.surface || "", b.level || ""].join("|");
+    return ka < kb ? -1 : ka > kb ? 1 : 0;
+}
+
+/**
+ * Add (or replace, by path) entries, drop entries whose file no longer exists, and write the manifest atomically.
+ *
+ * @param {string} manifestPath
+ * @param {string} publicDir - the directory entry paths are relative to
+ * @param {Array<Object>} entries - from layerEntry; may be empty to only drop missing files
+ * @returns {Object} the manifest written
+ */
+function updateManifest(manifestPath, publicDir, entries) {
+    var byPath = {};
+    readManifest(manifestPath).layers.concat(entries).forEach(function (entry) {
+        byPath[entry.path] = entry;
+    });
+    var layers = Object.keys(byPath).map(function (key) {
+        return byPath[key];
+    }).filter(function (entry) {
+        return fs.existsSync(path.join(publicDir, entry.path));
+    });
+    return writeManifest(manifestPath, layers);
+}
+
+/**
+ * Replace the manifest's layers with exactly the given entries and write it atomically.
+ *
+ * @returns {Object} the manifest written
+ */
+function writeManifest(manifestPath, entries) {
+    var manifest = { generated: new Date().toISOString(), layers: entries.slice().sort(compareLayers) };
+    var tmp = manifestPath + ".tmp-" + process.pid;
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(manifest));
+    fs.renameSync(tmp, manifestPath);
+    return manifest;
+}
+
+var MANIFESTS = ["data/weather/manifest.json", "data/oscar/manifest.json"];
+
+/**
+ * Watch both services' manifests, for caches of what is drawn from the published layers (map tiles, map images):
+ * a rewritten manifest means a new run, whether published by this process or by a separate service.
+ *
+ * @param {string} publicDir
+ * @returns {Object} {check() -> Promise for true if either manifest has been rewritten since the last check (false on
+ *          the first)}
+ */
+function watchManifests(publicDir) {
+    var signature = null;
+    return {
+        check: function () {
+            return Promise.all(MANIFESTS.map(function (manifest) {
+                return new Promise(function (resolve) {
+                    fs.stat(path.join(publicDir, manifest), function (err, stats) {
+                        resolve(err ? "-" : stats.size + ":" + stats.mtimeMs);
+                    });
+                });
+            })).then(function (stamps) {
+                var current = stamps.join(","), changed = signature !== null && current !== signature;
+                signature = current;
+                return changed;
+            });
+        }
+    };
+}
+
+module.exports = {
+    digest: digest,
+    layerEntry: layerEntry,
+    readManifest: readManifest,
+    updateManifest: updateManifest,
+    watchManifests: watchManifests,
+    writeManifest: writeManifest
+};
@@ -0,0 +1,115 @@
+/**
+ * Server-Sent Events (https://html.spec.whatwg.org/multipage/server-sent-events.html) for server.js's /api/events
+ *
+ * Events published to the stream are sent to every connected client as
+ *
+ *   id: 7
+ *   event: update
+ *   data: {"service":"weather","kind":"current","date":"20240131","run":"12z",...}
+ *
+ * The last few events are kept so a client that reconnects (EventSource does so by itself, sending Last-Event-ID)
+ * receives what it missed. A comment line is sent periodically to keep proxies from closing idle connections.
+ */
+
+"use strict";
+
+var HEARTBEAT_INTERVAL = 25 * 1000;
+var RETRY_INTERVAL = 10 * 1000;  // how long clients wait before reconnecting
+var HISTORY = 20;
+
+function format(event) {
+    return "id: " + event.id + "\nevent: " + event.name + "\ndata: " + JSON.stringify(event.data) + "\n\n";
+}
+
+/**
+ * Create an event stream.
+ *
+ * @param {Object} options - {heartbeatInterval: ms?, onClientsChanged: function(count)?}
+ * @returns {Object} {handle(req, res), publish(name, data), clients(): number, close()}
+ */
+function createEventStream(options) {
+    options = options || {};
+    var clients = [];
+    var history = [];
+    var nextId = 1;
+
+    function changed() {
+        if (options.onClientsChanged) {
+            options.onClientsChanged(clients.length);
+        }
+    }
+
+    var heartbeat = setInterval(function () {
+        clients.forEach(function (res) {
+            res.write(": heartbeat\n\n");
+        });
+    }, options.heartbeatInterval || HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    return {
+        /**
+         * Respond to a request with the stream; the response stays open until the client disconnects.
+         */
+        handle: function (req, res) {
+            res.writeHead(200, {
+                "Content-Type": "text/event-stream; charset=utf-8",
+                "Cache-Control": "no-cache, no-transform",
+                "Connection": "keep-alive",
+                "X-Accel-Buffering": "no"  // nginx (CapRover): do not buffer the stream
+            });
+            if (req.method === "HEAD") {
+                return res.end();
+            }
+            res.write("retry: " + RETRY_INTERVAL + "\n\n");
+
+            var lastEventId = parseInt(req.headers["last-event-id"], 10);
+            if (!isNaN(lastEventId)) {
+                history.filter(function (event) { return event.id > lastEventId; }).forEach(function (event) {
+                    res.write(format(event));
+                });
+            }
+
+            clients.push(res);
+            changed();
+            req.on("close", function () {
+                var i = clients.indexOf(res);
+                if (i >= 0) {
+                    clients.splice(i, 1);
+                    changed();
+                }
+            });
+        },
+        /**
+         * Send an event to every connected client.
+         *
+         * @param {string} name - the event type, e.g. "update"
+         * @param {Object} data - JSON-serializable payload
+         */
+        publish: function (name, data) {
+            var event = { id: nextId++, name: name, data: data };
+            history.push(event);
+            if (history.length > HISTORY) {
+                history.shift();
+            }
+            var text = format(event);
+            clients.forEach(function (res) {
+                res.write(text);
+            });
+        },
+        clients: function () {
+            return clients.length;
+        },
+        close: function () {
+            clearInterval(heartbeat);
+            clients.forEach(function (res) {
+                res.end();
+            });
+            clients = [];
+            changed();
+        }
+    };
+}
+
+module.exports = {
+    createEventStream: createEventStream
+};
@@ -0,0 +1,141 @@
+/**
+ * Fake NOMADS: a local stand-in for the GFS S3 mirror, for offline and end-to-end testing
+ *
+ * Serves recorded files from a fixtures directory laid out like the mirror:
+ *   <fixturesDir>/gfs.YYYYMMDD/HH/atmos/gfs.tHHz.pgrb2.1p00.fFFF       (GRIB2 records)
+ *   <fixturesDir>/gfs.YYYYMMDD/HH/atmos/gfs.tHHz.pgrb2.1p00.fFFF.idx   (wgrib2 inventory of those records)
+ * GET and HEAD are supported, and Range requests are answered with 206 Partial Content, as S3 does.
+ *
+ * Fault injection: if "<file>.status" exists, requests for <file> are answered with the HTTP status it contains
+ * (e.g. 503 to exercise retries, 404 to exercise fallbacks to older runs).
+ *
+ * Fixtures are recorded from a live mirror with recordRun (or "node weather-service.js --record <dir>"), which keeps
+ * only the records matching the inventory patterns and rewrites the inventory to their new offsets.
+ *
+ * Usage: node lib/fake-nomads.js <fixturesDir> [port]
+ */
+
+"use strict";
+
+var fs = require("fs");
+var http = require("http");
+var path = require("path");
+var nomadsDownloader = require("./nomads-downloader");
+var parseRange = require("./static-files").parseRange;
+
+function send(res, statusCode, headers, body) {
+    res.writeHead(statusCode, headers);
+    res.end(body);
+}
+
+/**
+ * Create (but don't start) an HTTP server for a fixtures directory.
+ *
+ * @param {string} fixturesDir
+ * @returns {http.Server}
+ */
+function createServer(fixturesDir) {
+    var root = path.resolve(fixturesDir);
+
+    return http.createServer(function (req, res) {
+        var pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+        var file = path.resolve(root, "." + pathname);
+        var label = req.method + " " + pathname + (req.headers.range ? " (" + req.headers.range + ")" : "");
+
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            console.log("fake-nomads: " + label + " -> 405");
+            return send(res, 405, { "Allow": "GET, HEAD" });
+        }
+        if (file !== root && file.indexOf(root + path.sep) !== 0) {
+            console.log("fake-nomads: " + label + " -> 403");
+            return send(res, 403, {});
+        }
+
+        var injected = null;
+        try {
+            injected = parseInt(fs.readFileSync(file + ".status", "utf8"), 10);
+        } catch (e) {
+            // no fault injected
+        }
+        if (injected) {
+            console.log("fake-nomads: " + label + " -> " + injected + " (injected)");
+            return send(res, injected, {});
+        }
+
+        fs.stat(file, function (err, stats) {
+            if (err || !stats.isFile()) {
+                console.log("fake-nomads: " + label + " -> 404");
+                return send(res, 404, { "Content-Type": "text/plain" }, "Not Found");
+            }
+            var headers = {
+                "Accept-Ranges": "bytes",
+                "Content-Type": /\.idx$/.test(file) ? "text/plain" : "application/octet-stream",
+                "Last-Modified": stats.mtime.toUTCString()
+            };
+            var range = parseRange(req.headers.range, stats.size);
+            if (range === false) {
+                console.log("fake-nomads: " + label + " -> 416");
+                headers["Content-Range"] = "bytes */" + stats.size;
+                return send(res, 416, headers);
+            }
+            var statusCode = range ? 206 : 200;
+            var start = range ? range.start : 0;
+            var end = range ? range.end : stats.size - 1;
+            if (range) {
+                headers["Content-Range"] = "bytes " + start + "-" + end + "/" + stats.size;
+            }
+            headers["Content-Length"] = stats.size === 0 ? 0 : end - start + 1;
+            console.log("fake-nomads: " + label + " -> " + statusCode);
+            res.writeHead(statusCode, headers);
+            if (req.method === "HEAD" || stats.size === 0) {
+                return res.end();
+            }
+            fs.createReadStream(file, { start: start, end: end }).pipe(res);
+        });
+    });
+}
+
+/**
+ * Record the matching records of one GRIB2 file from a live mirror into the fixtures directory: the records are
+ * concatenated into a compact file and the inventory is rewritten to their new offsets.
+ *
+ * @param {string} sourceUrl - URL of the GRIB2 file on the mirror (without .idx)
+ * @param {Array<string>} patterns - inventory patterns to keep
+ * @param {string} destPath - where to write the file (the inventory goes to destPath + ".idx")
+ * @param {Object} [options] - downloadGrib2Buffer options
+ * @returns {Promise<Object>} {records, bytes}
+ */
+function recordFile(sourceUrl, patterns, destPath, options) {
+    return nomadsDownloader.downloadGrib2Buffer(sourceUrl, patterns, options).then(function (result) {
+        var ranges = result.ranges.slice().sort(function (a, b) { return a.start - b.start; });
+        var offset = 0;
+        var lines = ranges.map(function (range, i) {
+            var line = (i + 1) + ":" + offset + ":" + range.field;
+            offset += range.end === null ? result.buffer.length - offset : range.end - range.start + 1;
+            return line;
+        });
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        fs.writeFileSync(destPath, result.buffer);
+        fs.writeFileSync(destPath + ".idx", lines.join("\n") + "\n");
+        console.log("Recorded " + ranges.length + " record(s) to " + destPath);
+        return { records: ranges.length, bytes: result.buffer.length };
+    });
+}
+
+module.exports = {
+    createServer: createServer,
+    parseRange: parseRange,
+    recordFile: recordFile
+};
+
+if (require.main === module) {
+    var fixturesDir = process.argv[2];
+    var port = parseInt(process.argv[3] || "8765", 10);
+    if (!fixturesDir) {
+        console.error("Usage: node lib/fake-nomads.js <fixturesDir> [port]");
+        process.exit(1);
+    }
+    createServer(fixturesDir).listen(port, function () {
+        console.log("fake-nomads serving " + path.resolve(fixturesDir) + " on http://127.0.0.1:" + port);
+    });
+}
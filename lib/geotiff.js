@@ -0,0 +1,151 @@
+/**
+ * A minimal GeoTIFF encoder for the grid exports (lib/grid-export.js): a single strip of 32-bit float samples, one
+ * per band, pixel-interleaved and deflated, georeferenced in WGS 84 longitude/latitude (EPSG:4326) so that GDAL,
+ * QGIS and rasterio place it without a sidecar file. Missing values are NaN and declared as GDAL's nodata value.
+ *
+ * See https://www.awaresystems.be/imaging/tiff/specification/TIFF6.pdf and http://docs.opengeospatial.org/is/19-008r4/.
+ */
+
+"use strict";
+
+var zlib = require("zlib");
+
+var SHORT = 3, LONG = 4, ASCII = 2, DOUBLE = 12;
+var TYPE_SIZES = {};
+TYPE_SIZES[ASCII] = 1;
+TYPE_SIZES[SHORT] = 2;
+TYPE_SIZES[LONG] = 4;
+TYPE_SIZES[DOUBLE] = 8;
+
+var HEADER_SIZE = 8, ENTRY_SIZE = 12;
+
+/**
+ * @returns {string} s escaped for XML in an ASCII tag: markup characters and anything beyond ASCII as references
+ */
+function escapeXml(s) {
+    return String(s).replace(/[&<>"]|[^\x20-\x7e]/g, function (c) {
+        return "&#" + c.charCodeAt(0) + ";";
+    });
+}
+
+/**
+ * @returns {string} the GDAL_METADATA tag's XML: dataset metadata, and each band's description and units
+ */
+function gdalMetadata(raster) {
+    var items = Object.keys(raster.metadata || {}).map(function (name) {
+        return "<Item name=\"" + escapeXml(name) + "\">" + escapeXml(raster.metadata[name]) + "</Item>";
+    });
+    raster.bands.forEach(function (band, k) {
+        items.push("<Item name=\"DESCRIPTION\" sample=\"" + k + "\" role=\"description\">" + escapeXml(band.name) +
+            "</Item>");
+        if (band.units) {
+            items.push("<Item name=\"UNITTYPE\" sample=\"" + k + "\" role=\"unittype\">" + escapeXml(band.units) +
+                "</Item>");
+        }
+    });
+    return "<GDALMetadata>" + items.join("") + "</GDALMetadata>";
+}
+
+/**
+ * @param {Object} raster - {width, height, west, north: the outer edges of the top left pixel in degrees, dx, dy:
+ *        pixel size in degrees, bands: [{name, units?, values: Float32Array of width * height, row by row from the
+ *        north west, NaN where missing}], metadata?: {name: value} stored as GDAL dataset metadata}
+ * @returns {Buffer} the GeoTIFF file
+ */
+function encodeGeoTiff(raster) {
+    var width = raster.width, height = raster.height, n = raster.bands.length;
+    raster.bands.forEach(function (band) {
+        if (band.values.length !== width * height) {
+            throw new Error("band " + band.name + " has " + band.values.length + " values, expected " + width * height);
+        }
+    });
+
+    var samples = Buffer.alloc(width * height * n * 4);
+    for (var p = 0, offset = 0; p < width * height; p++) {
+        for (var k = 0; k < n; k++, offset += 4) {
+            samples.writeFloatLE(raster.bands[k].values[p], offset);
+        }
+    }
+    var strip = zlib.deflateSync(samples);
+
+    function repeat(value) {
+        var values = [];
+        for (var k = 0; k < n; k++) values.push(value);
+        return values;
+    }
+
+    // Tag, type, values; in ascending tag order as TIFF requires. The strip's offset is filled in below.
+    var entries = [
+        [256, LONG, [width]],                       // ImageWidth
+        [257, LONG, [height]],                      // ImageLength
+        [258, SHORT, repeat(32)],                   // BitsPerSample
+        [259, SHORT, [8]],                          // Compression: deflate
+        [262, SHORT, [1]],                          // PhotometricInterpretation: BlackIsZero
+        [273, LONG, [0]],                           // StripOffsets
+        [277, SHORT, [n]],                          // SamplesPerPixel
+        [278, LONG, [height]],                      // RowsPerStrip: a single strip
+        [279, LONG, [strip.length]],                // StripByteCounts
+        [284, SHORT, [1]],                          // PlanarConfiguration: pixel-interleaved
+        n > 1 ? [338, SHORT, repeat(0).slice(1)] : null,  // ExtraSamples: the bands after the first are data too
+        [339, SHORT, repeat(3)],                    // SampleFormat: IEEE float
+        [33550, DOUBLE, [raster.dx, raster.dy, 0]],                  // ModelPixelScale
+        [33922, DOUBLE, [0, 0, 0, raster.west, raster.north, 0]],   // ModelTiepoint: top left corner
+        [34735, SHORT, [                            // GeoKeyDirectory: version 1.1.0, 3 keys
+            1, 1, 0, 3,
+            1024, 0, 1, 2,                          // GTModelType: geographic
+            1025, 0, 1, 1,                          // GTRasterType: pixel is area
+            2048, 0, 1, 4326                        // GeographicType: WGS 84
+        ]],
+        [42112, ASCII, gdalMetadata(raster)],       // GDAL_METADATA
+        [42113, ASCII, "nan"]                       // GDAL_NODATA
+    ].filter(Boolean);
+
+    var ifdSize = 2 + entries.length * ENTRY_SIZE + 4;
+    var extraOffset = HEADER_SIZE + ifdSize, extraSize = 0;
+    entries.forEach(function (entry) {
+        var count = entry[1] === ASCII ? Buffer.byteLength(entry[2], "ascii") + 1 : entry[2].length;
+        entry.push(count);
+        var size = count * TYPE_SIZES[entry[1]];
+        if (size > 4) {
+            entry.push(extraOffset + extraSize);
+            extraSize += size + (size % 2);  // values start on a word boundary
+        }
+    });
+    var stripOffset = extraOffset + extraSize;
+    entries.forEach(function (entry) {
+        if (entry[0] === 273) entry[2] = [stripOffset];
+    });
+
+    var head = Buffer.alloc(stripOffset);
+    head.write("II", 0, "ascii");
+    head.writeUInt16LE(42, 2);
+    head.writeUInt32LE(HEADER_SIZE, 4);
+    head.writeUInt16LE(entries.length, HEADER_SIZE);
+    entries.forEach(function (entry, e) {
+        var tag = entry[0], type = entry[1], values = entry[2], count = entry[3], valueOffset = entry[4];
+        var at = HEADER_SIZE + 2 + e * ENTRY_SIZE;
+        head.writeUInt16LE(tag, at);
+        head.writeUInt16LE(type, at + 2);
+        head.writeUInt32LE(count, at + 4);
+        var to = valueOffset === undefined ? at + 8 : valueOffset;
+        if (valueOffset !== undefined) {
+            head.writeUInt32LE(valueOffset, at + 8);
+        }
+        if (type === ASCII) {
+            head.write(values, to, "ascii");  // followed by the NUL already in the zeroed buffer
+            return;
+        }
+        values.forEach(function (value, i) {
+            if (type === SHORT) head.writeUInt16LE(value, to + i * 2);
+            else if (type === LONG) head.writeUInt32LE(value, to + i * 4);
+            else head.writeDoubleLE(value, to + i * 8);
+        });
+    });
+    // The offset of the next IFD, 0 for none, is left as zeros after the entries.
+
+    return Buffer.concat([head, strip]);
+}
+
+module.exports = {
+    encodeGeoTiff: encodeGeoTiff
+};
@@ -10,6 +10,223 @@
 var grib = require("grib-js");
 var fs = require("fs");
 
+/**
+ * Returns a reader for big-endian bit fields starting at the specified byte offset of a buffer.
+ */
+function bitReader(buffer, offset) {
+    var pos = offset, bit = 0;
+    return {
+        /**
+         * @returns {number} the next n bits as an unsigned integer (n may exceed 32).
+         */
+        read: function (n) {
+            var value = 0;
+            while (n > 0) {
+                var avail = 8 - bit;
+                var take = Math.min(avail, n);
+                var bits = (buffer[pos] >> (avail - take)) & ((1 << take) - 1);
+                value = value * (1 << take) + bits;
+                n -= take;
+                bit += take;
+                if (bit === 8) {
+                    bit = 0;
+                    pos++;
+                }
+            }
+            return value;
+        },
+        /**
+         * Skips to the start of the next octet, if not already there.
+         */
+        align: function () {
+            if (bit > 0) {
+                bit = 0;
+                pos++;
+            }
+        }
+    };
+}
+
+/**
+ * @returns {number} a GRIB2 signed integer. GRIB2 uses sign-and-magnitude, with the sign in the high bit.
+ */
+function signMagnitude(value, bits) {
+    var signBit = Math.pow(2, bits - 1);
+    return value >= signBit ? -(value - signBit) : value;
+}
+
+/**
+ * Locate the raw sections of each GRIB2 message in a buffer. Only the first field of each message is recorded,
+ * matching how grib-js's convertData builds one record per message.
+ *
+ * @returns {Array<Object>} one {0: Buffer, 3: Buffer, 4: Buffer, 5: Buffer, 6: Buffer?, 7: Buffer} object per message
+ */
+function scanMessages(buffer) {
+    var messages = [];
+    var offset = 0;
+    while ((offset = buffer.indexOf("GRIB", offset, "latin1")) >= 0) {
+        if (buffer[offset + 7] !== 2) {
+            offset += 4;
+            continue;
+        }
+        var length = buffer.readUInt32BE(offset + 8) * 0x100000000 + buffer.readUInt32BE(offset + 12);
+        var end = Math.min(offset + length, buffer.length);
+        var sections = { 0: buffer.subarray(offset, offset + 16) };
+        var p = offset + 16;
+        while (p + 5 <= end && buffer.toString("latin1", p, p + 4) !== "7777") {
+            var sectionLength = buffer.readUInt32BE(p);
+            var number = buffer[p + 4];
+            if (sectionLength < 5) break;
+            if (!sections[number]) {
+                sections[number] = buffer.subarray(p, p + sectionLength);
+            }
+            p += sectionLength;
+            if (number === 7) break;
+        }
+        messages.push(sections);
+        offset += Math.max(length, 16);
+    }
+    return messages;
+}
+
+/**
+ * Decode Data Representation Templates 5.2 (complex packing) and 5.3 (complex packing and spatial differencing),
+ * which GFS uses for most fields including PRMSL. Follows the unpacking procedure of NCEP's g2clib (comunpack),
+ * including missing value management and an optional bit-map (Section 6).
+ *
+ * @param {Object} sections - raw sections of a message, as returned by scanMessages
+ * @returns {Array<number|null>} one value per grid point, with null for missing points
+ */
+function decodeComplexPacking(sections) {
+    var s3 = sections[3], s5 = sections[5], s6 = sections[6], s7 = sections[7];
+    if (!s3 || !s5 || !s7) {
+        throw new Error("GRIB2 message is missing section 3, 5 or 7");
+    }
+    var template = s5.readUInt16BE(9);
+    if (template !== 2 && template !== 3) {
+        throw new Error("Unsupported data representation template 5." + template);
+    }
+    // Octet 6 of section 6: 0 = a bit-map follows, 255 = none. 254 refers to a bit-map defined earlier in the same
+    // message, but only a message's first field is decoded; 1-253 are predefined bit-maps.
+    var bitmapIndicator = s6 ? s6[5] : 255;
+    if (bitmapIndicator === 254) {
+        throw new Error("Unsupported bit-map indicator 254 (a previously defined bit-map)");
+    }
+    if (bitmapIndicator !== 0 && bitmapIndicator !== 255) {
+        throw new Error("Unsupported bit-map indicator " + bitmapIndicator + " (a predefined bit-map)");
+    }
+
+    // Section 5 (octet numbers below are 1-based, as in the WMO tables).
+    var ndpts = s5.readUInt32BE(5);                       // octets 6-9
+    var R = s5.readFloatBE(11);                           // octets 12-15
+    var E = signMagnitude(s5.readUInt16BE(15), 16);       // octets 16-17
+    var D = signMagnitude(s5.readUInt16BE(17), 16);       // octets 18-19
+    var nbits = s5[19];                                   // octet 20
+    var missingManagement = s5[22];                       // octet 23
+    var NG = s5.readUInt32BE(31);                         // octets 32-35
+    var widthRef = s5[35];                                // octet 36
+    var widthBits = s5[36];                               // octet 37
+    var lengthRef = s5.readUInt32BE(37);                  // octets 38-41
+    var lengthIncrement = s5[41];                         // octet 42
+    var lastLength = s5.readUInt32BE(42);                 // octets 43-46
+    var lengthBits = s5[46];                              // octet 47
+    var order = template === 3 ? s5[47] : 0;              // octet 48
+    var extraOctets = template === 3 ? s5[48] : 0;        // octet 49
+
+    var reader = bitReader(s7, 5);
+    var ival1 = 0, ival2 = 0, minsd = 0;
+    if (order > 0 && extraOctets > 0) {
+        var extraBits = extraOctets * 8;
+        ival1 = signMagnitude(reader.read(extraBits), extraBits);
+        if (order === 2) {
+            ival2 = signMagnitude(reader.read(extraBits), extraBits);
+        }
+        minsd = signMagnitude(reader.read(extraBits), extraBits);
+    }
+
+    var i, j, n;
+    var refs = new Array(NG), widths = new Array(NG), lengths = new Array(NG);
+    for (i = 0; i < NG; i++) refs[i] = reader.read(nbits);
+    reader.align();
+    for (i = 0; i < NG; i++) widths[i] = reader.read(widthBits) + widthRef;
+    reader.align();
+    for (i = 0; i < NG; i++) lengths[i] = reader.read(lengthBits) * lengthIncrement + lengthRef;
+    reader.align();
+    if (NG > 0) lengths[NG - 1] = lastLength;
+
+    var total = 0;
+    for (i = 0; i < NG; i++) total += lengths[i];
+    if (total !== ndpts) {
+        throw new Error("Complex packing group lengths sum to " + total + ", expected " + ndpts);
+    }
+
+    // Unpack the group values. Missing values are flagged by all-ones (primary) or all-ones minus one (secondary)
+    // in the group's width, or in the reference width for constant groups.
+    var packed = new Float64Array(ndpts);   // non-missing values, in order
+    var missing = new Uint8Array(ndpts);
+    var count = 0;
+    var refMissing1 = Math.pow(2, nbits) - 1, refMissing2 = refMissing1 - 1;
+    for (i = 0, n = 0; i < NG; i++) {
+        var width = widths[i], ref = refs[i], len = lengths[i];
+        if (width > 0) {
+            var missing1 = Math.pow(2, width) - 1, missing2 = missing1 - 1;
+            for (j = 0; j < len; j++, n++) {
+                var x = reader.read(width);
+                if (missingManagement >= 1 && x === missing1) {
+                    missing[n] = 1;
+                } else if (missingManagement === 2 && x === missing2) {
+                    missing[n] = 2;
+                } else {
+                    packed[count++] = x + ref;
+                }
+            }
+        } else {
+            var flag = missingManagement >= 1 && ref === refMissing1 ? 1 :
+                missingManagement === 2 && ref === refMissing2 ? 2 : 0;
+            for (j = 0; j < len; j++, n++) {
+                if (flag) {
+                    missing[n] = flag;
+                } else {
+                    packed[count++] = ref;
+                }
+            }
+        }
+    }
+
+    // Undo spatial differencing over the non-missing values.
+    if (order === 1 && count > 0) {
+        packed[0] = ival1;
+        for (i = 1; i < count; i++) {
+            packed[i] = packed[i] + minsd + packed[i - 1];
+        }
+    } else if (order === 2 && count > 0) {
+        packed[0] = ival1;
+        if (count > 1) packed[1] = ival2;
+        for (i = 2; i < count; i++) {
+            packed[i] = packed[i] + minsd + 2 * packed[i - 1] - packed[i - 2];
+        }
+    }
+
+    // Y = (R + X * 2^E) / 10^D
+    var binaryScale = Math.pow(2, E), decimalScale = Math.pow(10, D);
+    var values = new Array(ndpts);
+    for (i = 0, j = 0; i < ndpts; i++) {
+        values[i] = missing[i] ? null : (R + packed[j++] * binaryScale) / decimalScale;
+    }
+
+    // Expand to the full grid if a bit-map is present.
+    var gridPoints = s3.readUInt32BE(6);                  // octets 7-10
+    if (bitmapIndicator === 0) {
+        var bitmap = bitReader(s6, 6);
+        var grid = new Array(gridPoints);
+        for (i = 0, j = 0; i < gridPoints; i++) {
+            grid[i] = bitmap.read(1) ? values[j++] : null;
+        }
+        return grid;
+    }
+    return values;
+}
+
 /**
  * Convert a GRIB2 file to JSON format matching grib2json output
  * 
@@ -44,6 +261,31 @@ function convertGrib2ToJson(input, callback) {
         
         // Convert to expected format
         var converted = grib.convertData(msgs);
+
+        // grib-js's complex packing support is partial (no missing values, bit-maps or first-order differencing,
+        // and scale factors are read as two's complement), so decode templates 5.2/5.3 ourselves. The raw messages
+        // must pair up with grib-js's records one to one: a grid decoded into the wrong record would go unnoticed.
+        var raw = scanMessages(buffer);
+        if (raw.length !== converted.length) {
+            return callback(new Error("Found " + raw.length + " GRIB2 messages, but grib-js decoded " +
+                converted.length));
+        }
+        for (var i = 0; i < converted.length; i++) {
+            var header = converted[i].header;
+            if (!raw[i][4] || raw[i][0][6] !== header.discipline || raw[i][4][9] !== header.parameterCategory ||
+                    raw[i][4][10] !== header.parameterNumber) {
+                return callback(new Error("GRIB2 message " + (i + 1) + " does not match grib-js's record " +
+                    header.discipline + "/" + header.parameterCategory + "/" + header.parameterNumber));
+            }
+            var template = raw[i][5] ? raw[i][5].readUInt16BE(9) : -1;
+            if (template === 2 || template === 3) {
+                try {
+                    converted[i].data = decodeComplexPacking(raw[i]);
+                } catch (decodeErr) {
+                    return callback(decodeErr);
+                }
+            }
+        }
         
         // Ensure subDivisions field exists (for compatibility with grib2json output)
         // This field is typically 0 for regular lat-lon grids
@@ -80,6 +322,8 @@ function convertGrib2ToJsonFile(input, outputPath, callback) {
 }
 
 module.exports = {
+    decodeComplexPacking: decodeComplexPacking,
+    scanMessages: scanMessages,
     convertGrib2ToJson: convertGrib2ToJson,
     convertGrib2ToJsonFile: convertGrib2ToJsonFile
 };
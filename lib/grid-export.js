@@ -0,0 +1,220 @@
+/**
+ * GeoTIFF and NetCDF exports of the published grids, for GIS and analysis tools (QGIS, GDAL, xarray, Panoply): the
+ * "geotiff" and "netcdf" formats of /api/grid (lib/grid-extract.js) and of export-grid.js.
+ *
+ * Both hold the values as stored, as 32-bit floats on the grid's own points: a band (GeoTIFF) or variable (NetCDF)
+ * per component, u and v for vector products, and a single one for scalars. Missing values (e.g. currents over land)
+ * are NaN in GeoTIFF and the default float _FillValue in NetCDF. Longitudes run west to east from the west edge of the
+ * requested bbox, past 180° when it crosses the antimeridian.
+ */
+
+"use strict";
+
+var geotiff = require("./geotiff");
+var netcdf = require("./netcdf");
+
+/**
+ * CF standard names and UDUNITS units of the products (see http://cfconventions.org/standard-names.html); the values
+ * are as in lib/grids.js PRODUCTS.
+ */
+var CF = {
+    wind: { standardNames: ["eastward_wind", "northward_wind"], units: "m s-1" },
+    temp: { standardNames: ["air_temperature"], units: "K" },
+    relative_humidity: { standardNames: ["relative_humidity"], units: "%" },
+    air_density: { standardNames: ["air_density"], units: "kg m-3" },
+    total_precipitable_water: { standardNames: ["atmosphere_mass_content_of_water_vapor"], units: "kg m-2" },
+    total_cloud_water: { standardNames: ["atmosphere_mass_content_of_cloud_condensed_water"], units: "kg m-2" },
+    mean_sea_level_pressure: { standardNames: ["air_pressure_at_mean_sea_level"], units: "Pa" },
+    currents: { standardNames: ["eastward_sea_water_velocity", "northward_sea_water_velocity"], units: "m s-1" }
+};
+
+var NC_FILL_FLOAT = 9.969209968386869e36;  // netCDF's default fill value for floats
+
+var FORMATS = {
+    geotiff: { contentType: "image/tiff", extension: ".tif" },
+    netcdf: { contentType: "application/x-netcdf", extension: ".nc" }
+};
+
+function isValue(x) {
+    return x !== null && x !== undefined;
+}
+
+/**
+ * @returns {string?} "surface", an isobaric level such as "500hPa", or null for single-level products
+ */
+function heightOf(properties) {
+    return !properties.level ? null : properties.level === "level" ? properties.surface : properties.level;
+}
+
+/**
+ * @returns {Object} the subset as {width, height, lon(k), lat(k), dx, dy, bands: [{name, standardName, values}]},
+ *          values as Float32Arrays row by row from the north west, NaN where missing
+ */
+function rasterOf(grid, columns, rows, stride) {
+    var product = grid.layer.product, cf = CF[product];
+    var width = columns.length, height = rows.length;
+    var names = grid.field === "vector" ? ["u", "v"] : [product];
+    var bands = names.map(function (name, b) {
+        var values = new Float32Array(width * height), data = grid.records[b].data;
+        rows.forEach(function (j, y) {
+            columns.forEach(function (i, x) {
+                var value = data[j * grid.nx + i];
+                values[y * width + x] = isValue(value) ? value : NaN;
+            });
+        });
+        return { name: name, standardName: cf.standardNames[b], units: cf.units, values: values };
+    });
+    var lon0 = grid.lon(columns[0]), dx = grid.header.dx * stride, dy = grid.header.dy * stride;
+    return {
+        width: width,
+        height: height,
+        lon: function (x) { return lon0 + x * dx; },
+        lat: function (y) { return grid.lat(rows[y]); },
+        dx: dx,
+        dy: dy,
+        bands: bands
+    };
+}
+
+/**
+ * @param {Object} properties - the layer's metadata: {product, surface, level, units, refTime, validTime, source,
+ *        path}, as in the GeoJSON export
+ */
+function toGeoTiff(grid, columns, rows, stride, properties) {
+    var raster = rasterOf(grid, columns, rows, stride);
+    var metadata = {};
+    Object.keys(properties).forEach(function (name) {
+        if (isValue(properties[name])) metadata[name] = properties[name];
+    });
+    return geotiff.encodeGeoTiff({
+        width: raster.width,
+        height: raster.height,
+        west: raster.lon(0) - raster.dx / 2,
+        north: raster.lat(0) + raster.dy / 2,
+        dx: raster.dx,
+        dy: raster.dy,
+        bands: raster.bands,
+        metadata: metadata
+    });
+}
+
+function coordinate(count, f) {
+    var values = new Float64Array(count);
+    for (var k = 0; k < count; k++) {
+        values[k] = f(k);
+    }
+    return values;
+}
+
+/**
+ * @param {Object} properties - as for toGeoTiff
+ */
+function toNetcdf(grid, columns, rows, stride, properties) {
+    var raster = rasterOf(grid, columns, rows, stride);
+    var validTime = Date.parse(properties.validTime || "");
+    var dimensions = [{ name: "lat", size: raster.height }, { name: "lon", size: raster.width }];
+    var dataDimensions = ["lat", "lon"];
+    var variables = [{
+        name: "lat",
+        dimensions: ["lat"],
+        type: "double",
+        attributes: { standard_name: "latitude", long_name: "latitude", units: "degrees_north", axis: "Y" },
+        values: coordinate(raster.height, raster.lat)
+    }, {
+        name: "lon",
+        dimensions: ["lon"],
+        type: "double",
+        attributes: { standard_name: "longitude", long_name: "longitude", units: "degrees_east", axis: "X" },
+        values: coordinate(raster.width, raster.lon)
+    }];
+    if (!isNaN(validTime)) {
+        dimensions.unshift({ name: "time", size: 1 });
+        dataDimensions.unshift("time");
+        variables.push({
+            name: "time",
+            dimensions: ["time"],
+            type: "double",
+            attributes: {
+                standard_name: "time", long_name: "valid time", units: "hours since 1970-01-01 00:00:00",
+                calendar: "standard", axis: "T"
+            },
+            values: [validTime / 3600000]
+        });
+    }
+    var coordinates = null, m = /^(\d+)hPa$/.exec(properties.level || "");
+    if (m) {
+        // A scalar coordinate for the isobaric level, so that layers of several levels can be concatenated along it.
+        coordinates = "plev";
+        variables.push({
+            name: "plev",
+            dimensions: [],
+            type: "double",
+            attributes: {
+                standard_name: "air_pressure", long_name: "pressure", units: "Pa", positive: "down", axis: "Z"
+            },
+            values: [+m[1] * 100]
+        });
+    }
+    raster.bands.forEach(function (band) {
+        var attributes = {
+            standard_name: band.standardName,
+            long_name: band.standardName.replace(/_/g, " "),
+            units: band.units,
+            _FillValue: { type: "float", value: NC_FILL_FLOAT }
+        };
+        if (coordinates) {
+            attributes.coordinates = coordinates;
+        }
+        variables.push({
+            name: band.name,
+            dimensions: dataDimensions,
+            type: "float",
+            attributes: attributes,
+            values: band.values.map(function (x) { return isNaN(x) ? NC_FILL_FLOAT : x; })
+        });
+    });
+
+    var attributes = {
+        Conventions: "CF-1.6",
+        title: properties.product + (heightOf(properties) ? " at " + heightOf(properties) : "") + " from earth-clock"
+    };
+    if (properties.source) attributes.source = properties.source;
+    if (properties.refTime) attributes.reference_time = properties.refTime;
+    attributes.history = new Date().toISOString() + " exported from " + properties.path;
+    return netcdf.encodeNetcdf({ dimensions: dimensions, attributes: attributes, variables: variables });
+}
+
+/**
+ * @returns {string} a file name for an export, e.g. "wind-500hPa-20240131T0600Z.nc"
+ */
+function fileNameFor(properties, format) {
+    var parts = [properties.product];
+    if (heightOf(properties)) {
+        parts.push(heightOf(properties));
+    }
+    var validTime = Date.parse(properties.validTime || "");
+    parts.push(isNaN(validTime) ? "current" :
+        new Date(validTime).toISOString().replace(/:\d\d\.\d+Z$/, "Z").replace(/[-:]/g, ""));
+    return parts.join("-") + FORMATS[format].extension;
+}
+
+/**
+ * @param {string} format - "geotiff" or "netcdf"
+ * @param {Object} grid - from grids.loadGrid
+ * @param {Array<number>} columns - the grid's column indexes to export, west to east
+ * @param {Array<number>} rows - the grid's row indexes to export, north to south
+ * @param {number} stride - the spacing of the columns and rows in grid points
+ * @param {Object} properties - the layer's metadata, as for toGeoTiff
+ * @returns {Object} {contentType, body: Buffer, fileName}
+ */
+function exportGrid(format, grid, columns, rows, stride, properties) {
+    var body = format === "geotiff" ?
+        toGeoTiff(grid, columns, rows, stride, properties) :
+        toNetcdf(grid, columns, rows, stride, properties);
+    return { contentType: FORMATS[format].contentType, body: body, fileName: fileNameFor(properties, format) };
+}
+
+module.exports = {
+    FORMATS: FORMATS,
+    exportGrid: exportGrid
+};
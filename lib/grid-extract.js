@@ -0,0 +1,254 @@
+/**
+ * Regional grid extraction for server.js's /api/grid: a published layer cropped to a bounding box and decimated
+ *
+ *   GET /api/grid?product=wind&bbox=-25,34,45,72&stride=2&format=csv
+ *
+ *   product  one of the products in lib/grids.js (wind, temp, ..., currents); date and level as for /api/point
+ *   bbox     west,south,east,north in degrees (default the whole globe). A west edge east of the east edge crosses
+ *            the antimeridian, e.g. 170,-25,-170,-10 around Fiji.
+ *   stride   keep every nth grid point in both directions, counting from the north-west corner (default 1)
+ *   format   json    - the layer's own [{header, data}] records, the header describing the subset (lo1, la1, lo2,
+ *                      la2, nx, ny, dx, dy), so it loads like any published layer
+ *            csv     - lat,lon,value (lat,lon,u,v,speed for vector products), a line per grid point, north to south
+ *                      then west to east; empty cells where there is no value
+ *            geojson - a FeatureCollection of Points, one per grid point that has a value
+ *            geotiff - a georeferenced float GeoTIFF, a band per component (lib/grid-export.js)
+ *            netcdf  - a classic NetCDF file with CF metadata (lib/grid-export.js)
+ *
+ * Values are returned as stored, without interpolation.
+ */
+
+"use strict";
+
+var grids = require("./grids");
+var gridExport = require("./grid-export");
+
+var FORMATS = {
+    json: "application/json",
+    csv: "text/csv; charset=utf-8",
+    geojson: "application/geo+json",
+    geotiff: gridExport.FORMATS.geotiff.contentType,
+    netcdf: gridExport.FORMATS.netcdf.contentType
+};
+
+// Larger requests must use a stride (a whole 0.33° OSCAR layer is over 500,000 points). The binary formats take
+// four bytes a value, so they may hold any whole layer.
+var MAX_POINTS = 300000;
+var MAX_BINARY_POINTS = 2000000;
+
+var EPSILON = 1e-9;
+
+function parseBbox(value) {
+    if (!value) {
+        return [-180, -90, 180, 90];
+    }
+    var parts = value.split(",");
+    if (parts.length !== 4) {
+        throw grids.badRequest("bbox must be west,south,east,north");
+    }
+    var bbox = [
+        grids.parseCoordinate(parts[0], "bbox west", -180, 360),
+        grids.parseCoordinate(parts[1], "bbox south", -90, 90),
+        grids.parseCoordinate(parts[2], "bbox east", -180, 360),
+        grids.parseCoordinate(parts[3], "bbox north", -90, 90)
+    ];
+    if (bbox[1] > bbox[3]) {
+        throw grids.badRequest("bbox south must not be north of bbox north");
+    }
+    return bbox;
+}
+
+/**
+ * @returns {Array<number>} the grid's column indexes between the west and east edges, west to east. A grid spanning
+ *          more than 360° (OSCAR runs from 20°E to 420°E) repeats its first columns; only the first of each is used.
+ */
+function columnsOf(grid, west, east) {
+    var span = east - west;
+    if (span < 0) {
+        span += 360;  // crosses the antimeridian
+    }
+    var period = Math.round(360 / grid.header.dx);  // columns around the globe
+    var columns = [];
+    for (var i = 0; i < Math.min(grid.nx, period); i++) {
+        var offset = grids.floorMod(grid.header.lo1 + i * grid.header.dx - west, 360);
+        if (offset > 360 - EPSILON) {
+            offset = 0;  // on the west edge, give or take rounding
+        }
+        if (offset <= span + EPSILON) {
+            columns.push({ i: i, offset: offset });
+        }
+    }
+    columns.sort(function (a, b) { return a.offset - b.offset; });
+    for (var k = 1; k < columns.length; k++) {
+        if (columns[k].i !== (columns[k - 1].i + 1) % period) {
+            throw grids.badRequest("bbox extends across the edge of the " + grid.layer.product + " grid");
+        }
+    }
+    return columns.map(function (column) { return column.i; });
+}
+
+/**
+ * @returns {Array<number>} the grid's row indexes between the south and north edges, north to south
+ */
+function rowsOf(grid, south, north) {
+    var rows = [];
+    for (var j = 0; j < grid.ny; j++) {
+        var φ = grid.lat(j);
+        if (φ >= south - EPSILON && φ <= north + EPSILON) {
+            rows.push(j);
+        }
+    }
+    return rows;
+}
+
+function everyNth(indexes, stride) {
+    return indexes.filter(function (x, k) { return k % stride === 0; });
+}
+
+function isValue(x) {
+    return x !== null && x !== undefined;
+}
+
+function toJson(grid, columns, rows, stride) {
+    return JSON.stringify(grid.records.map(function (record) {
+        var header = {};
+        Object.keys(record.header).forEach(function (key) { header[key] = record.header[key]; });
+        header.lo1 = grids.floorMod(grid.header.lo1 + columns[0] * grid.header.dx, 360);
+        header.la1 = grid.lat(rows[0]);
+        header.dx = grid.header.dx * stride;
+        header.dy = grid.header.dy * stride;
+        header.nx = columns.length;
+        header.ny = rows.length;
+        header.lo2 = header.lo1 + (header.nx - 1) * header.dx;
+        header.la2 = header.la1 - (header.ny - 1) * header.dy;
+        if (header.numberPoints !== undefined) {
+            header.numberPoints = header.nx * header.ny;
+        }
+        var data = [];
+        rows.forEach(function (j) {
+            columns.forEach(function (i) {
+                var x = record.data[j * grid.nx + i];
+                data.push(isValue(x) ? x : null);
+            });
+        });
+        return { header: header, data: data };
+    }));
+}
+
+function cell(x) {
+    return isValue(x) ? String(x) : "";
+}
+
+function toCsv(grid, columns, rows) {
+    var vector = grid.field === "vector";
+    var lines = [vector ? "lat,lon,u,v,speed" : "lat,lon,value"];
+    rows.forEach(function (j) {
+        columns.forEach(function (i) {
+            var value = grid.value(i, j), line = [grid.lat(j), grid.lon(i)];
+            if (vector) {
+                line.push(cell(value && value[0]), cell(value && value[1]),
+                    cell(value && Math.sqrt(value[0] * value[0] + value[1] * value[1])));
+            } else {
+                line.push(cell(value));
+            }
+            lines.push(line.join(","));
+        });
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * @returns {Object} the layer's metadata for the exports: {product, surface, level, units, refTime, validTime, source,
+ *          path}
+ */
+function propertiesOf(grid, options) {
+    var product = grids.PRODUCTS[grid.layer.product];
+    return {
+        product: grid.layer.product,
+        surface: product.heightDependent ? options.surface : null,
+        level: product.heightDependent ? options.level : null,
+        units: product.units,
+        refTime: grid.header.refTime || grid.layer.refTime || null,
+        validTime: isNaN(grid.date.getTime()) ? grid.layer.validTime || null : grid.date.toISOString(),
+        source: grid.layer.source || grid.header.centerName || null,
+        path: grid.layer.path
+    };
+}
+
+function toGeoJson(grid, columns, rows, options) {
+    var product = grids.PRODUCTS[grid.layer.product];
+    var features = [];
+    rows.forEach(function (j) {
+        columns.forEach(function (i) {
+            var value = grid.value(i, j);
+            if (!isValue(value)) return;
+            features.push({
+                type: "Feature",
+                geometry: { type: "Point", coordinates: [grid.lon(i), grid.lat(j)] },
+                properties: product.field === "vector" ?
+                    { u: value[0], v: value[1], speed: Math.sqrt(value[0] * value[0] + value[1] * value[1]) } :
+                    { value: value }
+            });
+        });
+    });
+    return JSON.stringify({
+        type: "FeatureCollection",
+        properties: propertiesOf(grid, options),
+        features: features
+    });
+}
+
+/**
+ * @param {string} publicDir
+ * @param {Object} query - the request's query parameters: product, bbox?, stride?, format?, date?, level?
+ * @returns {Promise} for {contentType, body, fileName (for the binary formats, to save them as)}; rejected with an
+ *          error with status 400 (bad query) or 404 (no data)
+ */
+function extractGrid(publicDir, query) {
+    var options, bbox, stride, format = query.format || "json";
+    try {
+        if (!grids.PRODUCTS.hasOwnProperty(query.product)) {
+            throw grids.badRequest("product must be one of " + Object.keys(grids.PRODUCTS).join(", "));
+        }
+        if (!FORMATS.hasOwnProperty(format)) {
+            throw grids.badRequest("format must be one of " + Object.keys(FORMATS).join(", "));
+        }
+        stride = query.stride === undefined ? 1 : grids.parseCoordinate(query.stride, "stride", 1, 1000);
+        if (stride !== Math.floor(stride)) {
+            throw grids.badRequest("stride must be a whole number");
+        }
+        bbox = parseBbox(query.bbox);
+        options = grids.parseTimeAndLevel(query);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    options.products = [query.product];
+    var layer = grids.findLayers(publicDir, options)[query.product];
+    if (!layer) {
+        return Promise.reject(grids.notFound(query.product + " not available for " +
+            (options.date === "current" ? "current" : options.date.toISOString())));
+    }
+    return grids.loadGrid(publicDir, layer).then(function (grid) {
+        var columns = everyNth(columnsOf(grid, bbox[0], bbox[2]), stride);
+        var rows = everyNth(rowsOf(grid, bbox[1], bbox[3]), stride);
+        if (columns.length === 0 || rows.length === 0) {
+            throw grids.badRequest("bbox contains no grid points");
+        }
+        var maxPoints = gridExport.FORMATS.hasOwnProperty(format) ? MAX_BINARY_POINTS : MAX_POINTS;
+        if (columns.length * rows.length > maxPoints) {
+            throw grids.badRequest(columns.length * rows.length + " points requested; use a smaller bbox or a " +
+                "larger stride (at most " + maxPoints + " points)");
+        }
+        if (gridExport.FORMATS.hasOwnProperty(format)) {
+            return gridExport.exportGrid(format, grid, columns, rows, stride, propertiesOf(grid, options));
+        }
+        var body = format === "csv" ? toCsv(grid, columns, rows) :
+            format === "geojson" ? toGeoJson(grid, columns, rows, options) :
+            toJson(grid, columns, rows, stride);
+        return { contentType: FORMATS[format], body: body };
+    });
+}
+
+module.exports = {
+    extractGrid: extractGrid
+};
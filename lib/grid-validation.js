@@ -0,0 +1,111 @@
+/**
+ * Sanity checks for decoded grids
+ *
+ * A truncated range, a wrong record or a decoder bug can produce grids that decode without error but are garbage:
+ * all nulls, temperatures of 10^30 K, or a record from a different run. The weather service validates every overlay
+ * of a step with validateOutputs before writing any of them, so a bad run is rejected and the previous files stay
+ * in place.
+ */
+
+"use strict";
+
+/**
+ * Physically plausible value ranges per overlay, in the units of the GRIB2 records. Generous on purpose: these catch
+ * garbage, not weather extremes.
+ */
+var RANGES = {
+    wind: { min: -150, max: 150 },                         // m/s, per component
+    temp: { min: 150, max: 350 },                           // K (surface through 10 hPa)
+    relative_humidity: { min: 0, max: 105 },                // %, GFS slightly exceeds 100 near saturation
+    air_density: { min: 0.001, max: 2 },                    // kg/m^3 (10 hPa through surface)
+    mean_sea_level_pressure: { min: 85000, max: 110000 },   // Pa
+    total_precipitable_water: { min: 0, max: 150 },         // kg/m^2
+    total_cloud_water: { min: 0, max: 10 }                  // kg/m^2
+};
+
+function timeOf(value) {
+    var t = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    return isNaN(t) ? null : t;
+}
+
+/**
+ * Check one record against the expectations.
+ *
+ * @returns {Array<string>} problems found
+ */
+function validateRecord(record, range, grid, expected) {
+    var problems = [];
+    var header = record && record.header;
+    var data = record && record.data;
+    if (!header || !data || typeof data.length !== "number") {
+        return ["record has no header or data"];
+    }
+
+    if (header.nx !== grid.nx || header.ny !== grid.ny) {
+        problems.push("grid " + header.nx + "x" + header.ny + ", expected " + grid.nx + "x" + grid.ny);
+    }
+    if (data.length !== header.nx * header.ny) {
+        problems.push(data.length + " values for a " + header.nx + "x" + header.ny + " grid");
+    }
+
+    if (expected.refTime) {
+        var refTime = timeOf(header.refTime);
+        if (refTime !== expected.refTime.getTime()) {
+            problems.push("refTime " + (refTime === null ? header.refTime : new Date(refTime).toISOString()) +
+                ", expected " + expected.refTime.toISOString());
+        }
+    }
+    if (typeof expected.forecastHour === "number" && typeof header.forecastTime === "number" &&
+        header.forecastTime !== expected.forecastHour) {
+        problems.push("forecast time " + header.forecastTime + ", expected " + expected.forecastHour);
+    }
+
+    var nulls = 0, min = Infinity, max = -Infinity;
+    for (var i = 0; i < data.length; i++) {
+        var v = data[i];
+        if (v === null || v === undefined || v !== v) {
+            nulls++;
+        } else {
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+    }
+    var maxNullFraction = expected.maxNullFraction >= 0 ? expected.maxNullFraction : 0.01;
+    if (data.length > 0 && nulls / data.length > maxNullFraction) {
+        problems.push((100 * nulls / data.length).toFixed(1) + "% null values (max " + (100 * maxNullFraction) + "%)");
+    }
+    if (range && nulls < data.length && (min < range.min || max > range.max)) {
+        problems.push("values " + min.toPrecision(4) + ".." + max.toPrecision(4) + " outside " + range.min + ".." + range.max);
+    }
+    return problems;
+}
+
+/**
+ * Validate every overlay of a step.
+ *
+ * @param {Array<Object>} outputs - {overlay: "temp", label: "surface temp", records: [...]} objects
+ * @param {Object} expected - {refTime: Date, forecastHour: number, nx: number?, ny: number? (default: the grid of
+ *        the first record, so that at least all overlays agree), maxNullFraction: number (default 0.01)}
+ * @returns {Array<string>} problems found, each prefixed with the output's label; empty if all is well
+ */
+function validateOutputs(outputs, expected) {
+    var first = outputs.length > 0 && outputs[0].records[0] && outputs[0].records[0].header;
+    var grid = expected.nx > 0 && expected.ny > 0 ?
+        { nx: expected.nx, ny: expected.ny } :
+        { nx: first ? first.nx : undefined, ny: first ? first.ny : undefined };
+    var problems = [];
+    outputs.forEach(function (output) {
+        output.records.forEach(function (record, i) {
+            var label = output.label + (output.records.length > 1 ? " [" + i + "]" : "");
+            validateRecord(record, RANGES[output.overlay], grid, expected).forEach(function (problem) {
+                problems.push(label + ": " + problem);
+            });
+        });
+    });
+    return problems;
+}
+
+module.exports = {
+    RANGES: RANGES,
+    validateOutputs: validateOutputs
+};
@@ -0,0 +1,344 @@
+/**
+ * Published grids on the server side, for the data APIs in server.js
+ *
+ * Finds the layers the services have published (from their manifests, see lib/data-manifest.js) and loads them as
+ * grids with the same semantics as buildGrid in public/libs/earth/1.0.0/products.js: scan mode 0 (longitude
+ * increasing from lo1, latitude decreasing from la1), wrapped in longitude when the grid spans the globe, and
+ * bilinear interpolation that yields null unless all four surrounding points have values.
+ *
+ * Loaded files are cached (by path, size and modification time), so repeated queries against the current run do
+ * not re-parse multi-megabyte JSON files.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var dataManifest = require("./data-manifest");
+
+/**
+ * The overlays the services publish, with the units of their values as stored (SI, as in GRIB2). heightDependent
+ * products have one layer per surface/level; the others are single-level (surface and level null).
+ */
+var PRODUCTS = {
+    wind: { field: "vector", units: "m/s", heightDependent: true, service: "weather" },
+    temp: { field: "scalar", units: "K", heightDependent: true, service: "weather" },
+    relative_humidity: { field: "scalar", units: "%", heightDependent: true, service: "weather" },
+    air_density: { field: "scalar", units: "kg/m³", heightDependent: true, service: "weather" },
+    total_precipitable_water: { field: "scalar", units: "kg/m²", heightDependent: false, service: "weather" },
+    total_cloud_water: { field: "scalar", units: "kg/m²", heightDependent: false, service: "weather" },
+    mean_sea_level_pressure: { field: "scalar", units: "Pa", heightDependent: false, service: "weather" },
+    currents: { field: "vector", units: "m/s", heightDependent: false, service: "oscar" }
+};
+
+// A dated weather layer answers for times up to this long after its validity time (GFS steps are 3 or 6 hours).
+var MAX_WEATHER_GAP = 6 * 60 * 60 * 1000;
+
+var JSON_CACHE_SIZE = 12;
+
+function floorMod(a, n) {
+    var f = a - n * Math.floor(a / n);
+    return f === n ? 0 : f;  // a extremely close to a multiple of n
+}
+
+function isValue(x) {
+    return x !== null && x !== undefined;
+}
+
+/**
+ * @returns {Error} an error for the data APIs to answer with status 400
+ */
+function badRequest(message) {
+    var error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * @returns {Error} an error for the data APIs to answer with status 404
+ */
+function notFound(message) {
+    var error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+/**
+ * Parse a query parameter as a number within [min, max]; throws an error with status 400 if it is not one.
+ */
+function parseCoordinate(value, name, min, max) {
+    var x = Number(value);
+    if (value === undefined || value === "" || !isFinite(x) || x < min || x > max) {
+        throw badRequest(name + " must be a number between " + min + " and " + max);
+    }
+    return x;
+}
+
+/**
+ * Parse the query parameters shared by the data APIs: date ("current" or an ISO 8601 time) and level ("level" or
+ * "surface" for the surface, or an isobaric level such as "500hPa").
+ *
+ * @returns {Object} {date: "current" or Date, surface, level}; throws an error with status 400 if invalid
+ */
+function parseTimeAndLevel(query) {
+    var date = query.date || "current";
+    if (date !== "current") {
+        var time = Date.parse(date);
+        if (isNaN(time)) {
+            throw badRequest("date must be \"current\" or an ISO 8601 time");
+        }
+        date = new Date(time);
+    }
+    var level = query.level || "level";
+    if (level === "surface" || level === "level") {
+        return { date: date, surface: "surface", level: "level" };
+    }
+    if (!/^\d+hPa$/.test(level)) {
+        throw badRequest("level must be \"surface\" or an isobaric level such as \"500hPa\"");
+    }
+    return { date: date, surface: "isobaric", level: level };
+}
+
+/**
+ * @returns {Array<Object>} the weather layers: from the manifest or, without one, the files in data/weather/current
+ *          by naming convention
+ */
+function weatherLayers(publicDir) {
+    var weatherDir = path.join(publicDir, "data", "weather");
+    var layers = dataManifest.readManifest(path.join(weatherDir, "manifest.json")).layers;
+    if (layers.length > 0) {
+        return layers;
+    }
+    var names = [];
+    try {
+        names = fs.readdirSync(path.join(weatherDir, "current")).filter(function (name) {
+            return /^current-.*-gfs-1\.0\.json$/.test(name);
+        });
+    } catch (e) {
+        // no current directory
+    }
+    return names.map(function (name) {
+        var parts = name.replace(/-gfs-1\.0\.json$/, "").split("-");
+        return {
+            product: parts[1], surface: parts[2] || null, level: parts[3] || null,
+            date: "current", hour: null, refTime: null, validTime: null,
+            path: "data/weather/current/" + name
+        };
+    });
+}
+
+/**
+ * @returns {Array<Object>} the OSCAR layers, oldest first: from the manifest or, without one, catalog.json
+ */
+function oscarLayers(publicDir) {
+    var oscarDir = path.join(publicDir, "data", "oscar");
+    var layers = dataManifest.readManifest(path.join(oscarDir, "manifest.json")).layers;
+    if (layers.length === 0) {
+        var catalog = [];
+        try {
+            catalog = JSON.parse(fs.readFileSync(path.join(oscarDir, "catalog.json"), "utf8"));
+        } catch (e) {
+            // no catalog
+        }
+        layers = catalog.map(function (file) {
+            var m = /^(\d{4})(\d{2})(\d{2})/.exec(file);
+            return {
+                product: "currents", surface: "surface", level: "currents",
+                date: m ? m[1] + "/" + m[2] + "/" + m[3] : null, hour: null,
+                refTime: m ? m[1] + "-" + m[2] + "-" + m[3] + "T00:00:00.000Z" : null,
+                path: "data/oscar/" + file
+            };
+        });
+    }
+    return layers.slice().sort(function (a, b) { return a.path < b.path ? -1 : a.path > b.path ? 1 : 0; });
+}
+
+function layerTime(layer) {
+    return Date.parse(layer.validTime || layer.refTime || "");
+}
+
+/**
+ * Find the published layer of each product for a time and height.
+ *
+ * @param {string} publicDir
+ * @param {Object} options - {date: "current" or a Date, surface: "surface" or "isobaric", level: "level" or e.g.
+ *        "500hPa", products: Array<string>? (default all)}
+ * @returns {Object} product -> layer (manifest entry); products without a layer for the time are absent
+ */
+function findLayers(publicDir, options) {
+    var surface = options.surface || "surface", level = options.level || "level";
+    var current = options.date === "current";
+    var time = current ? null : options.date.getTime();
+    var wanted = options.products || Object.keys(PRODUCTS);
+    var found = {};
+
+    weatherLayers(publicDir).forEach(function (layer) {
+        var product = PRODUCTS[layer.product];
+        if (!product || wanted.indexOf(layer.product) < 0) return;
+        var heightMatches = product.heightDependent ?
+            layer.surface === surface && layer.level === level :
+            !layer.surface && !layer.level;
+        if (!heightMatches) return;
+        if (current) {
+            if (layer.date === "current") found[layer.product] = layer;
+            return;
+        }
+        var t = layerTime(layer);
+        if (layer.date === "current" || isNaN(t) || t > time || time - t >= MAX_WEATHER_GAP) return;
+        var previous = found[layer.product];
+        if (!previous || t > layerTime(previous)) found[layer.product] = layer;
+    });
+
+    if (wanted.indexOf("currents") >= 0) {
+        // Like lookupOscar in products.js: the most recent layer, or the most recent on or before the date.
+        var oscar = oscarLayers(publicDir).filter(function (layer) {
+            return current || layerTime(layer) <= time;
+        });
+        if (oscar.length > 0) {
+            found.currents = oscar[oscar.length - 1];
+        }
+    }
+    return found;
+}
+
+/**
+ * Build a grid from JSON-ified GRIB records ([u, v] for vector fields, [scalar] otherwise).
+ *
+ * @param {Array<Object>} records
+ * @param {string} field - "vector" or "scalar"
+ * @returns {Object} {header, records, field, date, nx, ny, lon(i), lat(j), value(i, j), interpolate(λ, φ)}; vector
+ *          values are [u, v] and interpolate to [u, v, magnitude], as in products.js
+ */
+function buildGrid(records, field) {
+    var header = records[0].header;
+    var λ0 = header.lo1, φ0 = header.la1;  // the grid's origin (e.g., 0.0E, 90.0N)
+    var Δλ = header.dx, Δφ = header.dy;    // distance between grid points
+    var ni = header.nx, nj = header.ny;    // number of grid points W-E and N-S
+    var isContinuous = Math.floor(ni * Δλ) >= 360;
+    var uData = records[0].data, vData = field === "vector" ? records[1].data : null;
+    var date = new Date(header.refTime);
+    date.setUTCHours(date.getUTCHours() + (header.forecastTime || 0));
+
+    function value(i, j) {
+        var p = j * ni + i;
+        if (vData) {
+            var u = uData[p], v = vData[p];
+            return isValue(u) && isValue(v) ? [u, v] : null;
+        }
+        return isValue(uData[p]) ? uData[p] : null;
+    }
+
+    function interpolate(λ, φ) {
+        var i = floorMod(λ - λ0, 360) / Δλ;  // longitude index in wrapped range [0, 360)
+        var j = (φ0 - φ) / Δφ;               // latitude index in direction +90 to -90
+        var fi = Math.floor(i), ci = fi + 1;
+        var fj = Math.floor(j), cj = fj + 1;
+        if (ci === ni && isContinuous) {
+            ci = 0;  // the first column follows the last
+        }
+        if (fj < 0 || cj >= nj || ci >= ni) {
+            return null;
+        }
+        var g00 = value(fi, fj), g10 = value(ci, fj), g01 = value(fi, cj), g11 = value(ci, cj);
+        if (!isValue(g00) || !isValue(g10) || !isValue(g01) || !isValue(g11)) {
+            return null;
+        }
+        var x = i - fi, y = j - fj, rx = 1 - x, ry = 1 - y;
+        var a = rx * ry, b = x * ry, c = rx * y, d = x * y;
+        if (!vData) {
+            return g00 * a + g10 * b + g01 * c + g11 * d;
+        }
+        var u = g00[0] * a + g10[0] * b + g01[0] * c + g11[0] * d;
+        var v = g00[1] * a + g10[1] * b + g01[1] * c + g11[1] * d;
+        return [u, v, Math.sqrt(u * u + v * v)];
+    }
+
+    return {
+        header: header,
+        records: records,
+        field: field,
+        date: date,
+        nx: ni,
+        ny: nj,
+        isContinuous: isContinuous,
+        lon: function (i) { return floorMod(180 + λ0 + i * Δλ, 360) - 180; },
+        lat: function (j) { return φ0 - j * Δφ; },
+        value: value,
+        interpolate: interpolate
+    };
+}
+
+var jsonCache = [];  // [{key, value}], most recently used last
+
+/**
+ * Read and parse a published JSON file, cached by path, size and modification time.
+ *
+ * @param {string} publicDir
+ * @param {string} relativePath - e.g. "data/weather/current/current-wind-surface-level-gfs-1.0.json"
+ * @returns {Promise} for the parsed contents; rejected with the fs error (code ENOENT if missing), or an error
+ *          naming the file if it is not valid JSON
+ */
+function loadJson(publicDir, relativePath) {
+    var file = path.join(publicDir, relativePath);
+    return new Promise(function (resolve, reject) {
+        fs.stat(file, function (err, stats) {
+            if (err) return reject(err);
+            var key = file + ":" + stats.size + ":" + stats.mtimeMs;
+            for (var i = 0; i < jsonCache.length; i++) {
+                if (jsonCache[i].key === key) {
+                    var hit = jsonCache.splice(i, 1)[0];
+                    jsonCache.push(hit);
+                    return resolve(hit.value);
+                }
+            }
+            fs.readFile(file, "utf8", function (readErr, text) {
+                if (readErr) return reject(readErr);
+                var value;
+                try {
+                    value = JSON.parse(text);
+                } catch (e) {
+                    return reject(new Error("cannot read " + relativePath + ": " + e.message));
+                }
+                jsonCache = jsonCache.filter(function (entry) { return entry.key.indexOf(file + ":") !== 0; });
+                jsonCache.push({ key: key, value: value });
+                if (jsonCache.length > JSON_CACHE_SIZE) {
+                    jsonCache.shift();
+                }
+                resolve(value);
+            });
+        });
+    });
+}
+
+/**
+ * Load a published layer as a grid.
+ *
+ * @param {string} publicDir
+ * @param {Object} layer - from findLayers
+ * @returns {Promise} for the grid (see buildGrid), with the layer attached as grid.layer
+ */
+function loadGrid(publicDir, layer) {
+    return loadJson(publicDir, layer.path).then(function (records) {
+        var grid;
+        try {
+            grid = buildGrid(records, PRODUCTS[layer.product].field);
+        } catch (e) {
+            throw new Error("cannot read " + layer.path + ": " + e.message);
+        }
+        grid.layer = layer;
+        return grid;
+    });
+}
+
+module.exports = {
+    PRODUCTS: PRODUCTS,
+    badRequest: badRequest,
+    buildGrid: buildGrid,
+    findLayers: findLayers,
+    floorMod: floorMod,
+    loadJson: loadJson,
+    loadGrid: loadGrid,
+    notFound: notFound,
+    parseCoordinate: parseCoordinate,
+    parseTimeAndLevel: parseTimeAndLevel
+};
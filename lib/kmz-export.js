@@ -0,0 +1,253 @@
+/**
+ * KMZ export of an overlay for Google Earth, for server.js's /api/overlay.kmz
+ *
+ *   GET /api/overlay.kmz?overlay=temp&level=850hPa&place=52.52,13.40,Berlin&place=35.68,139.69,Tokyo
+ *
+ *   overlay  any of the page's overlays except "off" (default wind); date and level as for /api/point
+ *   width    of the overlay image, 256 to 4096 pixels (default 2048); its height is half that
+ *   place    lat,lon[,name] of a placemark, labelled with the overlay's value there; repeat for more
+ *
+ * The archive holds doc.kml and two images. overlay.png is the overlay in an equirectangular projection, colored
+ * with the page's color scale (lib/page-products.js) and laid over the whole globe as a GroundOverlay. legend.png
+ * is the menu's color bar, labelled with its bounds, shown as a ScreenOverlay in the bottom left corner.
+ *
+ * The overlay image takes the event loop for as long as a large map image, so exports are rendered by server.js's
+ * render service (lib/map-render.js): in turn with map images, turned away with status 503 when its queue is full, and
+ * cached with them.
+ */
+
+"use strict";
+
+var grids = require("./grids");
+var pageProducts = require("./page-products");
+var mapRender = require("./map-render");
+var png = require("./png");
+var zip = require("./zip");
+
+var CONTENT_TYPE = "application/vnd.google-earth.kmz";
+var DEFAULT_WIDTH = 2048, MIN_WIDTH = 256, MAX_WIDTH = 4096;
+var MAX_PLACES = 100;
+var OVERLAY_COLOR = "b3ffffff";  // KML aabbggrr: the overlay at 70% opacity, adjustable in Google Earth
+
+// The legend: a color bar as the page's #scale, above its bounds in a 3x5 pixel font drawn at twice the size.
+var LEGEND = { width: 272, height: 40, bar: { x: 8, y: 8, width: 256, height: 14 }, textY: 26, textScale: 2 };
+var LEGEND_BACKGROUND = [0, 0, 5, 160];
+var GLYPHS = {
+    "0": ["111", "101", "101", "101", "111"],
+    "1": ["010", "110", "010", "010", "111"],
+    "2": ["111", "001", "111", "100", "111"],
+    "3": ["111", "001", "111", "001", "111"],
+    "4": ["101", "101", "111", "001", "001"],
+    "5": ["111", "100", "111", "001", "111"],
+    "6": ["111", "100", "111", "101", "111"],
+    "7": ["111", "001", "001", "001", "001"],
+    "8": ["111", "101", "111", "101", "111"],
+    "9": ["111", "101", "111", "001", "111"],
+    "-": ["000", "000", "111", "000", "000"],
+    ".": ["000", "000", "000", "000", "010"]
+};
+
+function escapeXml(s) {
+    return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * @returns {string} a value in the product's first (default) units, e.g. "12.5 °C"
+ */
+function formatValue(product, value) {
+    var units = product.units[0];
+    return units.conversion(value).toFixed(units.precision) + " " + units.label;
+}
+
+function parseWidth(value) {
+    if (value === undefined || value === "") {
+        return DEFAULT_WIDTH;
+    }
+    var width = grids.parseCoordinate(value, "width", MIN_WIDTH, MAX_WIDTH);
+    if (width !== Math.floor(width) || width % 2 !== 0) {
+        throw grids.badRequest("width must be an even whole number");
+    }
+    return width;
+}
+
+/**
+ * @returns {Array<Object>} [{lat, lon, name}] from the place parameters
+ */
+function parsePlaces(value) {
+    var values = value === undefined ? [] : [].concat(value);
+    if (values.length > MAX_PLACES) {
+        throw grids.badRequest("at most " + MAX_PLACES + " places");
+    }
+    return values.map(function (place) {
+        var parts = place.split(",");
+        var lat = grids.parseCoordinate(parts[0], "place latitude", -90, 90);
+        var lon = grids.parseCoordinate(parts[1], "place longitude", -180, 360);
+        var name = parts.slice(2).join(",").trim();
+        return { lat: lat, lon: lon, name: name || lat.toFixed(2) + ", " + lon.toFixed(2) };
+    });
+}
+
+/**
+ * @returns {Uint8Array} RGBA pixels of the overlay over the globe, west to east from -180° and north to south
+ */
+function renderEquirectangular(overlay, width, height) {
+    return mapRender.renderOverlay({
+        width: width,
+        height: height,
+        invert: function (x, y) {
+            return [(x + 0.5) * 360 / width - 180, 90 - (y + 0.5) * 180 / height];
+        },
+        overlay: overlay,
+        alpha: 255
+    });
+}
+
+/**
+ * Draws text in the legend's font, e.g. "-40.5", with its left edge (align 0), center (0.5) or right edge (1) at x.
+ */
+function drawText(rgba, width, text, x, y, align) {
+    var s = LEGEND.textScale, advance = 4 * s;
+    var left = Math.round(x - align * (text.length * advance - s));
+    text.split("").forEach(function (c, k) {
+        var glyph = GLYPHS[c];
+        if (!glyph) return;
+        glyph.forEach(function (row, gy) {
+            for (var gx = 0; gx < row.length; gx++) {
+                if (row[gx] !== "1") continue;
+                for (var dy = 0; dy < s; dy++) {
+                    for (var dx = 0; dx < s; dx++) {
+                        var p = ((y + gy * s + dy) * width + left + k * advance + gx * s + dx) * 4;
+                        rgba[p] = rgba[p + 1] = rgba[p + 2] = rgba[p + 3] = 255;
+                    }
+                }
+            }
+        });
+    });
+}
+
+/**
+ * @returns {Uint8Array} RGBA pixels of the legend: the color bar as drawOverlay in earth.js draws it, and its bounds
+ *          in the product's first units
+ */
+function renderLegend(product) {
+    var width = LEGEND.width, height = LEGEND.height, bar = LEGEND.bar;
+    var rgba = new Uint8Array(width * height * 4);
+    for (var p = 0; p < rgba.length; p += 4) {
+        rgba.set(LEGEND_BACKGROUND, p);
+    }
+    var bounds = product.scale.bounds, n = bar.width - 1;
+    for (var i = 0; i <= n; i++) {
+        var color = product.scale.gradient(bounds[0] + (i / n) * (bounds[1] - bounds[0]), 255);
+        for (var y = bar.y; y < bar.y + bar.height; y++) {
+            rgba.set([color[0], color[1], color[2], 255], (y * width + bar.x + i) * 4);
+        }
+    }
+    var units = product.units[0];
+    drawText(rgba, width, units.conversion(bounds[0]).toFixed(units.precision), bar.x, LEGEND.textY, 0);
+    drawText(rgba, width, units.conversion(bounds[1]).toFixed(units.precision), bar.x + n, LEGEND.textY, 1);
+    return rgba;
+}
+
+function placemark(overlay, place) {
+    var value = overlay.interpolate(place.lon, place.lat);
+    var scalar = value !== null && overlay.field === "vector" ? value[2] : value;
+    var text = scalar !== null && scalar !== undefined ? formatValue(overlay, scalar) : "no data";
+    return "<Placemark><name>" + escapeXml(place.name) + "</name><description>" + escapeXml(text) +
+        "</description><Point><coordinates>" + place.lon + "," + place.lat + ",0</coordinates></Point></Placemark>";
+}
+
+/**
+ * @returns {string} the KML document
+ */
+function kmlFor(overlay, places) {
+    var description = overlay.description("en"), name = description.name + description.qualifier;
+    var units = overlay.units[0], date = overlay.date.toISOString();
+    var lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<kml xmlns=\"http://www.opengis.net/kml/2.2\">",
+        "<Document>",
+        "<name>" + escapeXml(name + " " + date) + "</name>",
+        "<description>" + escapeXml("earth-clock overlay valid " + date + ", source: " + overlay.source) +
+            "</description>",
+        "<GroundOverlay>",
+        "<name>" + escapeXml(name) + "</name>",
+        "<TimeStamp><when>" + date + "</when></TimeStamp>",
+        "<color>" + OVERLAY_COLOR + "</color>",
+        "<Icon><href>overlay.png</href></Icon>",
+        "<LatLonBox><north>90</north><south>-90</south><east>180</east><west>-180</west></LatLonBox>",
+        "</GroundOverlay>",
+        "<ScreenOverlay>",
+        "<name>" + escapeXml("Legend: " + name + " (" + units.label + ")") + "</name>",
+        "<Icon><href>legend.png</href></Icon>",
+        "<overlayXY x=\"0\" y=\"0\" xunits=\"fraction\" yunits=\"fraction\"/>",
+        "<screenXY x=\"10\" y=\"30\" xunits=\"pixels\" yunits=\"pixels\"/>",
+        "<size x=\"0\" y=\"0\" xunits=\"pixels\" yunits=\"pixels\"/>",
+        "</ScreenOverlay>"
+    ];
+    if (places.length > 0) {
+        lines.push("<Folder><name>Locations</name>");
+        places.forEach(function (place) {
+            lines.push(placemark(overlay, place));
+        });
+        lines.push("</Folder>");
+    }
+    lines.push("</Document>", "</kml>");
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * @returns {string} a file name for the export, e.g. "temp-850hPa-20240131T0600Z.kmz"
+ */
+function fileNameFor(overlayType, options, overlay) {
+    var product = grids.PRODUCTS[overlayType], parts = [overlayType];
+    if (!product || product.heightDependent) {
+        parts.push(options.level === "level" ? options.surface : options.level);
+    }
+    parts.push(overlay.date.toISOString().replace(/:\d\d\.\d+Z$/, "Z").replace(/[-:]/g, ""));
+    return parts.join("-") + ".kmz";
+}
+
+/**
+ * @param {string} publicDir
+ * @param {Object} query - the request's query parameters: overlay?, width?, place?, date?, level?
+ * @param {Object} renders - the render service (mapRender.createRenderService) to render the export in
+ * @returns {Promise} for {contentType, body, fileName}; rejected with an error with status 400 (bad query), 404
+ *          (no data) or 503 (busy, with retryAfter)
+ */
+function exportKmz(publicDir, query, renders) {
+    var overlayType = query.overlay || "wind", options, width, places;
+    try {
+        var types = pageProducts.overlayTypes(publicDir).filter(function (type) { return type !== "off"; });
+        if (types.indexOf(overlayType) < 0) {
+            throw grids.badRequest("overlay must be one of " + types.join(", "));
+        }
+        width = parseWidth(query.width);
+        places = parsePlaces(query.place);
+        options = grids.parseTimeAndLevel(query);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+
+    var date = options.date === "current" ? "current" : options.date.getTime();
+    var key = JSON.stringify(["kmz", overlayType, width, date, options.surface, options.level, places]);
+    return renders.queue(key, function () {
+        var attributes = mapRender.attributesFor(overlayType, options);
+        return pageProducts.loadOverlay(publicDir, attributes).then(function (overlay) {
+            var height = width / 2, rgba = renderEquirectangular(overlay, width, height);
+            var files = [
+                { name: "doc.kml", data: kmlFor(overlay, places) },
+                { name: "overlay.png", data: png.encodePng(width, height, rgba) },
+                { name: "legend.png", data: png.encodePng(LEGEND.width, LEGEND.height, renderLegend(overlay)) }
+            ];
+            return {
+                contentType: CONTENT_TYPE,
+                body: zip.createZip(files),
+                fileName: fileNameFor(overlayType, options, overlay)
+            };
+        });
+    });
+}
+
+module.exports = {
+    exportKmz: exportKmz
+};
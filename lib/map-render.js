@@ -0,0 +1,493 @@
+/**
+ * Server-side rendering of the map as a still image, for server.js's /api/render.png: embeds in chat posts,
+ * dashboards and emails, where the page's canvas cannot run.
+ *
+ *   GET /api/render.png?overlay=temp&projection=orthographic&orientation=-30,40,400&width=800&height=600
+ *
+ *   overlay      one of the page's overlay types (products.js): wind (default), temp, relative_humidity, ...,
+ *                currents, or off for the bare map
+ *   projection   orthographic (default), equirectangular, azimuthal_equidistant or stereographic (lib/projections.js)
+ *   orientation  "λ,φ,scale" as in the page's URL, e.g. the part after "orthographic=" (default: the whole globe);
+ *                the scale within the page's zoom range, 25 to 3000
+ *   width/height the image size in pixels, 16 to 2048 (default 1024x768)
+ *   daynight     true (default) or false: shade the night side, as the page's day/night overlay
+ *   date/level   as for /api/point: "current" (default) or an ISO 8601 time, and "surface" or e.g. "500hPa"
+ *
+ * The image is composed as the page is: the globe (#303030) on the page background, coastlines and lakes from
+ * earth-topo.json in white, the overlay's color scale at the page's 40% opacity, then the night side darkened by
+ * 40%. The overlay is interpolated and colored by the page's own products.js (lib/page-products.js). The night side
+ * is where the sun is below the horizon at the requested date, or now for current data.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var dataManifest = require("./data-manifest");
+var grids = require("./grids");
+var pageProducts = require("./page-products");
+var projections = require("./projections");
+var png = require("./png");
+
+var OVERLAY_ALPHA = Math.floor(0.4 * 255);   // as earth.js
+var DAYNIGHT_ALPHA = Math.floor(0.4 * 255);  // as earth.js
+var BACKGROUND = [0, 0, 5];                  // body, styles.css
+var SPHERE = [48, 48, 48];                   // .background-sphere
+var COASTLINE = [255, 255, 255];             // .coastline, .lakes
+
+var DEFAULT_SIZE = { width: 1024, height: 768 };
+var MAX_SIZE = 2048;
+var MIN_SIZE = 16;
+
+var RAD = Math.PI / 180;
+
+var coastlines = null;  // promise for the decoded lines of earth-topo.json
+
+/**
+ * @returns {Array<Array>} the lines ([[λ, φ], ...]) of a TopoJSON object's LineStrings, MultiLineStrings and
+ *          Polygons (as rings), decoding the quantized, delta-encoded arcs. See https://github.com/topojson.
+ */
+function topologyLines(topology, object) {
+    var scale = topology.transform.scale, translate = topology.transform.translate;
+    var arcs = topology.arcs.map(function (arc) {
+        var x = 0, y = 0;
+        return arc.map(function (delta) {
+            x += delta[0];
+            y += delta[1];
+            return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+        });
+    });
+
+    function line(indexes) {
+        var points = [];
+        indexes.forEach(function (index, k) {
+            var arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+            points.push.apply(points, k > 0 ? arc.slice(1) : arc);  // consecutive arcs share an end point
+        });
+        return points;
+    }
+
+    var lines = [];
+    object.geometries.forEach(function (geometry) {
+        switch (geometry.type) {
+            case "LineString":
+                lines.push(line(geometry.arcs));
+                break;
+            case "MultiLineString":
+            case "Polygon":
+                geometry.arcs.forEach(function (part) { lines.push(line(part)); });
+                break;
+        }
+    });
+    return lines;
+}
+
+/**
+ * @returns {Promise} for the coastline and lake lines the page draws when the globe is at rest
+ */
+function loadCoastlines(publicDir) {
+    if (!coastlines) {
+        coastlines = new Promise(function (resolve, reject) {
+            fs.readFile(path.join(publicDir, "data", "earth-topo.json"), "utf8", function (err, text) {
+                if (err) return reject(err);
+                try {
+                    var topology = JSON.parse(text);
+                    resolve(topologyLines(topology, topology.objects.coastline_50m)
+                        .concat(topologyLines(topology, topology.objects.lakes_50m)));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+        coastlines.catch(function () {
+            coastlines = null;  // try again on the next request
+        });
+    }
+    return coastlines;
+}
+
+/**
+ * Draws an antialiased line into a coverage buffer (Xiaolin Wu's algorithm), keeping the largest coverage of each
+ * pixel.
+ */
+function drawLine(coverage, width, height, x0, y0, x1, y1) {
+    var steep = Math.abs(y1 - y0) > Math.abs(x1 - x0), t;
+    if (steep) {
+        t = x0; x0 = y0; y0 = t;
+        t = x1; x1 = y1; y1 = t;
+    }
+    if (x0 > x1) {
+        t = x0; x0 = x1; x1 = t;
+        t = y0; y0 = y1; y1 = t;
+    }
+    var dx = x1 - x0, gradient = dx === 0 ? 1 : (y1 - y0) / dx;
+
+    function plot(x, y, c) {
+        var px = steep ? y : x, py = steep ? x : y;
+        if (px >= 0 && px < width && py >= 0 && py < height) {
+            var i = py * width + px;
+            if (c > coverage[i]) coverage[i] = c;
+        }
+    }
+
+    var y = y0 + gradient * (Math.round(x0) - x0);
+    for (var x = Math.round(x0); x <= Math.round(x1); x++) {
+        var fy = Math.floor(y), f = y - fy;
+        plot(x, fy, 1 - f);
+        plot(x, fy + 1, f);
+        y += gradient;
+    }
+}
+
+/**
+ * @returns {Function} (λ, φ) -> true if the sun is above the horizon there at the date, with the same approximation
+ *          as calculateDayNightStatus in earth.js (see DAY_NIGHT_CALCULATION.md)
+ */
+function daylight(date) {
+    var startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+    var dayOfYear = Math.floor((date.getTime() - startOfYear) / (24 * 60 * 60 * 1000)) + 1;
+    var declination = 23.45 * RAD * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+    var hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+    var sinδ = Math.sin(declination), cosδ = Math.cos(declination);
+    return function (λ, φ) {
+        var hourAngle = ((hours - 12) * 15 + λ) * RAD;
+        return Math.sin(φ * RAD) * sinδ + Math.cos(φ * RAD) * cosδ * Math.cos(hourAngle) > 0;
+    };
+}
+
+/**
+ * @returns {Array} the overlay's color [r, g, b, alpha] at a point, as interpolateField in earth.js colors it, or null
+ *          where the overlay has no value
+ */
+function overlayColor(overlay, λ, φ, alpha) {
+    var value = overlay.interpolate(λ, φ);
+    var scalar = value !== null && overlay.field === "vector" ? value[2] : value;
+    return scalar !== null && scalar !== undefined ? overlay.scale.gradient(scalar, alpha) : null;
+}
+
+/**
+ * Rasterizes the map.
+ *
+ * @param {Object} options - {width, height, projection (from lib/projections.js), overlay (a loaded product from
+ *        lib/page-products.js, or null), lines (Array of [[λ, φ], ...], or null), date (Date to shade the night
+ *        side at, or null)}
+ * @returns {Uint8Array} RGBA pixels
+ */
+function renderImage(options) {
+    var width = options.width, height = options.height, projection = options.projection;
+    var overlay = options.overlay, isDay = options.date ? daylight(options.date) : null;
+    var rgba = new Uint8Array(width * height * 4);
+
+    var coverage = new Float32Array(width * height);
+    var maxStep = projection.scale * 0.5;  // longer segments wrap around the map (e.g. across the antimeridian)
+    (options.lines || []).forEach(function (line) {
+        var previous = null;
+        line.forEach(function (coord) {
+            var p = projection.project(coord[0], coord[1]);
+            if (p && previous && Math.abs(p[0] - previous[0]) + Math.abs(p[1] - previous[1]) < maxStep) {
+                drawLine(coverage, width, height, previous[0], previous[1], p[0], p[1]);
+            }
+            previous = p;
+        });
+    });
+
+    for (var y = 0, i = 0; y < height; y++) {
+        for (var x = 0; x < width; x++, i++) {
+            var coord = projection.invert(x, y), r, g, b;
+            if (!coord) {
+                r = BACKGROUND[0]; g = BACKGROUND[1]; b = BACKGROUND[2];
+            } else {
+                var λ = coord[0], φ = coord[1], c = coverage[i];
+                r = SPHERE[0] + (COASTLINE[0] - SPHERE[0]) * c;
+                g = SPHERE[1] + (COASTLINE[1] - SPHERE[1]) * c;
+                b = SPHERE[2] + (COASTLINE[2] - SPHERE[2]) * c;
+                var color = overlay ? overlayColor(overlay, λ, φ, OVERLAY_ALPHA) : null;
+                if (color) {
+                    var a = color[3] / 255;
+                    r += (color[0] - r) * a;
+                    g += (color[1] - g) * a;
+                    b += (color[2] - b) * a;
+                }
+                if (isDay && !isDay(λ, φ)) {
+                    var dim = 1 - DAYNIGHT_ALPHA / 255;
+                    r *= dim; g *= dim; b *= dim;
+                }
+            }
+            var p = i * 4;
+            rgba[p] = Math.round(r);
+            rgba[p + 1] = Math.round(g);
+            rgba[p + 2] = Math.round(b);
+            rgba[p + 3] = 255;
+        }
+    }
+    return rgba;
+}
+
+/**
+ * Rasterizes the overlay alone, transparent where it has no value, e.g. for map tiles drawn over another map.
+ *
+ * @param {Object} options - {width, height, invert(x, y) -> [λ, φ] or null for the pixel at x, y, overlay (a loaded
+ *        product from lib/page-products.js), alpha (0-255)}
+ * @returns {Uint8Array} RGBA pixels
+ */
+function renderOverlay(options) {
+    var width = options.width, height = options.height, rgba = new Uint8Array(width * height * 4);
+    for (var y = 0, p = 0; y < height; y++) {
+        for (var x = 0; x < width; x++, p += 4) {
+            var coord = options.invert(x, y);
+            var color = coord ? overlayColor(options.overlay, coord[0], coord[1], options.alpha) : null;
+            if (color) {
+                rgba[p] = color[0];
+                rgba[p + 1] = color[1];
+                rgba[p + 2] = color[2];
+                rgba[p + 3] = color[3];
+            }
+        }
+    }
+    return rgba;
+}
+
+function parseSize(value, name, fallback) {
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    var n = grids.parseCoordinate(value, name, MIN_SIZE, MAX_SIZE);
+    if (n !== Math.floor(n)) {
+        throw grids.badRequest(name + " must be a whole number");
+    }
+    return n;
+}
+
+function parseFlag(value, name, fallback) {
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    var s = String(value).toLowerCase();
+    if (s !== "true" && s !== "false") {
+        throw grids.badRequest(name + " must be true or false");
+    }
+    return s === "true";
+}
+
+/**
+ * @returns {Object} the page's configuration attributes for an overlay at a time and height (see micro.js's parse)
+ */
+function attributesFor(overlay, options) {
+    var date = "current", hour = "";
+    if (options.date !== "current") {
+        // GFS layers are three-hourly; OSCAR is looked up by day.
+        var d = options.date;
+        date = [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()].map(function (n, k) {
+            return k === 0 ? String(n) : (n < 10 ? "0" : "") + n;
+        }).join("/");
+        var h = Math.floor(d.getUTCHours() / 3) * 3;
+        hour = (h < 10 ? "0" : "") + h + "00";
+    }
+    if (overlay === "currents") {
+        return { date: date, hour: hour, param: "ocean", surface: "surface", level: "currents", overlayType: "default" };
+    }
+    return {
+        date: date, hour: hour, param: "wind", surface: options.surface, level: options.level,
+        overlayType: overlay === "wind" ? "default" : overlay
+    };
+}
+
+/**
+ * @returns {string?} the orientation as "λ,φ,scale", or undefined to frame the whole globe; throws an error with
+ *          status 400 if it is not three numbers with the scale within the page's zoom range
+ */
+function parseOrientation(value) {
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+    var parts = String(value).split(","), extent = projections.SCALE_EXTENT;
+    if (parts.length !== 3) {
+        throw grids.badRequest("orientation must be λ,φ,scale");
+    }
+    return [
+        grids.parseCoordinate(parts[0], "orientation λ", -360, 360),
+        grids.parseCoordinate(parts[1], "orientation φ", -90, 90),
+        grids.parseCoordinate(parts[2], "orientation scale", extent[0], extent[1])
+    ].join(",");
+}
+
+/**
+ * @returns {Object} the request with defaults applied, {overlay, projection, orientation, width, height, daynight,
+ *          options: {date, surface, level}}; throws an error with status 400 if the query is invalid
+ */
+function parseRequest(publicDir, query) {
+    var overlay = query.overlay || "wind", projection = query.projection || "orthographic";
+    if (pageProducts.overlayTypes(publicDir).indexOf(overlay) < 0) {
+        throw grids.badRequest("overlay must be one of " + pageProducts.overlayTypes(publicDir).join(", "));
+    }
+    if (projections.names().indexOf(projection) < 0) {
+        throw grids.badRequest("projection must be one of " + projections.names().join(", "));
+    }
+    return {
+        overlay: overlay,
+        projection: projection,
+        orientation: parseOrientation(query.orientation),
+        width: parseSize(query.width, "width", DEFAULT_SIZE.width),
+        height: parseSize(query.height, "height", DEFAULT_SIZE.height),
+        daynight: parseFlag(query.daynight, "daynight", true),
+        options: grids.parseTimeAndLevel(query)
+    };
+}
+
+function draw(publicDir, request) {
+    var options = request.options, view = { width: request.width, height: request.height };
+    return Promise.all([
+        pageProducts.loadOverlay(publicDir, attributesFor(request.overlay, options)),
+        loadCoastlines(publicDir)
+    ]).then(function (loaded) {
+        var rgba = renderImage({
+            width: view.width,
+            height: view.height,
+            projection: projections.createProjection(request.projection, view, request.orientation),
+            overlay: loaded[0],
+            lines: loaded[1],
+            date: !request.daynight ? null : options.date === "current" ? new Date() : options.date
+        });
+        return { contentType: "image/png", body: png.encodePng(view.width, view.height, rgba) };
+    });
+}
+
+/**
+ * @param {string} publicDir
+ * @param {Object} query - the request's query parameters: overlay?, projection?, orientation?, width?, height?,
+ *        daynight?, date?, level?
+ * @returns {Promise} for {contentType, body}; rejected with an error with status 400 (bad query) or 404 (no data)
+ */
+function renderMap(publicDir, query) {
+    try {
+        return draw(publicDir, parseRequest(publicDir, query));
+    } catch (e) {
+        return Promise.reject(e);
+    }
+}
+
+/**
+ * Renders map images for server.js one at a time, as each takes the event loop for up to a second or two at the
+ * largest size: a few requests at once would otherwise hold up every other route. Renders wait their turn in a short
+ * queue; when it is full, requests are turned away with status 503. Images are kept in memory, up to a byte budget,
+ * for as long as they may be cached downstream (the night side of current data moves on), and requests for an image
+ * already being rendered share it. The cache is emptied when either service publishes a new run. Other costly
+ * renders (lib/kmz-export.js) take their turn in the same queue with queue(key, job).
+ *
+ * @param {Object} options - {publicDir, cacheBytes: the most memory cached images may take, maxQueued: renders that
+ *        may wait for their turn, maxAge: seconds an image is reused}
+ * @returns {Object} {render(query) -> Promise as renderMap's, also rejected with status 503 and retryAfter (seconds)
+ *          when busy; queue(key, job) -> Promise for job()'s {contentType, body, ...}, run in turn and cached under
+ *          key as images are, rejected as render's when busy; size() -> {images, bytes, queued}}
+ */
+function createRenderService(options) {
+    var publicDir = options.publicDir, cacheBytes = options.cacheBytes, maxQueued = options.maxQueued;
+    var maxAge = options.maxAge * 1000;
+    var images = new Map();   // key -> {result, expires}, least recently used first
+    var pending = new Map();  // key -> promise for a render queued or in progress
+    var bytes = 0, queued = 0;
+    var generation = 0;       // incremented when a new run is published, so older renders are not cached after it
+    var manifests = dataManifest.watchManifests(publicDir);
+    var turn = Promise.resolve();
+
+    function forget(key) {
+        bytes -= images.get(key).result.body.length;
+        images.delete(key);
+    }
+
+    function remember(key, result) {
+        images.set(key, { result: result, expires: Date.now() + maxAge });
+        bytes += result.body.length;
+        while (bytes > cacheBytes && images.size > 0) {
+            forget(images.keys().next().value);
+        }
+    }
+
+    /**
+     * Empties the cache when either service has published a new run: "current" images would otherwise show the old
+     * one until they expire.
+     */
+    function checkManifests() {
+        return manifests.check().then(function (changed) {
+            if (changed) {
+                images.clear();
+                pending.clear();
+                bytes = 0;
+                generation++;
+                pageProducts.refresh(publicDir);
+            }
+        });
+    }
+
+    function run(key, job) {
+        var cached = images.get(key);
+        if (cached && cached.expires > Date.now()) {
+            images.delete(key);
+            images.set(key, cached);
+            return Promise.resolve(cached.result);
+        }
+        if (cached) {
+            forget(key);
+        }
+        if (pending.has(key)) {
+            return pending.get(key);
+        }
+        if (queued >= maxQueued) {
+            var busy = new Error("too many map images being rendered; try again shortly");
+            busy.status = 503;
+            busy.retryAfter = 5;
+            return Promise.reject(busy);
+        }
+        queued++;
+        var started = generation;
+        var rendering = turn.then(function () {
+            return new Promise(function (resolve) {
+                setImmediate(resolve);  // let requests that arrived during the previous render be served first
+            });
+        }).then(job);
+        turn = rendering.catch(function () {});
+        pending.set(key, rendering);
+        rendering.then(function (result) {
+            if (generation === started) remember(key, result);
+        }, function () {}).then(function () {
+            queued--;
+            if (pending.get(key) === rendering) pending.delete(key);
+        });
+        return rendering;
+    }
+
+    function render(query) {
+        var request;
+        try {
+            request = parseRequest(publicDir, query);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        var o = request.options;
+        var key = JSON.stringify([request.overlay, request.projection, request.orientation || "", request.width,
+            request.height, request.daynight, o.date === "current" ? "current" : o.date.getTime(), o.surface, o.level]);
+        return queue(key, function () {
+            return draw(publicDir, request);
+        });
+    }
+
+    function queue(key, job) {
+        return checkManifests().then(function () {
+            return run(key, job);
+        });
+    }
+
+    return {
+        render: render,
+        queue: queue,
+        size: function () { return { images: images.size, bytes: bytes, queued: queued }; }
+    };
+}
+
+module.exports = {
+    attributesFor: attributesFor,
+    createRenderService: createRenderService,
+    renderImage: renderImage,
+    renderMap: renderMap,
+    renderOverlay: renderOverlay
+};
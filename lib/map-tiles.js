@@ -0,0 +1,216 @@
+/**
+ * XYZ map tiles of the overlays for server.js, so web maps (Leaflet, OpenLayers, ...) can show them
+ *
+ *   GET /tiles/temp/3/4/2.png      a 256x256 Web Mercator (EPSG:3857) tile of the current temperature overlay
+ *   GET /tiles/temp/3/4/2.png?level=500hPa&date=2024-01-31T06:00Z
+ *   GET /tiles/temp.json           TileJSON 2.2.0 for the tile set, e.g. for L.tileLayer or ol/source/TileJSON
+ *
+ * The overlay is any of the page's (products.js) except "off"; date and level are as for /api/point. Tiles are
+ * colored with the overlay's color scale at full opacity and are transparent where there is no value (e.g. currents
+ * over land): set the layer's opacity in the web map to let the base map show through.
+ *
+ * Rendered tiles are kept in memory, up to a byte budget, until the data changes, as are the last few overlays they
+ * were rendered from. The services' manifests are checked on each request and the caches are emptied when either has
+ * been rewritten, as happens when a new run is published, whether by this process or by a separate weather service.
+ */
+
+"use strict";
+
+var querystring = require("querystring");
+var dataManifest = require("./data-manifest");
+var grids = require("./grids");
+var pageProducts = require("./page-products");
+var mapRender = require("./map-render");
+var png = require("./png");
+
+var TILE_SIZE = 256;
+var MAX_ZOOM = 10;  // far beyond the 1° GFS grid already
+var MAX_LATITUDE = 85.0511287798;  // the edge of the Web Mercator square
+
+// Loaded products (decoded grids, a few MB each) kept for rendering tiles: enough for the current layers and a few
+// dates being browsed, without holding every date ever asked for in memory.
+var MAX_OVERLAYS = 8;
+
+/**
+ * @returns {Function} (px, py) -> [λ, φ] of the center of a pixel of tile x, y at zoom z
+ */
+function tileInverter(z, x, y) {
+    var n = TILE_SIZE * Math.pow(2, z);
+    return function (px, py) {
+        var mx = (x * TILE_SIZE + px + 0.5) / n, my = (y * TILE_SIZE + py + 0.5) / n;
+        return [mx * 360 - 180, Math.atan(Math.sinh(Math.PI * (1 - 2 * my))) * 180 / Math.PI];
+    };
+}
+
+/**
+ * @returns {Date?} the time of the layers the attributes select, or null for the current ones
+ */
+function validTimeOf(attributes) {
+    if (attributes.date === "current") {
+        return null;
+    }
+    var parts = attributes.date.split("/");
+    return new Date(Date.UTC(+parts[0], parts[1] - 1, +parts[2], +(attributes.hour || "0000").substr(0, 2)));
+}
+
+/**
+ * @param {Object} options - {publicDir, cacheBytes: the most memory rendered tiles may take}
+ * @returns {Object} {handle(pathname, query, baseUrl), invalidate(), size()}
+ */
+function createTileService(options) {
+    var publicDir = options.publicDir, cacheBytes = options.cacheBytes;
+    var tiles = new Map();  // key -> PNG, least recently used first
+    var bytes = 0;
+    var overlays = new Map();  // attributes -> promise for the loaded product, least recently used first
+    var generation = 0;     // incremented by invalidate, so renders begun before it are not cached after it
+    var manifests = dataManifest.watchManifests(publicDir);
+
+    function invalidate() {
+        tiles.clear();
+        bytes = 0;
+        overlays.clear();
+        generation++;
+    }
+
+    /**
+     * @returns {Promise} that resolves once the cache has been emptied if the manifests changed since the last check
+     */
+    function checkManifests() {
+        return manifests.check().then(function (changed) {
+            if (changed) {
+                invalidate();
+                pageProducts.refresh(publicDir);
+            }
+        });
+    }
+
+    function loadOverlay(attributes) {
+        var key = JSON.stringify(attributes), loading = overlays.get(key);
+        if (loading) {
+            overlays.delete(key);
+        } else {
+            loading = pageProducts.loadOverlay(publicDir, attributes);
+            loading.catch(function () {
+                if (overlays.get(key) === loading) overlays.delete(key);  // e.g. not published yet: ask again next time
+            });
+        }
+        overlays.set(key, loading);
+        while (overlays.size > MAX_OVERLAYS) {
+            overlays.delete(overlays.keys().next().value);
+        }
+        return loading;
+    }
+
+    function remember(key, body) {
+        tiles.set(key, body);
+        bytes += body.length;
+        while (bytes > cacheBytes && tiles.size > 0) {
+            var oldest = tiles.keys().next().value;
+            bytes -= tiles.get(oldest).length;
+            tiles.delete(oldest);
+        }
+    }
+
+    function parseRequest(overlay, query) {
+        var types = pageProducts.overlayTypes(publicDir).filter(function (type) { return type !== "off"; });
+        if (types.indexOf(overlay) < 0) {
+            throw grids.notFound("no tiles for " + overlay + "; overlays are " + types.join(", "));
+        }
+        return mapRender.attributesFor(overlay, grids.parseTimeAndLevel(query));
+    }
+
+    function tile(overlay, z, x, y, query) {
+        var attributes = parseRequest(overlay, query), n = Math.pow(2, z);
+        if (z > MAX_ZOOM || x >= n || y >= n) {
+            throw grids.notFound("no tile " + z + "/" + x + "/" + y + " (zoom levels 0 to " + MAX_ZOOM + ")");
+        }
+        var key = [overlay, attributes.date, attributes.hour, attributes.surface, attributes.level, z, x, y].join("/");
+        var result = { contentType: "image/png", validTime: validTimeOf(attributes) };
+        return checkManifests().then(function () {
+            var cached = tiles.get(key);
+            if (cached) {
+                tiles.delete(key);
+                tiles.set(key, cached);
+                result.body = cached;
+                return result;
+            }
+            var started = generation;
+            return loadOverlay(attributes).then(function (product) {
+                var rgba = mapRender.renderOverlay({
+                    width: TILE_SIZE,
+                    height: TILE_SIZE,
+                    invert: tileInverter(z, x, y),
+                    overlay: product,
+                    alpha: 255
+                });
+                result.body = png.encodePng(TILE_SIZE, TILE_SIZE, rgba);
+                if (started === generation) {
+                    remember(key, result.body);
+                }
+                return result;
+            });
+        });
+    }
+
+    function tileJson(overlay, query, baseUrl) {
+        var attributes = parseRequest(overlay, query);
+        var params = {};
+        ["date", "level"].forEach(function (name) {
+            if (query[name]) params[name] = query[name];
+        });
+        var search = Object.keys(params).length > 0 ? "?" + querystring.stringify(params) : "";
+        return checkManifests().then(function () {
+            return loadOverlay(attributes);
+        }).then(function (product) {
+            var description = product.description("en");
+            return {
+                contentType: "application/json",
+                validTime: validTimeOf(attributes),
+                body: JSON.stringify({
+                    tilejson: "2.2.0",
+                    name: description.name + description.qualifier,
+                    description: "earth-clock overlay, valid " + product.date.toISOString(),
+                    attribution: product.source,
+                    scheme: "xyz",
+                    tiles: [baseUrl + "/tiles/" + overlay + "/{z}/{x}/{y}.png" + search],
+                    minzoom: 0,
+                    maxzoom: MAX_ZOOM,
+                    bounds: [-180, -MAX_LATITUDE, 180, MAX_LATITUDE],
+                    center: [0, 0, 2]
+                }, null, 2)
+            };
+        });
+    }
+
+    /**
+     * @param {string} pathname - "/tiles/{overlay}/{z}/{x}/{y}.png" or "/tiles/{overlay}.json"
+     * @param {Object} query - the request's query parameters: date?, level?
+     * @param {string} baseUrl - the server's URL including any base path, for the tile URLs in TileJSON
+     * @returns {Promise} for {contentType, body, validTime (Date, or null for current data)}; rejected with an
+     *          error with status 400 (bad query) or 404 (no such tile or data)
+     */
+    function handle(pathname, query, baseUrl) {
+        try {
+            var m = /^\/tiles\/(\w+)\/(\d+)\/(\d+)\/(\d+)\.png$/.exec(pathname);
+            if (m) {
+                return tile(m[1], +m[2], +m[3], +m[4], query);
+            }
+            if ((m = /^\/tiles\/(\w+)\.json$/.exec(pathname))) {
+                return tileJson(m[1], query, baseUrl);
+            }
+            throw grids.notFound("tiles are at /tiles/{overlay}/{z}/{x}/{y}.png, TileJSON at /tiles/{overlay}.json");
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    }
+
+    return {
+        handle: handle,
+        invalidate: invalidate,
+        size: function () { return { tiles: tiles.size, bytes: bytes }; }
+    };
+}
+
+module.exports = {
+    createTileService: createTileService
+};
@@ -0,0 +1,219 @@
+/**
+ * Prometheus metrics
+ *
+ * A minimal registry of counters, gauges and histograms rendered in the Prometheus text exposition format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/). server.js serves it at /metrics; the weather and
+ * OSCAR services record their runs into the same shared registry:
+ *
+ *   var metrics = require("./lib/metrics");
+ *   var runs = metrics.registry.counter("earth_clock_update_runs_total", "Update runs", ["service", "result"]);
+ *   runs.inc({ service: "weather", result: "success" });
+ *
+ * Label values must come from small fixed sets (routes, not URLs), or the number of series grows without bound.
+ */
+
+"use strict";
+
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+    var keys = Object.keys(labels);
+    if (keys.length === 0) {
+        return "";
+    }
+    return "{" + keys.map(function (key) {
+        return key + "=\"" + escapeLabel(labels[key]) + "\"";
+    }).join(",") + "}";
+}
+
+function formatValue(value) {
+    return value === Infinity ? "+Inf" : value === -Infinity ? "-Inf" : String(value);
+}
+
+/**
+ * @returns {Object} labels restricted to (and ordered by) labelNames; missing labels are ""
+ */
+function pickLabels(labelNames, labels) {
+    var picked = {};
+    labelNames.forEach(function (name) {
+        picked[name] = labels && labels[name] !== undefined && labels[name] !== null ? String(labels[name]) : "";
+    });
+    return picked;
+}
+
+function createMetric(type, name, help, labelNames) {
+    var series = {};  // label key -> {labels, value} (or histogram state)
+    return {
+        type: type,
+        name: name,
+        help: help,
+        labelNames: labelNames || [],
+        series: series,
+        get: function (labels) {
+            var picked = pickLabels(this.labelNames, labels);
+            var key = JSON.stringify(picked);
+            return series[key] || (series[key] = { labels: picked, value: 0 });
+        }
+    };
+}
+
+function createCounter(name, help, labelNames) {
+    var metric = createMetric("counter", name, help, labelNames);
+    metric.inc = function (labels, amount) {
+        this.get(labels).value += amount === undefined ? 1 : amount;
+    };
+    metric.lines = function () {
+        var name = this.name;
+        return Object.keys(this.series).map(function (key) {
+            var s = metric.series[key];
+            return name + formatLabels(s.labels) + " " + formatValue(s.value);
+        });
+    };
+    return metric;
+}
+
+function createGauge(name, help, labelNames) {
+    var metric = createMetric("gauge", name, help, labelNames);
+    metric.set = function (labels, value) {
+        this.get(labels).value = value;
+    };
+    metric.inc = function (labels, amount) {
+        this.get(labels).value += amount === undefined ? 1 : amount;
+    };
+    metric.dec = function (labels, amount) {
+        this.get(labels).value -= amount === undefined ? 1 : amount;
+    };
+    metric.lines = function () {
+        var name = this.name;
+        return Object.keys(this.series).filter(function (key) {
+            var value = metric.series[key].value;
+            return typeof value === "number" && !isNaN(value);
+        }).map(function (key) {
+            var s = metric.series[key];
+            return name + formatLabels(s.labels) + " " + formatValue(s.value);
+        });
+    };
+    return metric;
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+    var metric = createMetric("histogram", name, help, labelNames);
+    metric.buckets = (buckets || DEFAULT_BUCKETS).slice().sort(function (a, b) { return a - b; });
+    metric.observe = function (labels, value) {
+        var s = this.get(labels);
+        if (!s.counts) {
+            s.counts = this.buckets.map(function () { return 0; });
+            s.sum = 0;
+            s.count = 0;
+        }
+        for (var i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                s.counts[i]++;
+            }
+        }
+        s.sum += value;
+        s.count++;
+    };
+    /**
+     * Start a timer; calling the returned function observes the elapsed seconds (with labels merged in).
+     */
+    metric.startTimer = function (labels) {
+        var start = process.hrtime();
+        var me = this;
+        return function (moreLabels) {
+            var elapsed = process.hrtime(start);
+            var all = {};
+            Object.keys(labels || {}).forEach(function (k) { all[k] = labels[k]; });
+            Object.keys(moreLabels || {}).forEach(function (k) { all[k] = moreLabels[k]; });
+            me.observe(all, elapsed[0] + elapsed[1] / 1e9);
+        };
+    };
+    metric.lines = function () {
+        var name = this.name, buckets = this.buckets;
+        var lines = [];
+        Object.keys(this.series).forEach(function (key) {
+            var s = metric.series[key];
+            if (!s.counts) return;
+            buckets.forEach(function (le, i) {
+                lines.push(name + "_bucket" + formatLabels(withLabel(s.labels, "le", formatValue(le))) + " " + s.counts[i]);
+            });
+            lines.push(name + "_bucket" + formatLabels(withLabel(s.labels, "le", "+Inf")) + " " + s.count);
+            lines.push(name + "_sum" + formatLabels(s.labels) + " " + formatValue(s.sum));
+            lines.push(name + "_count" + formatLabels(s.labels) + " " + s.count);
+        });
+        return lines;
+    };
+    return metric;
+}
+
+function withLabel(labels, name, value) {
+    var copy = {};
+    Object.keys(labels).forEach(function (k) { copy[k] = labels[k]; });
+    copy[name] = value;
+    return copy;
+}
+
+/**
+ * Create a registry. Registering a name twice returns the existing metric, so modules can declare the metrics they
+ * use independently.
+ *
+ * @returns {Object} {counter(name, help, labelNames), gauge(...), histogram(name, help, labelNames, buckets),
+ *          render(): string}
+ */
+function createRegistry() {
+    var metrics = {};
+
+    function register(name, create) {
+        return metrics[name] || (metrics[name] = create());
+    }
+
+    return {
+        counter: function (name, help, labelNames) {
+            return register(name, function () { return createCounter(name, help, labelNames); });
+        },
+        gauge: function (name, help, labelNames) {
+            return register(name, function () { return createGauge(name, help, labelNames); });
+        },
+        histogram: function (name, help, labelNames, buckets) {
+            return register(name, function () { return createHistogram(name, help, labelNames, buckets); });
+        },
+        render: function () {
+            return Object.keys(metrics).sort().map(function (name) {
+                var metric = metrics[name];
+                return ["# HELP " + name + " " + metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"),
+                    "# TYPE " + name + " " + metric.type].concat(metric.lines()).join("\n");
+            }).join("\n") + "\n";
+        }
+    };
+}
+
+var registry = createRegistry();
+
+/**
+ * The metrics every background data service (weather, OSCAR) records into the shared registry, labelled by service.
+ *
+ * @returns {Object} {runs, duration, downloadBytes}
+ */
+function updateMetrics() {
+    return {
+        runs: registry.counter("earth_clock_update_runs_total",
+            "Data update runs, by service and result (success or failure)", ["service", "result"]),
+        duration: registry.histogram("earth_clock_update_duration_seconds",
+            "Duration of data update runs, by service and result", ["service", "result"],
+            [1, 5, 15, 30, 60, 120, 300, 600, 1200, 3600]),
+        downloadBytes: registry.counter("earth_clock_download_bytes_total",
+            "Bytes downloaded from upstream, by service and provider", ["service", "provider"])
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE: "text/plain; version=0.0.4; charset=utf-8",
+    createRegistry: createRegistry,
+    // Shared by server.js and the background services.
+    registry: registry,
+    updateMetrics: updateMetrics
+};
@@ -0,0 +1,169 @@
+/**
+ * A minimal writer of classic NetCDF files (format version 1, "CDF\x01") for the grid exports (lib/grid-export.js):
+ * fixed-size dimensions and variables of int, float or double values, with attributes. The CF metadata that makes the
+ * file self-describing for xarray, Panoply or QGIS is up to the caller.
+ *
+ * See https://docs.unidata.ucar.edu/netcdf-c/current/file_format_specifications.html.
+ */
+
+"use strict";
+
+var NC_DIMENSION = 0x0a, NC_VARIABLE = 0x0b, NC_ATTRIBUTE = 0x0c;
+
+var TYPES = {
+    char: { code: 2, size: 1 },
+    int: { code: 4, size: 4 },
+    float: { code: 5, size: 4 },
+    double: { code: 6, size: 8 }
+};
+
+function padded(n) {
+    return Math.ceil(n / 4) * 4;
+}
+
+/**
+ * Writes big-endian values into a growing list of buffers.
+ */
+function createWriter() {
+    var parts = [], length = 0;
+
+    function push(buffer) {
+        parts.push(buffer);
+        length += buffer.length;
+    }
+
+    function int(x) {
+        var b = Buffer.alloc(4);
+        b.writeInt32BE(x, 0);
+        push(b);
+    }
+
+    return {
+        int: int,
+        name: function (s) {
+            var bytes = Buffer.from(s, "utf8");
+            int(bytes.length);
+            push(bytes);
+            push(Buffer.alloc(padded(bytes.length) - bytes.length));
+        },
+        values: function (type, values) {
+            var size = TYPES[type].size, b = Buffer.alloc(padded(values.length * size));
+            for (var i = 0; i < values.length; i++) {
+                if (type === "float") b.writeFloatBE(values[i], i * 4);
+                else if (type === "double") b.writeDoubleBE(values[i], i * 8);
+                else b.writeInt32BE(values[i], i * 4);
+            }
+            push(b);
+        },
+        bytes: function (buffer) {
+            push(buffer);
+            push(Buffer.alloc(padded(buffer.length) - buffer.length));
+        },
+        length: function () { return length; },
+        buffer: function () { return Buffer.concat(parts, length); }
+    };
+}
+
+/**
+ * @returns {Object} {type, values} of an attribute: a string is text, a number a double, or {type, value(s)} as given
+ */
+function attributeValue(value) {
+    if (typeof value === "string") {
+        return { type: "char", text: Buffer.from(value, "utf8") };
+    }
+    if (typeof value === "number") {
+        return { type: "double", values: [value] };
+    }
+    return { type: value.type, values: value.values || [value.value] };
+}
+
+function writeAttributes(writer, attributes) {
+    var names = Object.keys(attributes || {});
+    if (names.length === 0) {
+        writer.int(0);  // ABSENT
+        writer.int(0);
+        return;
+    }
+    writer.int(NC_ATTRIBUTE);
+    writer.int(names.length);
+    names.forEach(function (name) {
+        var value = attributeValue(attributes[name]);
+        writer.name(name);
+        writer.int(TYPES[value.type].code);
+        if (value.text) {
+            writer.int(value.text.length);
+            writer.bytes(value.text);
+        } else {
+            writer.int(value.values.length);
+            writer.values(value.type, value.values);
+        }
+    });
+}
+
+/**
+ * @param {Object} file - {dimensions: [{name, size}], attributes: {name: value} (global), variables: [{name,
+ *        dimensions: [dimension names, slowest varying first], type: "float", "double" or "int", attributes,
+ *        values: array-like in row-major order}]}. Attribute values are strings, numbers (stored as doubles) or
+ *        {type, value} / {type, values}.
+ * @returns {Buffer} the NetCDF file
+ */
+function encodeNetcdf(file) {
+    var dimensionIndex = {};
+    file.dimensions.forEach(function (dimension, k) {
+        dimensionIndex[dimension.name] = k;
+    });
+    var variables = file.variables.map(function (variable) {
+        var count = variable.dimensions.reduce(function (product, name) {
+            if (!dimensionIndex.hasOwnProperty(name)) {
+                throw new Error("variable " + variable.name + " uses undefined dimension " + name);
+            }
+            return product * file.dimensions[dimensionIndex[name]].size;
+        }, 1);
+        if (variable.values.length !== count) {
+            throw new Error("variable " + variable.name + " has " + variable.values.length + " values, expected " +
+                count);
+        }
+        return { variable: variable, vsize: padded(count * TYPES[variable.type].size) };
+    });
+
+    // The header is written twice: first to learn its length, which gives the offsets of the variables' data.
+    function header(dataStart) {
+        var writer = createWriter();
+        writer.bytes(Buffer.from([0x43, 0x44, 0x46, 0x01]));  // "CDF", version 1 (32-bit offsets)
+        writer.int(0);  // numrecs: no record dimension
+        writer.int(NC_DIMENSION);
+        writer.int(file.dimensions.length);
+        file.dimensions.forEach(function (dimension) {
+            writer.name(dimension.name);
+            writer.int(dimension.size);
+        });
+        writeAttributes(writer, file.attributes);
+        writer.int(NC_VARIABLE);
+        writer.int(variables.length);
+        var begin = dataStart;
+        variables.forEach(function (entry) {
+            var variable = entry.variable;
+            writer.name(variable.name);
+            writer.int(variable.dimensions.length);
+            variable.dimensions.forEach(function (name) {
+                writer.int(dimensionIndex[name]);
+            });
+            writeAttributes(writer, variable.attributes);
+            writer.int(TYPES[variable.type].code);
+            writer.int(entry.vsize);
+            writer.int(begin);
+            begin += entry.vsize;
+        });
+        return writer;
+    }
+
+    var writer = header(header(0).length());
+    variables.forEach(function (entry) {
+        writer.values(entry.variable.type, entry.variable.values);
+    });
+    return writer.buffer();
+}
+
+module.exports = {
+    encodeNetcdf: encodeNetcdf
+};
@@ -114,15 +114,100 @@ function parseInventory(inventoryContent, fieldPatterns) {
         });
 }
 
+var DEFAULT_RETRIES = 4;            // retries after the first attempt
+var DEFAULT_TIMEOUT_MS = 60000;     // socket idle timeout per request
+var BASE_DELAY_MS = 1000;
+var MAX_DELAY_MS = 30000;
+
+function isRetryableStatus(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function httpError(message, statusCode) {
+    var err = new Error(message);
+    err.statusCode = statusCode;
+    err.retryable = isRetryableStatus(statusCode);
+    return err;
+}
+
 /**
- * Download a file using HTTP Range request
+ * Network errors and timeouts are worth retrying; HTTP errors only when the status says so (5xx, 408, 429).
+ * A 403/404 from S3 or NOMADS means the file is not published yet, which retrying within seconds won't fix.
+ */
+function isRetryable(err) {
+    return err.retryable !== undefined ? err.retryable : true;
+}
+
+/**
+ * Delay before the given retry: "full jitter" exponential backoff, i.e. uniformly random between zero and
+ * min(maxDelay, baseDelay * 2^attempt), which spreads out retries from concurrent requests.
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt)));
+}
+
+function describeAttempts(history) {
+    return history.map(function (h) {
+        return "#" + h.attempt + " " + h.error + " after " + (h.elapsed / 1000).toFixed(1) + "s" +
+            (h.bytes > 0 ? " (" + h.bytes + " bytes received)" : "");
+    }).join(", ");
+}
+
+/**
+ * Run fn(attempt, history) until its promise resolves, retrying retryable failures with jittered exponential
+ * backoff. Each failure is appended to the attempt history, which is logged and, if every attempt fails, attached
+ * to the final error as err.attempts.
+ *
+ * @param {string} label - what is being fetched, for log messages
+ * @param {Function} fn - function(attempt, history) returning a Promise; a rejection may set err.bytes
+ * @param {Object} [options] - {retries, baseDelay, maxDelay}
+ * @returns {Promise}
+ */
+function withRetry(label, fn, options) {
+    options = options || {};
+    var retries = options.retries >= 0 ? options.retries : DEFAULT_RETRIES;
+    var baseDelay = options.baseDelay >= 0 ? options.baseDelay : BASE_DELAY_MS;
+    var maxDelay = options.maxDelay >= 0 ? options.maxDelay : MAX_DELAY_MS;
+    var history = [];
+
+    function attempt(n) {
+        var started = Date.now();
+        return fn(n, history).then(function (result) {
+            if (history.length > 0) {
+                console.log(label + ": succeeded on attempt " + n + " after " + describeAttempts(history));
+            }
+            return result;
+        }, function (err) {
+            history.push({ attempt: n, error: err.message, elapsed: Date.now() - started, bytes: err.bytes || 0 });
+            if (!isRetryable(err) || n > retries) {
+                if (history.length > 1 || isRetryable(err)) {
+                    err.message = err.message + " [" + history.length + " attempt(s): " + describeAttempts(history) + "]";
+                }
+                err.attempts = history;
+                throw err;
+            }
+            var delay = backoffDelay(n - 1, baseDelay, maxDelay);
+            console.log(label + ": attempt " + n + " failed (" + err.message + "), retrying in " +
+                (delay / 1000).toFixed(1) + "s");
+            return new Promise(function (resolve) { setTimeout(resolve, delay); }).then(function () {
+                return attempt(n + 1);
+            });
+        });
+    }
+
+    return attempt(1);
+}
+
+/**
+ * Download a file using a single HTTP Range request
  * 
  * @param {string} url - URL to download from
  * @param {number} start - Start byte position (inclusive)
  * @param {number|null} end - End byte position (inclusive). If null, downloads to EOF.
- * @returns {Promise<Buffer>}
+ * @param {number} timeout - socket idle timeout in ms
+ * @returns {Promise<Buffer>} On failure err.partial holds the bytes received from `start` onwards.
  */
-function downloadRange(url, start, end) {
+function requestRange(url, start, end, timeout) {
     return new Promise(function (resolve, reject) {
         var protocol = url.startsWith('https') ? https : http;
         var range = end === null || end === undefined ? ('bytes=' + start + '-') : ('bytes=' + start + '-' + end);
@@ -141,49 +226,135 @@ function downloadRange(url, start, end) {
             }
         };
 
+        var chunks = [];
+        var statusCode = null;
+        var settled = false;
+
+        // Bytes received so far, aligned to `start`.
+        function received() {
+            var buffer = Buffer.concat(chunks);
+            if (statusCode === 200 && start > 0) {
+                // The server ignored the Range header and sent the whole file.
+                buffer = buffer.length > start ? buffer.subarray(start) : Buffer.alloc(0);
+            }
+            return end === null || end === undefined ? buffer : buffer.subarray(0, end - start + 1);
+        }
+
+        function fail(err) {
+            if (settled) return;
+            settled = true;
+            err.partial = received();
+            err.bytes = err.partial.length;
+            reject(err);
+        }
+
         var req = protocol.request(options, function (response) {
+            statusCode = response.statusCode;
             // 206 = Partial Content (expected for Range requests)
             // 200 = OK (some servers return full file even with Range header)
-            if (response.statusCode !== 206 && response.statusCode !== 200) {
-                reject(new Error("HTTP " + response.statusCode + " for range " + range + ": " + response.statusMessage));
+            if (statusCode !== 206 && statusCode !== 200) {
+                response.resume();
+                statusCode = null;
+                fail(httpError("HTTP " + response.statusCode + " for range " + range + ": " + response.statusMessage,
+                    response.statusCode));
+                return;
+            }
+            var contentRange = /^bytes (\d+)-/.exec(response.headers['content-range'] || "");
+            if (statusCode === 206 && contentRange && +contentRange[1] !== start) {
+                response.resume();
+                statusCode = null;
+                fail(new Error("Server returned Content-Range " + response.headers['content-range'] + " for range " + range));
                 return;
             }
 
-            var chunks = [];
             response.on('data', function (chunk) {
                 chunks.push(chunk);
             });
 
+            response.on('aborted', function () {
+                fail(new Error("Connection closed mid-transfer for range " + range));
+            });
+
+            response.on('error', fail);
+
             response.on('end', function () {
-                var buffer = Buffer.concat(chunks);
+                if (settled) return;
+                var buffer = received();
+                if (end !== null && end !== undefined && buffer.length < end - start + 1) {
+                    fail(new Error("Short read for range " + range + ": " + buffer.length + " of " + (end - start + 1) + " bytes"));
+                    return;
+                }
+                settled = true;
                 resolve(buffer);
             });
         });
 
-        req.on('error', function (err) {
-            reject(err);
+        req.setTimeout(timeout, function () {
+            var err = new Error("Timed out after " + timeout + " ms idle for range " + range);
+            err.code = 'ETIMEDOUT';
+            fail(err);
+            req.destroy();
         });
 
+        req.on('error', fail);
+
         req.end();
     });
 }
 
 /**
- * Download GRIB2 fields using index-based partial transfer
+ * Download a byte range, retrying transient failures. Bytes received before a failure are kept and the next
+ * attempt only requests the remainder of the range.
  * 
- * @param {string} baseUrl - Base URL for GRIB2 file (without .idx or extension)
- * @param {Array<string>} fieldPatterns - Field patterns to download (e.g., [":UGRD:10 m", ":VGRD:10 m"])
- * @param {string} outputPath - Path to save the combined GRIB2 file
- * @returns {Promise<string>} Path to downloaded file
+ * @param {string} url - URL to download from
+ * @param {number} start - Start byte position (inclusive)
+ * @param {number|null} end - End byte position (inclusive). If null, downloads to EOF.
+ * @param {Object} [options] - {retries, timeout, baseDelay, maxDelay}
+ * @returns {Promise<Buffer>}
  */
-function downloadGrib2Fields(baseUrl, fieldPatterns, outputPath) {
-    return new Promise(function (resolve, reject) {
-        var inventoryUrl = baseUrl + '.idx';
-        var gribUrl = baseUrl;
+function downloadRange(url, start, end, options) {
+    options = options || {};
+    var timeout = options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT_MS;
+    var parts = [];
+    var offset = start;
+    var label = "Range " + start + "-" + (end === null || end === undefined ? "" : end);
+
+    return withRetry(label, function () {
+        if (end !== null && end !== undefined && offset > end) {
+            // Everything arrived before the connection failed.
+            return Promise.resolve(Buffer.concat(parts));
+        }
+        return requestRange(url, offset, end, timeout).then(function (buffer) {
+            parts.push(buffer);
+            return Buffer.concat(parts);
+        }, function (err) {
+            if (err.partial && err.partial.length > 0) {
+                parts.push(err.partial);
+                offset += err.partial.length;
+            }
+            throw err;
+        });
+    }, options);
+}
 
-        console.log("Downloading inventory from:", inventoryUrl);
+/**
+ * Download an inventory (.idx) file, retrying transient failures
+ *
+ * @param {string} inventoryUrl - URL of the .idx file
+ * @param {Object} [options] - {retries, timeout, baseDelay, maxDelay}
+ * @returns {Promise<string>} inventory content
+ */
+function fetchInventory(inventoryUrl, options) {
+    options = options || {};
+    var timeout = options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT_MS;
+    console.log("Downloading inventory from:", inventoryUrl);
+    return withRetry("Inventory", function () {
+        return requestInventory(inventoryUrl, timeout);
+    }, options);
+}
 
-        // Step 1: Download inventory file
+function requestInventory(inventoryUrl, timeout) {
+    return new Promise(function (resolve, reject) {
         var invUrlObj = new URL(inventoryUrl);
         var protocol = inventoryUrl.startsWith('https') ? https : http;
         // Combine pathname and search for the path
@@ -200,15 +371,18 @@ function downloadGrib2Fields(baseUrl, fieldPatterns, outputPath) {
 
         var invReq = protocol.request(invOptions, function (response) {
             if (response.statusCode === 403) {
-                reject(new Error("Failed to download inventory: HTTP 403 Forbidden - The data may not be available yet, or the URL format may be incorrect. GFS data is typically available 3-4 hours after forecast time."));
+                response.resume();
+                reject(httpError("Failed to download inventory: HTTP 403 Forbidden - The data may not be available yet, or the URL format may be incorrect. GFS data is typically available 3-4 hours after forecast time.", 403));
                 return;
             }
             if (response.statusCode === 404) {
-                reject(new Error("Failed to download inventory: HTTP 404 Not Found - The GFS run may not be available yet. Try a different run (00z, 06z, 12z, or 18z) or wait for data to be published."));
+                response.resume();
+                reject(httpError("Failed to download inventory: HTTP 404 Not Found - The GFS run may not be available yet. Try a different run (00z, 06z, 12z, or 18z) or wait for data to be published.", 404));
                 return;
             }
             if (response.statusCode !== 200) {
-                reject(new Error("Failed to download inventory: HTTP " + response.statusCode + " - " + response.statusMessage));
+                response.resume();
+                reject(httpError("Failed to download inventory: HTTP " + response.statusCode + " - " + response.statusMessage, response.statusCode));
                 return;
             }
 
@@ -217,57 +391,22 @@ function downloadGrib2Fields(baseUrl, fieldPatterns, outputPath) {
                 inventoryData += chunk.toString();
             });
 
-            response.on('end', function () {
-                // Step 2: Parse inventory to find byte ranges
-                console.log("Parsing inventory for fields:", fieldPatterns);
-                var ranges = parseInventory(inventoryData, fieldPatterns);
-
-                if (ranges.length === 0) {
-                    // Debug: Show what fields are actually in the inventory
-                    var lines = inventoryData.split('\n');
-                    var sampleFields = [];
-                    for (var i = 0; i < Math.min(20, lines.length); i++) {
-                        var line = lines[i].trim();
-                        if (line && line.indexOf(':') >= 0) {
-                            var parts = line.split(':');
-                            if (parts.length >= 4) {
-                                var fieldDesc = line.substring(line.indexOf(':', 2) + 1);
-                                if (fieldDesc.indexOf('UGRD') >= 0 || fieldDesc.indexOf('VGRD') >= 0) {
-                                    sampleFields.push(fieldDesc);
-                                }
-                            }
-                        }
-                    }
-                    if (sampleFields.length > 0) {
-                        console.log("Sample fields found in inventory:");
-                        sampleFields.slice(0, 5).forEach(function (field) {
-                            console.log("  " + field);
-                        });
-                    }
-                    reject(new Error("No matching fields found in inventory. Tried patterns: " + fieldPatterns.join(", ")));
-                    return;
-                }
-
-                console.log("Found", ranges.length, "matching field(s)");
-
-                // Step 3: Download each range and combine
-                var downloadPromises = ranges.map(function (range, index) {
-                    console.log("Downloading field", (index + 1) + "/" + ranges.length + ":", range.field.substring(0, 50));
-                    return downloadRange(gribUrl, range.start, range.end);
-                });
+            response.on('aborted', function () {
+                reject(new Error("Failed to download inventory: connection closed mid-transfer"));
+            });
 
-                Promise.all(downloadPromises).then(function (buffers) {
-                    // Step 4: Combine all buffers into one GRIB2 file
-                    var combined = Buffer.concat(buffers);
-                    fs.writeFileSync(outputPath, combined);
-                    console.log("Downloaded and saved", (combined.length / 1024 / 1024).toFixed(2), "MB to", outputPath);
-                    resolve(outputPath);
-                }).catch(function (err) {
-                    reject(err);
-                });
+            response.on('end', function () {
+                resolve(inventoryData);
             });
         });
 
+        invReq.setTimeout(timeout, function () {
+            var err = new Error("Failed to download inventory: timed out after " + timeout + " ms idle");
+            err.code = 'ETIMEDOUT';
+            reject(err);
+            invReq.destroy();
+        });
+
         invReq.on('error', function (err) {
             reject(new Error("Failed to download inventory: " + err.message));
         });
@@ -276,7 +415,190 @@ function downloadGrib2Fields(baseUrl, fieldPatterns, outputPath) {
     });
 }
 
+/**
+ * Check whether a file has been published with a single HEAD request (no retries: callers poll).
+ *
+ * @param {string} url
+ * @param {Object} [options] - {timeout}
+ * @returns {Promise<boolean>} true for 200, false for 403/404 (S3 answers 403 for missing keys); rejected otherwise
+ */
+function headExists(url, options) {
+    options = options || {};
+    var timeout = options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT_MS;
+    return new Promise(function (resolve, reject) {
+        var urlObj = new URL(url);
+        var protocol = url.startsWith('https') ? https : http;
+        var req = protocol.request({
+            hostname: urlObj.hostname,
+            port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+            path: urlObj.pathname + urlObj.search,
+            method: 'HEAD',
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (compatible; Earth-Clock/1.0)'
+            }
+        }, function (response) {
+            response.resume();
+            if (response.statusCode === 200) {
+                resolve(true);
+            } else if (response.statusCode === 403 || response.statusCode === 404) {
+                resolve(false);
+            } else {
+                reject(httpError("HEAD " + url + ": HTTP " + response.statusCode, response.statusCode));
+            }
+        });
+
+        req.setTimeout(timeout, function () {
+            var err = new Error("HEAD " + url + ": timed out after " + timeout + " ms");
+            err.code = 'ETIMEDOUT';
+            reject(err);
+            req.destroy();
+        });
+
+        req.on('error', function (err) {
+            reject(new Error("HEAD " + url + ": " + err.message));
+        });
+
+        req.end();
+    });
+}
+
+/**
+ * Merge byte ranges that overlap or are separated by at most maxGap bytes, so that neighbouring records are
+ * fetched with a single request. A null end (record runs to EOF) absorbs everything after it.
+ *
+ * @param {Array<Object>} ranges - {start, end} objects (end inclusive, or null)
+ * @param {number} maxGap - largest number of unneeded bytes to download in order to join two ranges
+ * @returns {Array<Object>} sorted {start, end, members} objects, where members are the original ranges
+ */
+function coalesceRanges(ranges, maxGap) {
+    var sorted = ranges.slice().sort(function (a, b) { return a.start - b.start; });
+    var merged = [];
+    sorted.forEach(function (range) {
+        var last = merged[merged.length - 1];
+        if (last && last.end !== null && range.start <= last.end + 1 + maxGap) {
+            last.end = range.end === null ? null : Math.max(last.end, range.end);
+            last.members.push(range);
+        } else if (last && last.end === null) {
+            last.members.push(range);
+        } else {
+            merged.push({ start: range.start, end: range.end, members: [range] });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Invoke fn(item, index) for each item with at most `limit` promises pending at once.
+ *
+ * @returns {Promise<Array>} the results, in the order of items
+ */
+function mapLimit(items, limit, fn) {
+    return new Promise(function (resolve, reject) {
+        var results = new Array(items.length);
+        var next = 0, pending = 0, failed = false;
+
+        function launch() {
+            if (failed) return;
+            if (next >= items.length && pending === 0) {
+                resolve(results);
+                return;
+            }
+            while (pending < limit && next < items.length) {
+                (function (index) {
+                    pending++;
+                    Promise.resolve().then(function () {
+                        return fn(items[index], index);
+                    }).then(function (result) {
+                        results[index] = result;
+                        pending--;
+                        launch();
+                    }, function (err) {
+                        failed = true;
+                        reject(err);
+                    });
+                })(next++);
+            }
+        }
+
+        launch();
+    });
+}
+
+/**
+ * Download GRIB2 fields into memory using index-based partial transfer. The inventory is fetched once, matching
+ * records are coalesced into as few Range requests as possible, and at most `concurrency` requests run at once.
+ * The returned buffer holds the matching records in file order.
+ *
+ * @param {string} baseUrl - Base URL for GRIB2 file (without .idx or extension)
+ * @param {Array<string>} fieldPatterns - Field patterns to download (e.g., [":UGRD:10 m", ":VGRD:10 m"])
+ * @param {Object} [options] - {concurrency: number (default 4), maxGap: bytes (default 256 KiB), plus the
+ *        retries/timeout/baseDelay/maxDelay options of downloadRange, applied to every request}
+ * @returns {Promise<Object>} {buffer: Buffer, ranges: Array, requests: number}
+ */
+function downloadGrib2Buffer(baseUrl, fieldPatterns, options) {
+    options = options || {};
+    var concurrency = options.concurrency > 0 ? options.concurrency : 4;
+    var maxGap = options.maxGap >= 0 ? options.maxGap : 256 * 1024;
+    var gribUrl = baseUrl;
+
+    return fetchInventory(baseUrl + '.idx', options).then(function (inventoryData) {
+        // Parse inventory to find byte ranges
+        var ranges = parseInventory(inventoryData, fieldPatterns);
+
+        if (ranges.length === 0) {
+            throw new Error("No matching fields found in inventory. Tried patterns: " + fieldPatterns.join(", "));
+        }
+
+        var unmatched = fieldPatterns.filter(function (pattern) {
+            return !ranges.some(function (r) { return r.pattern === pattern; });
+        });
+        if (unmatched.length > 0) {
+            console.log("Patterns not found in inventory:", unmatched.join(", "));
+        }
+
+        var requests = coalesceRanges(ranges, maxGap);
+        console.log("Found", ranges.length, "matching field(s), downloading in", requests.length, "request(s)");
+
+        // Download each coalesced range, then cut the member records back out of it.
+        return mapLimit(requests, concurrency, function (request) {
+            return downloadRange(gribUrl, request.start, request.end, options).then(function (chunk) {
+                return request.members.map(function (member) {
+                    var from = member.start - request.start;
+                    var to = member.end === null ? chunk.length : member.end - request.start + 1;
+                    return chunk.subarray(from, to);
+                });
+            });
+        }).then(function (parts) {
+            var combined = Buffer.concat([].concat.apply([], parts));
+            console.log("Downloaded", (combined.length / 1024 / 1024).toFixed(2), "MB");
+            return { buffer: combined, ranges: ranges, requests: requests.length };
+        });
+    });
+}
+
+/**
+ * Download GRIB2 fields using index-based partial transfer
+ * 
+ * @param {string} baseUrl - Base URL for GRIB2 file (without .idx or extension)
+ * @param {Array<string>} fieldPatterns - Field patterns to download (e.g., [":UGRD:10 m", ":VGRD:10 m"])
+ * @param {string} outputPath - Path to save the combined GRIB2 file
+ * @returns {Promise<string>} Path to downloaded file
+ */
+function downloadGrib2Fields(baseUrl, fieldPatterns, outputPath) {
+    return downloadGrib2Buffer(baseUrl, fieldPatterns).then(function (result) {
+        fs.writeFileSync(outputPath, result.buffer);
+        console.log("Saved", (result.buffer.length / 1024 / 1024).toFixed(2), "MB to", outputPath);
+        return outputPath;
+    });
+}
+
 module.exports = {
+    coalesceRanges: coalesceRanges,
+    downloadGrib2Buffer: downloadGrib2Buffer,
     downloadGrib2Fields: downloadGrib2Fields,
-    parseInventory: parseInventory
+    downloadRange: downloadRange,
+    fetchInventory: fetchInventory,
+    headExists: headExists,
+    parseInventory: parseInventory,
+    withRetry: withRetry
 };
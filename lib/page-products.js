@@ -0,0 +1,138 @@
+/**
+ * The page's products (public/libs/earth/1.0.0/products.js) on the server, for the images rendered by
+ * lib/map-render.js: the same overlay types, layer lookup, interpolation and color scales as the browser, without a
+ * second copy of them to keep in step.
+ *
+ * micro.js and products.js are run in a vm context after the page's own Underscore, when.js and Backbone, as the
+ * page loads them. The only part of the browser they need is d3's JSON loader, which is provided here reading from
+ * the public directory (through the cache in lib/grids.js). The context has no TextDecoder, so products.js loads the
+ * JSON layers rather than the binary ones.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var grids = require("./grids");
+
+var LIBS = path.join(__dirname, "..", "public", "libs");
+
+// In the order index.html loads them (they define globals: _, when, Backbone, µ, products).
+var LIB_FILES = [
+    "underscore.js/1.6.0/underscore.js",
+    "when/2.6.0/when.js",
+    "backbone.js/1.1.0/backbone.js",
+    "earth/1.0.0/micro.js",
+    "earth/1.0.0/products.js"
+];
+
+var instances = {};  // publicDir -> context
+
+/**
+ * @returns {Object} d3 as far as micro.js and products.js use it on the server
+ */
+function d3For(publicDir) {
+    return {
+        json: function (resource, callback) {
+            var relativePath = resource.split("?")[0].replace(/^\/+/, "");
+            if (path.normalize(relativePath).split(path.sep)[0] === "..") {
+                return callback({ status: 403, statusText: "Forbidden" });
+            }
+            grids.loadJson(publicDir, relativePath).then(function (result) {
+                callback(null, result);
+            }, function (err) {
+                callback(err.code === "ENOENT" ?
+                    { status: 404, statusText: relativePath + " not found" } :
+                    { status: 500, statusText: err.message });
+            });
+        },
+        set: function (values) {
+            return {
+                has: function (value) { return values.indexOf(value) >= 0; },
+                values: function () { return values.slice(); }
+            };
+        }
+    };
+}
+
+/**
+ * @returns {Object} {products, when} from the page's scripts, run once per public directory
+ */
+function contextFor(publicDir) {
+    if (!instances[publicDir]) {
+        var context = vm.createContext({
+            d3: d3For(publicDir),
+            navigator: { userAgent: "" },
+            setTimeout: setTimeout,
+            console: console
+        });
+        // The scripts run inside one function, so that their top-level variables (µ, products) are locals: V8 reaches
+        // the globals of a vm context through a far slower path, which matters as the interpolation and color scales
+        // run for every pixel. Math is passed in for the same reason.
+        var source = "(function (Math) {\n" + LIB_FILES.map(function (lib) {
+            return fs.readFileSync(path.join(LIBS, lib), "utf8");
+        }).join("\n;\n") + "\nreturn { products: products, when: when };\n})(Math);";
+        instances[publicDir] = vm.runInContext(source, context, { filename: path.join(LIBS, "earth", "1.0.0") });
+    }
+    return instances[publicDir];
+}
+
+/**
+ * @returns {Error} the error for a rejection from products.js ({status, message, resource} or an Error), keeping
+ *          a 404 as a status for the data APIs
+ */
+function asError(reason) {
+    if (reason instanceof Error) {
+        return reason;
+    }
+    var error = new Error((reason && reason.message) || "cannot load product");
+    if (reason && reason.status === 404) {
+        error.status = 404;
+    }
+    return error;
+}
+
+/**
+ * @param {string} publicDir
+ * @returns {Array<string>} the overlay types products.js defines, including "off"
+ */
+function overlayTypes(publicDir) {
+    return contextFor(publicDir).products.overlayTypes.values();
+}
+
+/**
+ * Load the product the page would draw as the overlay for a configuration.
+ *
+ * @param {string} publicDir
+ * @param {Object} attributes - the page's configuration attributes: {date: "current" or "yyyy/mm/dd", hour: "hhhh",
+ *        param: "wind" or "ocean", surface, level, overlayType}
+ * @returns {Promise} for the product, with its grid loaded (interpolate(λ, φ), scale, field, type, date, ...), or
+ *          null for overlayType "off"; rejected with an error with status 404 if its layers are not published
+ */
+function loadOverlay(publicDir, attributes) {
+    var context = contextFor(publicDir);
+    return Promise.resolve(context.when.all(context.products.productsFor(attributes)).then(function (products) {
+        // As buildGrids in earth.js: the second product, if any, is the overlay; otherwise the first is both.
+        var overlay = attributes.overlayType === "off" ? null : products[1] || products[0];
+        return overlay ? overlay.load({ requested: false }) : null;
+    })).catch(function (reason) {
+        throw asError(reason);
+    });
+}
+
+/**
+ * Reload the manifests on the next lookup, e.g. when a service has published a new run (products.js otherwise
+ * rechecks them every few minutes).
+ */
+function refresh(publicDir) {
+    if (instances[publicDir]) {
+        instances[publicDir].products.refreshCatalogs(true);
+    }
+}
+
+module.exports = {
+    loadOverlay: loadOverlay,
+    overlayTypes: overlayTypes,
+    refresh: refresh
+};
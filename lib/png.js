@@ -0,0 +1,85 @@
+/**
+ * A minimal PNG encoder for the images rendered by lib/map-render.js: 8-bit RGBA, non-interlaced, every row filtered
+ * with the Sub filter (which suits the smooth color gradients of the overlays) and deflated with zlib.
+ *
+ * See http://www.w3.org/TR/PNG/.
+ */
+
+"use strict";
+
+var zlib = require("zlib");
+
+var SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+var CRC_TABLE = function () {
+    var table = new Int32Array(256);
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+}();
+
+/**
+ * @returns {number} the CRC-32 of the bytes, as PNG chunks and zip entries use it
+ */
+function crc32(buffer) {
+    var c = -1;
+    for (var i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+    var typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    var length = Buffer.alloc(4), crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array|Uint8ClampedArray} rgba - width * height pixels, four bytes each, row by row from the top left
+ * @returns {Buffer} the PNG file
+ */
+function encodePng(width, height, rgba) {
+    if (rgba.length !== width * height * 4) {
+        throw new Error("expected " + width * height * 4 + " bytes of RGBA, got " + rgba.length);
+    }
+    var stride = width * 4;
+    var raw = Buffer.alloc((stride + 1) * height);
+    for (var y = 0; y < height; y++) {
+        var p = y * (stride + 1), row = y * stride;
+        raw[p] = 1;  // Sub: each byte as the difference from the same channel of the pixel to its left
+        for (var i = 0; i < stride; i++) {
+            raw[p + 1 + i] = i < 4 ? rgba[row + i] : (rgba[row + i] - rgba[row + i - 4]) & 0xff;
+        }
+    }
+
+    var header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;   // bit depth
+    header[9] = 6;   // color type: RGBA
+    header[10] = 0;  // compression: deflate
+    header[11] = 0;  // filter method: adaptive (per row)
+    header[12] = 0;  // no interlace
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk("IHDR", header),
+        chunk("IDAT", zlib.deflateSync(raw)),
+        chunk("IEND", Buffer.alloc(0))
+    ]);
+}
+
+module.exports = {
+    crc32: crc32,
+    encodePng: encodePng
+};
@@ -0,0 +1,110 @@
+/**
+ * Point queries for server.js's /api/point: every published overlay interpolated at a latitude/longitude
+ *
+ *   GET /api/point?lat=52.52&lon=13.40                      current data, at the surface
+ *   GET /api/point?lat=52.52&lon=13.40&date=2024-01-31T06:00Z&level=500hPa
+ *
+ * Values are bilinearly interpolated exactly as the globe does (lib/grids.js), in the units the data is stored in:
+ *
+ *   {
+ *     "lat": 52.52, "lon": 13.4, "date": "current", "surface": "surface", "level": "level",
+ *     "overlays": {
+ *       "wind": {"u": -2.1, "v": 3.4, "speed": 4.0, "direction": 148.3,
+ *                "units": {"u": "m/s", "v": "m/s", "speed": "m/s", "direction": "°"},
+ *                "refTime": "...", "validTime": "...", "source": "...", "path": "data/weather/current/..."},
+ *       "temp": {"value": 278.4, "units": "K", ...},
+ *       ...
+ *     }
+ *   }
+ *
+ * Wind direction is where the wind blows from, ocean current direction where the current flows to, both in degrees
+ * clockwise from north (the meteorological and oceanographic conventions). A value is null where it cannot be
+ * interpolated (e.g. currents over land).
+ */
+
+"use strict";
+
+var grids = require("./grids");
+
+function round(x) {
+    return x === null ? null : Number(x.toPrecision(6));
+}
+
+/**
+ * @returns {number} degrees clockwise from north of the vector (u, v), in [0, 360)
+ */
+function bearing(u, v) {
+    return (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+}
+
+function describe(grid, fields) {
+    var layer = grid.layer;
+    fields.refTime = grid.header.refTime || layer.refTime || null;
+    fields.validTime = grid.date && !isNaN(grid.date.getTime()) ? grid.date.toISOString() : layer.validTime || null;
+    fields.source = layer.source || grid.header.centerName || null;
+    fields.path = layer.path;
+    return fields;
+}
+
+function pointValues(grid, λ, φ) {
+    var product = grids.PRODUCTS[grid.layer.product];
+    var value = grid.interpolate(λ, φ);
+    if (product.field === "scalar") {
+        return describe(grid, { value: round(value), units: product.units });
+    }
+    var u = value ? value[0] : null, v = value ? value[1] : null;
+    // Wind is reported by where it comes from, currents by where they go.
+    var direction = value ? grid.layer.product === "wind" ? bearing(-u, -v) : bearing(u, v) : null;
+    return describe(grid, {
+        u: round(u),
+        v: round(v),
+        speed: round(value ? value[2] : null),
+        direction: direction === null ? null : Math.round(direction * 10) / 10,
+        units: { u: product.units, v: product.units, speed: product.units, direction: "°" }
+    });
+}
+
+/**
+ * @param {string} publicDir
+ * @param {Object} query - the request's query parameters: lat, lon, date?, level?
+ * @returns {Promise} for the response body; rejected with an error with status 400 (bad query) or 404 (no data)
+ */
+function pointForecast(publicDir, query) {
+    var options, φ, λ;
+    try {
+        φ = grids.parseCoordinate(query.lat, "lat", -90, 90);
+        λ = grids.parseCoordinate(query.lon, "lon", -180, 360);
+        options = grids.parseTimeAndLevel(query);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    var layers = grids.findLayers(publicDir, options);
+    return Promise.all(Object.keys(layers).map(function (product) {
+        return grids.loadGrid(publicDir, layers[product]).catch(function (err) {
+            // Listed but gone (e.g. pruned since the manifest was read): leave it out.
+            if (err.code === "ENOENT") return null;
+            throw err;
+        });
+    })).then(function (loaded) {
+        var overlays = {};
+        loaded.filter(Boolean).forEach(function (grid) {
+            overlays[grid.layer.product] = pointValues(grid, λ, φ);
+        });
+        if (Object.keys(overlays).length === 0) {
+            throw grids.notFound("no data published for " +
+                (options.date === "current" ? "current" : options.date.toISOString()));
+        }
+        return {
+            lat: φ,
+            lon: grids.floorMod(λ + 180, 360) - 180,
+            date: options.date === "current" ? "current" : options.date.toISOString(),
+            surface: options.surface,
+            level: options.level,
+            overlays: overlays
+        };
+    });
+}
+
+module.exports = {
+    pointForecast: pointForecast
+};
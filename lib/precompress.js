@@ -0,0 +1,98 @@
+/**
+ * Precompressed sidecars
+ *
+ * Data files are written once and downloaded many times, so the services compress them when they publish them:
+ *   foo.json  ->  foo.json.gz  (gzip)
+ *                 foo.json.br  (brotli)
+ * and server.js serves a sidecar instead of compressing on every request when the client accepts it (see
+ * lib/static-files.js). A sidecar is only used if it is at least as new as its file, so the file is written first
+ * and its sidecars after; a reader in between gets the file compressed on the fly.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var zlib = require("zlib");
+
+var ENCODINGS = [
+    { name: "br", extension: ".br" },
+    { name: "gzip", extension: ".gz" }
+];
+
+// Below this, compression saves too little to be worth the extra files.
+var MIN_SIZE = 1024;
+
+function compress(encoding, contents) {
+    if (encoding === "br") {
+        // Quality 9 is within a few percent of 11 on JSON grids at a fraction of the CPU time.
+        var params = {};
+        params[zlib.constants.BROTLI_PARAM_QUALITY] = 9;
+        params[zlib.constants.BROTLI_PARAM_SIZE_HINT] = contents.length;
+        return zlib.brotliCompressSync(contents, { params: params });
+    }
+    return zlib.gzipSync(contents, { level: 9 });
+}
+
+/**
+ * Compress contents once for every sidecar encoding, e.g. to write the same file to several places.
+ *
+ * @param {string|Buffer} contents
+ * @returns {Array<Object>} [{encoding, extension, contents: Buffer}], empty if the contents are too small to bother
+ */
+function compressAll(contents) {
+    var buffer = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, "utf8");
+    if (buffer.length < MIN_SIZE) {
+        return [];
+    }
+    return ENCODINGS.map(function (encoding) {
+        return { encoding: encoding.name, extension: encoding.extension, contents: compress(encoding.name, buffer) };
+    });
+}
+
+function writeAtomic(filePath, contents) {
+    var tmpPath = path.join(path.dirname(filePath), path.basename(filePath) + ".tmp-" + process.pid + "-" + Date.now());
+    fs.writeFileSync(tmpPath, contents);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Write the .br and .gz sidecars of a file that has just been written.
+ *
+ * @param {string} filePath
+ * @param {string|Buffer|Array} contents - the file's contents (saves reading it back), or compressAll's result
+ * @returns {Object} {gzip: bytes, br: bytes}, or an empty object if the file is too small to bother
+ */
+function writeSidecars(filePath, contents) {
+    var sidecars = Array.isArray(contents) ? contents : compressAll(contents);
+    var sizes = {};
+    if (sidecars.length === 0) {
+        removeSidecars(filePath);
+    }
+    sidecars.forEach(function (sidecar) {
+        writeAtomic(filePath + sidecar.extension, sidecar.contents);
+        sizes[sidecar.encoding] = sidecar.contents.length;
+    });
+    return sizes;
+}
+
+/**
+ * Remove the sidecars of a file (e.g. when pruning it). Missing sidecars are ignored.
+ */
+function removeSidecars(filePath) {
+    ENCODINGS.forEach(function (encoding) {
+        try {
+            fs.unlinkSync(filePath + encoding.extension);
+        } catch (e) {
+            // not there
+        }
+    });
+}
+
+module.exports = {
+    ENCODINGS: ENCODINGS,
+    compress: compress,
+    compressAll: compressAll,
+    removeSidecars: removeSidecars,
+    writeSidecars: writeSidecars
+};
@@ -0,0 +1,174 @@
+/**
+ * Map projections for server-side rendering (lib/map-render.js), without d3: the globes of
+ * public/libs/earth/1.0.0/globes.js that have a closed-form inverse, with the same conventions as d3.geo (rotation,
+ * scale, translation, y axis pointing down) so that an orientation string from the page's URL ("λ,φ,scale") frames
+ * the same view.
+ *
+ * A projection is {project(λ, φ) -> [x, y] or null, invert(x, y) -> [λ, φ] or null, scale}, in degrees and pixels.
+ * project returns null for points clipped away (the far side of the orthographic globe), invert for pixels off the
+ * globe.
+ */
+
+"use strict";
+
+var π = Math.PI, RAD = π / 180;
+
+var SCALE_EXTENT = [25, 3000];  // as globes.js
+
+function clamp(x, low, high) {
+    return Math.max(low, Math.min(x, high));
+}
+
+function asin(x) {
+    return x > 1 ? π / 2 : x < -1 ? -π / 2 : Math.asin(x);
+}
+
+/**
+ * The azimuthal projections, as d3_geo_azimuthal: scale(cos c) gives the radial scale at angular distance c from the
+ * center, angle(ρ) the angular distance at radius ρ; minCos is the clip angle's cosine.
+ */
+function azimuthal(scale, angle, maxRadius, minCos) {
+    return {
+        forward: function (λ, φ) {
+            var cosφ = Math.cos(φ), cosc = Math.cos(λ) * cosφ;
+            if (cosc < minCos) return null;
+            var k = scale(cosc);
+            return [k * cosφ * Math.sin(λ), k * Math.sin(φ)];
+        },
+        invert: function (x, y) {
+            var ρ = Math.sqrt(x * x + y * y);
+            if (ρ > maxRadius) return null;
+            var c = angle(ρ), sinc = Math.sin(c), cosc = Math.cos(c);
+            return [Math.atan2(x * sinc, ρ * cosc), asin(ρ && y * sinc / ρ)];
+        }
+    };
+}
+
+var RAW = {
+    orthographic: azimuthal(
+        function () { return 1; },
+        asin,
+        1,
+        0),
+    stereographic: azimuthal(
+        function (cosc) { return 1 / (1 + cosc); },
+        function (ρ) { return 2 * Math.atan(ρ); },
+        Infinity,
+        Math.cos((180 - 0.0001) * RAD)),
+    azimuthal_equidistant: azimuthal(
+        function (cosc) { var c = Math.acos(clamp(cosc, -1, 1)); return c && c / Math.sin(c); },
+        function (ρ) { return ρ; },
+        π,
+        Math.cos((180 - 0.001) * RAD)),
+    equirectangular: {
+        forward: function (λ, φ) {
+            return [λ, φ];
+        },
+        invert: function (x, y) {
+            return Math.abs(x) <= π && Math.abs(y) <= π / 2 ? [x, y] : null;
+        }
+    }
+};
+
+/**
+ * The globes' default rotations and the scale at which the whole globe fits a view, as globes.js. The page starts
+ * the orthographic and equirectangular globes at the viewer's time zone; here they start at the prime meridian.
+ */
+var GLOBES = {
+    orthographic: {
+        rotate: [0, 0, 0],
+        fit: function (view) { return Math.min(view.width / 2, view.height / 2) * 0.9; }
+    },
+    stereographic: {
+        rotate: [-43, -20, 0],
+        // The page clips this globe to the view, so its bounds, and the fitted scale, are the view's: 0.9 * 150.
+        fit: function () { return 135; }
+    },
+    azimuthal_equidistant: {
+        rotate: [0, -90, 0],
+        fit: function (view) { return Math.min(view.width / (2 * π), view.height / (2 * π)) * 0.9; }
+    },
+    equirectangular: {
+        rotate: [0, 0, 0],
+        fit: function (view) { return Math.min(view.width / (2 * π), view.height / π) * 0.9; }
+    }
+};
+
+/**
+ * A rotation of the sphere, as d3.geo.rotation: by δλ about the polar axis, then δφ and δγ about the others.
+ * Angles in radians.
+ */
+function rotation(rotate) {
+    var δλ = rotate[0] * RAD, δφ = rotate[1] * RAD, δγ = (rotate[2] || 0) * RAD;
+    var cosδφ = Math.cos(δφ), sinδφ = Math.sin(δφ), cosδγ = Math.cos(δγ), sinδγ = Math.sin(δγ);
+
+    function wrap(λ) {
+        return λ > π ? λ - 2 * π : λ < -π ? λ + 2 * π : λ;
+    }
+
+    return {
+        forward: function (λ, φ) {
+            λ = wrap(λ + δλ);
+            if (!δφ && !δγ) return [λ, φ];
+            var cosφ = Math.cos(φ), x = Math.cos(λ) * cosφ, y = Math.sin(λ) * cosφ, z = Math.sin(φ);
+            var k = z * cosδφ + x * sinδφ;
+            return [Math.atan2(y * cosδγ - k * sinδγ, x * cosδφ - z * sinδφ), asin(k * cosδγ + y * sinδγ)];
+        },
+        invert: function (λ, φ) {
+            if (δφ || δγ) {
+                var cosφ = Math.cos(φ), x = Math.cos(λ) * cosφ, y = Math.sin(λ) * cosφ, z = Math.sin(φ);
+                var k = z * cosδγ - y * sinδγ;
+                λ = Math.atan2(y * cosδγ + z * sinδγ, x * cosδφ + k * sinδφ);
+                φ = asin(k * cosδφ - x * sinδφ);
+            }
+            return [wrap(λ - δλ), φ];
+        }
+    };
+}
+
+/**
+ * @param {string} name - one of names()
+ * @param {Object} view - {width:, height:}
+ * @param {string?} orientation - "λ,φ,scale" as in the page's URL (e.g. "-30.5,42.1,800"); missing or invalid parts
+ *        fall back to the globe's default rotation and the scale that fits the view, as globes.js does
+ * @returns {Object} {project(λ, φ), invert(x, y), scale}
+ */
+function createProjection(name, view, orientation) {
+    var raw = RAW[name], globe = GLOBES[name];
+    if (!raw) {
+        throw new Error("unknown projection: " + name);
+    }
+    var parts = (orientation || "").split(","), λ = parseFloat(parts[0]), φ = parseFloat(parts[1]);
+    var scale = parseFloat(parts[2]);
+    var rotate = isFinite(λ) && isFinite(φ) ? [-λ, -φ, globe.rotate[2]] : globe.rotate;
+    var k = isFinite(scale) ? clamp(scale, SCALE_EXTENT[0], SCALE_EXTENT[1]) : globe.fit(view);
+    var tx = view.width / 2, ty = view.height / 2;
+    var rotator = rotation(rotate);
+
+    return {
+        scale: k,
+        project: function (λ, φ) {
+            var r = rotator.forward(λ * RAD, φ * RAD), p = raw.forward(r[0], r[1]);
+            return p ? [tx + k * p[0], ty - k * p[1]] : null;
+        },
+        invert: function (x, y) {
+            var p = raw.invert((x - tx) / k, (ty - y) / k);
+            if (!p) return null;
+            var r = rotator.invert(p[0], p[1]);
+            return [r[0] / RAD, r[1] / RAD];
+        }
+    };
+}
+
+/**
+ * @returns {Array<string>} the supported projection names
+ */
+function names() {
+    return Object.keys(RAW);
+}
+
+module.exports = {
+    SCALE_EXTENT: SCALE_EXTENT,
+    createProjection: createProjection,
+    names: names
+};
@@ -0,0 +1,43 @@
+/**
+ * A fixed-window rate limiter for server.js's write endpoints (POST /api/share): each client may make `limit`
+ * requests per window. Clients are whatever key the caller chooses, such as the remote address.
+ *
+ * Windows are kept in memory, so limits reset when the server restarts; expired windows are dropped as new requests
+ * come in, so memory stays bounded by the number of clients active within one window.
+ */
+
+"use strict";
+
+/**
+ * @param {Object} options - {limit: requests per window, windowMs: the window's length}
+ * @returns {Object} {take(key, now?) -> {allowed: boolean, remaining, retryAfter: seconds until the window resets}}
+ */
+function createRateLimiter(options) {
+    var limit = options.limit, windowMs = options.windowMs;
+    var windows = new Map();  // key -> {start, count}, oldest start first
+    return {
+        take: function (key, now) {
+            now = now || Date.now();
+            var oldest = windows.entries().next();
+            while (!oldest.done && now - oldest.value[1].start >= windowMs) {
+                windows.delete(oldest.value[0]);
+                oldest = windows.entries().next();
+            }
+            var current = windows.get(key);
+            if (!current) {
+                current = { start: now, count: 0 };
+                windows.set(key, current);
+            }
+            var retryAfter = Math.ceil((current.start + windowMs - now) / 1000);
+            if (current.count >= limit) {
+                return { allowed: false, remaining: 0, retryAfter: retryAfter };
+            }
+            current.count++;
+            return { allowed: true, remaining: limit - current.count, retryAfter: retryAfter };
+        }
+    };
+}
+
+module.exports = {
+    createRateLimiter: createRateLimiter
+};
@@ -0,0 +1,217 @@
+/**
+ * Availability-aware scheduling of weather runs
+ *
+ * Instead of fetching on a fixed interval and guessing which run should exist by now, the scheduler waits until the
+ * next model cycle is due, then polls for it with cheap HEAD requests (provider.isPublished) and fetches it as soon
+ * as it appears:
+ *
+ *   last run fetched: 12z  ->  next cycle 18z, expected around 18z + publishDelay
+ *   wait until then, poll every minPoll, doubling up to maxPoll while it is missing
+ *   published -> fetch it -> schedule the cycle after
+ *
+ * If a cycle never appears (an upstream outage), later cycles become due too and are polled newest first, so the
+ * service catches up with the newest published run rather than working through the backlog.
+ *
+ * The scheduler only decides when and which run; fetching is the caller's (onRun).
+ */
+
+"use strict";
+
+var HOUR = 60 * 60 * 1000;
+
+function pad(n, width) {
+    return String(n).padStart(width, '0');
+}
+
+/**
+ * @param {Date} cycleTime
+ * @returns {Object} {date: "YYYYMMDD", run: "HHz", refTime: Date}
+ */
+function runOf(cycleTime) {
+    return {
+        date: cycleTime.getUTCFullYear() + pad(cycleTime.getUTCMonth() + 1, 2) + pad(cycleTime.getUTCDate(), 2),
+        run: pad(cycleTime.getUTCHours(), 2) + "z",
+        refTime: cycleTime
+    };
+}
+
+/**
+ * @param {Object} run - {date: "YYYYMMDD", run: "HHz"}
+ * @returns {Date} the run's cycle (reference) time
+ */
+function cycleTimeOf(run) {
+    return new Date(Date.UTC(+run.date.substring(0, 4), +run.date.substring(4, 6) - 1, +run.date.substring(6, 8),
+        parseInt(run.run, 10)));
+}
+
+/**
+ * @param {Date} after
+ * @param {Array<number>} cycles - cycle hours, e.g. [0, 6, 12, 18]
+ * @returns {Date} the first cycle time strictly after the given time
+ */
+function nextCycle(after, cycles) {
+    var hours = cycles.slice().sort(function (a, b) { return a - b; });
+    var midnight = Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate());
+    for (var d = 0; d <= 1; d++) {
+        for (var i = 0; i < hours.length; i++) {
+            var t = midnight + d * 24 * HOUR + hours[i] * HOUR;
+            if (t > after.getTime()) {
+                return new Date(t);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Cycles after the given one that are due (cycle time + publishDelay has passed), newest first, at most one day's.
+ */
+function dueCycles(after, now, cycles, publishDelay) {
+    var due = [];
+    for (var t = nextCycle(after, cycles); t && t.getTime() + publishDelay <= now.getTime(); t = nextCycle(t, cycles)) {
+        due.unshift(t);
+    }
+    return due.slice(0, cycles.length);
+}
+
+/**
+ * Create a scheduler.
+ *
+ * @param {Object} options
+ *   cycles       - cycle hours, e.g. [0, 6, 12, 18]
+ *   publishDelay - ms after its cycle time that a run is first worth polling for
+ *   minPoll      - first poll interval in ms once a run is due; doubles while it is missing...
+ *   maxPoll      - ...up to this
+ *   retryInterval - ms to wait before trying again when the first fetch (with no known last run) fails
+ *   isPublished(run)      - Promise<boolean> for {date, run}
+ *   onRun(runs, callback) - fetch the first available of runs (null: let the caller pick the latest it can find);
+ *                           callback(error, {date, run}) with the run actually fetched
+ * @returns {Object} {start(), stop(), status()}
+ */
+function createScheduler(options) {
+    var state = "idle";
+    var lastRun = null;       // {date, run, refTime} of the last run fetched
+    var timer = null;
+    var polls = 0;            // polls since the target became due
+    var nextCheckAt = null;
+    var lastCheckAt = null;
+    var lastError = null;
+
+    function at(time, fn) {
+        clearTimeout(timer);
+        nextCheckAt = new Date(time);
+        timer = setTimeout(fn, Math.max(0, time - Date.now()));
+    }
+
+    function nextRun() {
+        if (!lastRun) {
+            return null;
+        }
+        var cycle = nextCycle(lastRun.refTime, options.cycles);
+        var run = runOf(cycle);
+        run.expectedAt = new Date(cycle.getTime() + options.publishDelay);
+        return run;
+    }
+
+    function fetch(runs) {
+        state = "fetching";
+        nextCheckAt = null;
+        options.onRun(runs, function (error, run) {
+            if (error) {
+                lastError = error.message;
+                if (!lastRun) {
+                    state = "retrying";
+                    at(Date.now() + options.retryInterval, function () { fetch(null); });
+                } else {
+                    // Published but not usable (yet): keep polling as if it were missing.
+                    backoff();
+                }
+                return;
+            }
+            lastError = null;
+            lastRun = runOf(cycleTimeOf(run));
+            polls = 0;
+            waitForNext();
+        });
+    }
+
+    function waitForNext() {
+        var next = nextRun();
+        state = "waiting";
+        console.log("Scheduler: next run " + next.date + " " + next.run + (next.expectedAt.getTime() <= Date.now() ?
+            " is overdue, polling now" : " expected at " + next.expectedAt.toISOString()));
+        at(next.expectedAt.getTime(), poll);
+    }
+
+    function backoff() {
+        var delay = Math.min(options.maxPoll, options.minPoll * Math.pow(2, polls));
+        polls++;
+        state = "polling";
+        at(Date.now() + delay, poll);
+    }
+
+    function poll() {
+        var due = dueCycles(lastRun.refTime, new Date(), options.cycles, options.publishDelay).map(runOf);
+        if (due.length === 0) {
+            return waitForNext();
+        }
+        state = "polling";
+        lastCheckAt = new Date();
+
+        // Newest first: the first due run that is published wins.
+        function check(i) {
+            if (i >= due.length) {
+                console.log("Scheduler: " + due.map(function (r) { return r.date + " " + r.run; }).join(", ") +
+                    " not published yet");
+                return backoff();
+            }
+            options.isPublished(due[i]).then(function (published) {
+                if (published) {
+                    console.log("Scheduler: " + due[i].date + " " + due[i].run + " is published");
+                    fetch([due[i]]);
+                } else {
+                    check(i + 1);
+                }
+            }, function (err) {
+                lastError = err.message;
+                console.warn("Scheduler: availability check failed: " + err.message);
+                check(i + 1);
+            });
+        }
+        check(0);
+    }
+
+    return {
+        start: function () {
+            fetch(null);
+        },
+        stop: function () {
+            clearTimeout(timer);
+            timer = null;
+            state = "stopped";
+        },
+        /**
+         * @returns {Object} {state ("fetching", "waiting", "polling", "retrying", ...), lastRun, nextRun (with
+         *          expectedAt), nextCheckAt, lastCheckAt, polls, lastError}
+         */
+        status: function () {
+            return {
+                state: state,
+                lastRun: lastRun,
+                nextRun: nextRun(),
+                nextCheckAt: nextCheckAt,
+                lastCheckAt: lastCheckAt,
+                polls: polls,
+                lastError: lastError
+            };
+        }
+    };
+}
+
+module.exports = {
+    createScheduler: createScheduler,
+    cycleTimeOf: cycleTimeOf,
+    dueCycles: dueCycles,
+    nextCycle: nextCycle,
+    runOf: runOf
+};
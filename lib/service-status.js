@@ -0,0 +1,174 @@
+/**
+ * Service status and data freshness, for server.js's /api/status, /healthz and /readyz
+ *
+ * Combines what the services report about themselves (getStatus: last attempt, last success, run in use, last
+ * error, next run) with what is actually on disk: the age of every current overlay file, from the weather
+ * manifest (lib/data-manifest.js) or, without one, from the files in public/data/weather/current.
+ *
+ * Weather data is stale when the current wind layer's model run is older than the weather threshold; OSCAR is stale
+ * when the service has not completed an update within the OSCAR threshold (the upstream layers themselves are only
+ * published every few days, and for some deployments are a fixed archive).
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var dataManifest = require("./data-manifest");
+
+function iso(date) {
+    return date ? new Date(date).toISOString() : null;
+}
+
+function secondsBetween(then, now) {
+    return then ? Math.round((now.getTime() - new Date(then).getTime()) / 1000) : null;
+}
+
+function mtimeOrNull(file) {
+    try {
+        return fs.statSync(file).mtime;
+    } catch (e) {
+        return null;
+    }
+}
+
+var headerCache = {};  // path -> {mtime, refTime}
+
+/**
+ * @returns {string?} the refTime in a layer file's header, read once per modification of the file
+ */
+function fileRefTime(file, mtime) {
+    var cached = headerCache[file];
+    if (!cached || cached.mtime !== mtime.getTime()) {
+        var refTime = null;
+        try {
+            refTime = JSON.parse(fs.readFileSync(file, "utf8"))[0].header.refTime || null;
+        } catch (e) {
+            // unreadable or not a layer file
+        }
+        cached = headerCache[file] = { mtime: mtime.getTime(), refTime: refTime };
+    }
+    return cached.refTime;
+}
+
+/**
+ * @returns {Array<Object>} the current overlays: {product, surface, level, path, refTime, modified, ageSeconds,
+ *          dataAgeSeconds}; ageSeconds is since the file was written, dataAgeSeconds since its model run
+ */
+function currentOverlays(publicDir, now) {
+    var weatherDir = path.join(publicDir, "data", "weather");
+    var layers = dataManifest.readManifest(path.join(weatherDir, "manifest.json")).layers.filter(function (layer) {
+        return layer.date === "current";
+    });
+    if (layers.length === 0) {
+        // No manifest (yet): report the files as they are.
+        var names = [];
+        try {
+            names = fs.readdirSync(path.join(weatherDir, "current")).filter(function (name) {
+                return /^current-.*\.json$/.test(name);
+            });
+        } catch (e) {
+            // no current directory
+        }
+        layers = names.map(function (name) {
+            var parts = name.replace(/-gfs-1\.0\.json$/, "").split("-");
+            var file = path.join(weatherDir, "current", name);
+            var mtime = mtimeOrNull(file);
+            return {
+                product: parts[1], surface: parts[2] || null, level: parts[3] || null,
+                refTime: mtime ? fileRefTime(file, mtime) : null,
+                path: "data/weather/current/" + name
+            };
+        });
+    }
+    return layers.map(function (layer) {
+        var modified = mtimeOrNull(path.join(publicDir, layer.path));
+        return {
+            product: layer.product,
+            surface: layer.surface,
+            level: layer.level,
+            path: layer.path,
+            refTime: layer.refTime,
+            modified: iso(modified),
+            ageSeconds: secondsBetween(modified, now),
+            dataAgeSeconds: secondsBetween(layer.refTime, now)
+        };
+    });
+}
+
+/**
+ * Build the status report.
+ *
+ * @param {Object} options - {weather: weatherService, oscar: oscarService (each with getStatus()), publicDir,
+ *        startedAt: Date, weatherStaleAfter: ms, oscarStaleAfter: ms}
+ * @returns {Object} {time, startedAt, uptimeSeconds, weather: {...}, oscar: {...}}
+ */
+function buildStatus(options) {
+    var now = new Date();
+    var weather = options.weather.getStatus();
+    var oscar = options.oscar.getStatus();
+    var overlays = currentOverlays(options.publicDir, now);
+
+    var wind = overlays.filter(function (o) { return o.product === "wind" && o.surface === "surface"; })[0];
+    var weatherRefTime = weather.refTime || (wind && wind.refTime);
+    var weatherAge = weatherRefTime ? now - new Date(weatherRefTime) : wind && wind.modified ? now - new Date(wind.modified) : null;
+    var oscarAge = oscar.lastSuccess ? now - oscar.lastSuccess : null;
+
+    return {
+        time: now.toISOString(),
+        startedAt: iso(options.startedAt),
+        uptimeSeconds: secondsBetween(options.startedAt, now),
+        weather: {
+            enabled: weather.enabled,
+            lastAttempt: iso(weather.lastAttempt),
+            lastSuccess: iso(weather.lastSuccess),
+            model: weather.date ? { date: weather.date, run: weather.run, refTime: iso(weather.refTime) } : null,
+            lastError: weather.lastError,
+            nextRun: weather.nextRun ? {
+                date: weather.nextRun.date, run: weather.nextRun.run, expectedAt: iso(weather.nextRun.expectedAt)
+            } : null,
+            scheduler: weather.schedule ? weather.schedule.state : null,
+            dataAgeSeconds: weatherAge === null ? null : Math.round(weatherAge / 1000),
+            staleAfterSeconds: Math.round(options.weatherStaleAfter / 1000),
+            stale: weather.enabled && (weatherAge === null || weatherAge > options.weatherStaleAfter),
+            overlays: overlays
+        },
+        oscar: {
+            enabled: oscar.enabled,
+            lastAttempt: iso(oscar.lastAttempt),
+            lastSuccess: iso(oscar.lastSuccess),
+            lastError: oscar.lastError,
+            layers: oscar.layers,
+            nextRun: iso(oscar.nextRun),
+            staleAfterSeconds: Math.round(options.oscarStaleAfter / 1000),
+            stale: oscar.enabled && (oscarAge === null || oscarAge > options.oscarStaleAfter)
+        }
+    };
+}
+
+/**
+ * @param {Object} status - from buildStatus
+ * @param {boolean} graceful - if true, staleness is forgiven while the server has been up for less than each
+ *        service's threshold, so a restart with old data on disk has time to fetch fresh data
+ * @returns {Array<string>} why the data is not fresh; empty if all is well
+ */
+function staleness(status, graceful) {
+    var problems = [];
+    [["weather", status.weather], ["oscar", status.oscar]].forEach(function (entry) {
+        var name = entry[0], service = entry[1];
+        if (!service.stale || (graceful && status.uptimeSeconds < service.staleAfterSeconds)) {
+            return;
+        }
+        problems.push(name + ": " + (service.lastError ? "last error: " + service.lastError :
+            service.dataAgeSeconds !== undefined && service.dataAgeSeconds !== null ?
+                "data is " + Math.round(service.dataAgeSeconds / 3600) + " hours old" :
+                "no successful update"));
+    });
+    return problems;
+}
+
+module.exports = {
+    buildStatus: buildStatus,
+    currentOverlays: currentOverlays,
+    staleness: staleness
+};
@@ -0,0 +1,136 @@
+/**
+ * Short share links for server.js: POST /api/share stores a page configuration hash (micro.js's
+ * Configuration.toHash, e.g. "2024/01/31/0600Z/wind/isobaric/500hPa/overlay=temp/orthographic=-30,40,400") under a
+ * short id, and GET /s/{id} redirects to the page with that hash.
+ *
+ * Links are kept in memory and in one JSON file, {version, links: {id: {hash, created}}}, rewritten atomically (to a
+ * temporary file, then renamed) after each new link; writes are serialized so the last one always wins. Links do not
+ * expire. The same hash always gets the same id, so sharing a view twice does not use up the store.
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+
+var ID_LENGTH = 7;  // 62^7, about 3.5e12 ids
+var ID_ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+var ID_PATTERN = /^[0-9A-Za-z]{1,32}$/;
+
+// A hash as toHash builds it: path segments of letters, digits and "=,.-_" (orientations are "λ,φ,scale").
+var HASH_PATTERN = /^[\w\/=,.\-]+$/;
+var MAX_HASH_LENGTH = 256;
+
+var MAX_LINKS = 100000;
+
+function badRequest(message) {
+    var error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function randomId() {
+    var bytes = crypto.randomBytes(ID_LENGTH * 2), id = "";
+    for (var i = 0; i < bytes.length && id.length < ID_LENGTH; i++) {
+        if (bytes[i] < 248) {  // 248 = 4 * 62: keep the alphabet's letters equally likely
+            id += ID_ALPHABET[bytes[i] % 62];
+        }
+    }
+    return id.length === ID_LENGTH ? id : randomId();
+}
+
+/**
+ * @param {string} hash - a configuration hash, with or without the leading "#"
+ * @returns {string} the hash without "#"; throws an error with status 400 if it is not one
+ */
+function normalizeHash(hash) {
+    var h = typeof hash === "string" ? hash.replace(/^#/, "") : "";
+    if (!h || h.length > MAX_HASH_LENGTH || !HASH_PATTERN.test(h) || h.indexOf("..") >= 0) {
+        throw badRequest("hash must be the page's configuration hash, e.g. \"current/wind/surface/level/orthographic\"");
+    }
+    return h;
+}
+
+/**
+ * @param {Object} options - {file: path of the JSON store, maxLinks?: Number (default 100,000)}
+ * @returns {Object} {create(hash) -> Promise for {id, created: boolean}, lookup(id) -> hash or null, size()}
+ */
+function createShareLinks(options) {
+    var file = options.file, maxLinks = options.maxLinks || MAX_LINKS;
+    var links = new Map();   // id -> {hash, created}; Maps, as a hash may be any name, even "__proto__"
+    var byHash = new Map();  // hash -> id
+    var writing = Promise.resolve();
+
+    try {
+        var stored = JSON.parse(fs.readFileSync(file, "utf8")).links || {};
+        Object.keys(stored).forEach(function (id) {
+            links.set(id, stored[id]);
+            byHash.set(stored[id].hash, id);
+        });
+    } catch (e) {
+        if (e.code !== "ENOENT") {
+            console.error("Share links: cannot read " + file + ", starting empty:", e.message);
+        }
+    }
+
+    function save() {
+        var all = {};
+        links.forEach(function (link, id) {
+            all[id] = link;  // ids are letters and digits only
+        });
+        var body = JSON.stringify({ version: 1, links: all });
+        writing = writing.then(function () {
+            var tmp = file + ".tmp-" + process.pid;
+            return fs.promises.mkdir(path.dirname(file), { recursive: true }).then(function () {
+                return fs.promises.writeFile(tmp, body);
+            }).then(function () {
+                return fs.promises.rename(tmp, file);
+            });
+        });
+        var written = writing;
+        writing = writing.catch(function () {});  // a failed write must not block the next ones
+        return written;
+    }
+
+    function create(hash) {
+        try {
+            hash = normalizeHash(hash);
+        } catch (e) {
+            return Promise.reject(e);
+        }
+        if (byHash.has(hash)) {
+            return Promise.resolve({ id: byHash.get(hash), created: false });
+        }
+        if (links.size >= maxLinks) {
+            var full = new Error("the share link store is full");
+            full.status = 503;
+            return Promise.reject(full);
+        }
+        var id;
+        do {
+            id = randomId();
+        } while (links.has(id));
+        links.set(id, { hash: hash, created: new Date().toISOString() });
+        byHash.set(hash, id);
+        return save().then(function () {
+            return { id: id, created: true };
+        }, function (err) {
+            links.delete(id);
+            byHash.delete(hash);
+            throw new Error("cannot save share link: " + err.message);
+        });
+    }
+
+    return {
+        create: create,
+        lookup: function (id) {
+            return ID_PATTERN.test(id) && links.has(id) ? links.get(id).hash : null;
+        },
+        size: function () { return links.size; }
+    };
+}
+
+module.exports = {
+    createShareLinks: createShareLinks
+};
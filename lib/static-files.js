@@ -0,0 +1,289 @@
+/**
+ * Static file responses for server.js: content negotiation, conditional requests, HEAD and byte ranges
+ *
+ * - Compression: for compressible types the best encoding the client accepts (br, then gzip) is used. The services'
+ *   precompressed sidecars (foo.json.br, foo.json.gz; see lib/precompress.js) are served when they are at least as
+ *   new as the file; otherwise the file is compressed on the fly.
+ * - Validators: a strong ETag derived from size and modification time (distinct per encoding) and Last-Modified.
+ *   If-None-Match and If-Modified-Since are answered with 304 Not Modified.
+ * - Ranges: a single "bytes=" range is answered with 206 Partial Content (or 416), honouring If-Range. Ranges are
+ *   served from the uncompressed file, since a range of a compressed stream is of no use to a client.
+ * - HEAD: the same headers as GET, without the body.
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var fs = require("fs");
+var path = require("path");
+var zlib = require("zlib");
+var precompress = require("./precompress");
+
+var COMPRESSIBLE = {
+    ".html": true, ".js": true, ".json": true, ".css": true, ".svg": true, ".txt": true, ".csv": true, ".xml": true,
+    ".ico": true, ".ttf": true, ".bin": true  // binary grids (lib/binary-grid.js) compress well too
+};
+
+// Smaller responses are not worth compressing on the fly.
+var MIN_DYNAMIC_SIZE = 1024;
+
+// Generated content of these types is compressed already.
+var PRECOMPRESSED_TYPES = /^(image\/(png|jpeg|gif|webp|tiff)|application\/(zip|vnd\.google-earth\.kmz))\b/;
+
+/**
+ * Parse a single "bytes=" range against a file size.
+ *
+ * @returns {Object} {start, end} (inclusive), null if there is no usable Range header, or false if unsatisfiable
+ */
+function parseRange(header, size) {
+    var m = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+    if (!m || (m[1] === "" && m[2] === "")) {
+        return null;
+    }
+    var start, end;
+    if (m[1] === "") {
+        // Suffix range: the last n bytes.
+        start = Math.max(0, size - parseInt(m[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(m[1], 10);
+        end = m[2] === "" ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+    }
+    return start <= end && start < size ? { start: start, end: end } : false;
+}
+
+/**
+ * Choose a response encoding from an Accept-Encoding header.
+ *
+ * @param {string} header - e.g. "gzip, deflate, br;q=0.9"
+ * @param {Array<string>} available - encodings we can produce, in order of preference
+ * @returns {string} one of available, or "identity"
+ */
+function negotiateEncoding(header, available) {
+    var accepted = {};
+    (header || "").split(",").forEach(function (part) {
+        var pieces = part.trim().split(";");
+        var name = pieces[0].trim().toLowerCase();
+        var q = 1;
+        pieces.slice(1).forEach(function (param) {
+            var m = /^\s*q=([\d.]+)\s*$/.exec(param);
+            if (m) q = parseFloat(m[1]);
+        });
+        if (name) accepted[name] = q;
+    });
+    var best = "identity", bestQ = 0;
+    available.forEach(function (encoding) {
+        var q = accepted.hasOwnProperty(encoding) ? accepted[encoding] : accepted.hasOwnProperty("*") ? accepted["*"] : 0;
+        if (q > bestQ) {
+            best = encoding;
+            bestQ = q;
+        }
+    });
+    return best;
+}
+
+/**
+ * @returns {string} a strong ETag for a file (size and modification time) or generated body (hash), per encoding
+ */
+function etagFor(stats, body, encoding) {
+    var base = body ?
+        crypto.createHash("sha1").update(body).digest("hex").substring(0, 20) :
+        stats.size.toString(16) + "-" + Math.floor(stats.mtimeMs).toString(16);
+    return "\"" + base + (encoding && encoding !== "identity" ? "-" + encoding : "") + "\"";
+}
+
+function stripWeak(tag) {
+    return tag.trim().replace(/^W\//, "");
+}
+
+/**
+ * @returns {boolean} true if the request's validators show the client already has this version
+ */
+function isNotModified(req, etag, lastModified) {
+    var ifNoneMatch = req.headers["if-none-match"];
+    if (ifNoneMatch) {
+        return ifNoneMatch.trim() === "*" || ifNoneMatch.split(",").map(stripWeak).indexOf(stripWeak(etag)) >= 0;
+    }
+    var ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+    return !isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * @returns {boolean} false if an If-Range header names a different version, in which case the whole file is sent
+ */
+function ifRangeMatches(req, etag, lastModified) {
+    var ifRange = req.headers["if-range"];
+    if (!ifRange) {
+        return true;
+    }
+    return /^(W\/)?"/.test(ifRange.trim()) ?
+        ifRange.trim() === etag :
+        Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+function statOrNull(file, callback) {
+    fs.stat(file, function (err, stats) {
+        callback(err || !stats.isFile() ? null : stats);
+    });
+}
+
+/**
+ * Find the representation to send: a fresh sidecar, on-the-fly compression, or the file itself.
+ *
+ * @param callback - invoked with {encoding, sidecar: path?, size?}
+ */
+function chooseRepresentation(req, filePath, stats, options, callback) {
+    var ext = path.extname(filePath).toLowerCase();
+    if (!COMPRESSIBLE[ext] || req.headers.range) {
+        return callback({ encoding: "identity" });
+    }
+    var encoding = negotiateEncoding(req.headers["accept-encoding"], ["br", "gzip"]);
+    if (encoding === "identity") {
+        return callback({ encoding: "identity" });
+    }
+    var size = options.body ? options.body.length : stats.size;
+    var dynamic = size >= MIN_DYNAMIC_SIZE ? { encoding: encoding } : { encoding: "identity" };
+    if (options.body) {
+        return callback(dynamic);
+    }
+    var sidecar = precompress.ENCODINGS.filter(function (e) { return e.name === encoding; })[0];
+    statOrNull(filePath + sidecar.extension, function (sidecarStats) {
+        if (sidecarStats && sidecarStats.mtimeMs >= stats.mtimeMs) {
+            return callback({ encoding: encoding, sidecar: filePath + sidecar.extension, size: sidecarStats.size });
+        }
+        callback(dynamic);
+    });
+}
+
+function brotliParams() {
+    var params = {};
+    params[zlib.constants.BROTLI_PARAM_QUALITY] = 5;  // fast enough to keep up with a download
+    return params;
+}
+
+function compressStream(encoding) {
+    return encoding === "br" ? zlib.createBrotliCompress({ params: brotliParams() }) : zlib.createGzip({ level: 6 });
+}
+
+function compressBuffer(encoding, buffer) {
+    return encoding === "br" ?
+        zlib.brotliCompressSync(buffer, { params: brotliParams() }) :
+        zlib.gzipSync(buffer, { level: 6 });
+}
+
+function sendError(res, statusCode, message) {
+    if (!res.headersSent) {
+        res.writeHead(statusCode, { "Content-Type": "text/plain" });
+    }
+    res.end(message);
+}
+
+/**
+ * Respond with a file.
+ *
+ * @param req
+ * @param res
+ * @param {string} filePath
+ * @param {fs.Stats} stats - of filePath
+ * @param {Object} options - {contentType, cacheControl, body: Buffer? (generated content to send instead of the
+ *        file, e.g. HTML with an injected base tag; validators then come from the content)}
+ */
+function serveFile(req, res, filePath, stats, options) {
+    var compressible = COMPRESSIBLE[path.extname(filePath).toLowerCase()];
+    chooseRepresentation(req, filePath, stats, options, function (representation) {
+        var encoding = representation.encoding;
+        var etag = etagFor(stats, options.body, encoding);
+        var headers = {
+            "Content-Type": options.contentType,
+            "Cache-Control": options.cacheControl,
+            "ETag": etag,
+            "Last-Modified": stats.mtime.toUTCString()
+        };
+        if (compressible) {
+            headers["Vary"] = "Accept-Encoding";
+        }
+
+        if (isNotModified(req, etag, stats.mtime)) {
+            res.writeHead(304, headers);
+            return res.end();
+        }
+
+        if (encoding !== "identity") {
+            headers["Content-Encoding"] = encoding;
+            if (representation.sidecar) {
+                headers["Content-Length"] = representation.size;
+            }
+            res.writeHead(200, headers);
+            if (req.method === "HEAD") {
+                return res.end();
+            }
+            if (options.body) {
+                return res.end(compressBuffer(encoding, options.body));
+            }
+            var source = fs.createReadStream(representation.sidecar || filePath);
+            source.on("error", function () { sendError(res, 500, "Internal Server Error"); });
+            if (representation.sidecar) {
+                return source.pipe(res);
+            }
+            return source.pipe(compressStream(encoding)).pipe(res);
+        }
+
+        var size = options.body ? options.body.length : stats.size;
+        headers["Accept-Ranges"] = "bytes";
+        var range = ifRangeMatches(req, etag, stats.mtime) ? parseRange(req.headers.range, size) : null;
+        if (range === false) {
+            headers["Content-Range"] = "bytes */" + size;
+            res.writeHead(416, headers);
+            return res.end();
+        }
+        var start = range ? range.start : 0;
+        var end = range ? range.end : size - 1;
+        if (range) {
+            headers["Content-Range"] = "bytes " + start + "-" + end + "/" + size;
+        }
+        headers["Content-Length"] = size === 0 ? 0 : end - start + 1;
+        res.writeHead(range ? 206 : 200, headers);
+        if (req.method === "HEAD" || size === 0) {
+            return res.end();
+        }
+        if (options.body) {
+            return res.end(options.body.slice(start, end + 1));
+        }
+        var stream = fs.createReadStream(filePath, { start: start, end: end });
+        stream.on("error", function () { sendError(res, 500, "Internal Server Error"); });
+        stream.pipe(res);
+    });
+}
+
+/**
+ * Respond with generated content (e.g. an API response), compressed if the client accepts it and it is big enough
+ * (and not an image format that is compressed already).
+ *
+ * @param req
+ * @param res
+ * @param {number} statusCode
+ * @param {Object} headers - including Content-Type
+ * @param {string|Buffer} body
+ */
+function sendBody(req, res, statusCode, headers, body) {
+    var buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, "utf8");
+    var encoding = buffer.length >= MIN_DYNAMIC_SIZE && !PRECOMPRESSED_TYPES.test(headers["Content-Type"] || "") ?
+        negotiateEncoding(req.headers["accept-encoding"], ["br", "gzip"]) :
+        "identity";
+    headers["Vary"] = "Accept-Encoding";
+    if (encoding !== "identity") {
+        buffer = compressBuffer(encoding, buffer);
+        headers["Content-Encoding"] = encoding;
+    }
+    headers["Content-Length"] = buffer.length;
+    res.writeHead(statusCode, headers);
+    res.end(req.method === "HEAD" ? undefined : buffer);
+}
+
+module.exports = {
+    COMPRESSIBLE: COMPRESSIBLE,
+    negotiateEncoding: negotiateEncoding,
+    parseRange: parseRange,
+    sendBody: sendBody,
+    serveFile: serveFile
+};
@@ -0,0 +1,143 @@
+/**
+ * Weather archive retention
+ *
+ * The weather service writes every analysis and forecast step under dated paths:
+ *   public/data/weather/yyyy/mm/dd/hhhh-<overlay>-gfs-1.0.json
+ * which is the layout products.js requests when navigating to a "yyyy/mm/dd/hhhhZ" hash.
+ *
+ * This module prunes those layers according to a retention policy:
+ * - layers newer than `fullDays` are kept at full (3-hourly) resolution,
+ * - layers older than that are thinned to one per day (the DAILY_HOUR layer),
+ * - layers older than `dailyDays` are removed (0 keeps daily layers forever).
+ * Layers at or after `keepAfter` (e.g. the forecast steps of the current run) are never removed.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var precompress = require("./precompress");
+var binaryGrid = require("./binary-grid");
+
+var DAY = 24 * 60 * 60 * 1000;
+var DAILY_HOUR = "0000";
+var LAYER_FILE = /^(\d{4})-.+\.json$/;
+
+function listDir(dir, pattern) {
+    try {
+        return fs.readdirSync(dir).filter(function (name) { return pattern.test(name); });
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * List all dated layer files under the weather root.
+ *
+ * @param {string} rootDir - e.g. public/data/weather
+ * @returns {Array<Object>} Array of {path, dir, time: Date, hour: "hhhh"} objects
+ */
+function listLayers(rootDir) {
+    var layers = [];
+    listDir(rootDir, /^\d{4}$/).forEach(function (yyyy) {
+        listDir(path.join(rootDir, yyyy), /^\d{2}$/).forEach(function (mm) {
+            listDir(path.join(rootDir, yyyy, mm), /^\d{2}$/).forEach(function (dd) {
+                var dir = path.join(rootDir, yyyy, mm, dd);
+                listDir(dir, LAYER_FILE).forEach(function (file) {
+                    var hour = LAYER_FILE.exec(file)[1];
+                    layers.push({
+                        path: path.join(dir, file),
+                        dir: dir,
+                        hour: hour,
+                        time: new Date(Date.UTC(+yyyy, +mm - 1, +dd, +hour.substring(0, 2)))
+                    });
+                });
+            });
+        });
+    });
+    return layers;
+}
+
+/**
+ * Decide which layers the policy removes.
+ *
+ * @param {Array<Object>} layers - as returned by listLayers
+ * @param {Object} policy - {fullDays, dailyDays, keepAfter: Date?}. With fullDays null every layer before keepAfter
+ *        is removed (archiving disabled).
+ * @param {Date} now
+ * @returns {Array<Object>} the layers to remove
+ */
+function selectExpired(layers, policy, now) {
+    var keepAfter = policy.keepAfter ? policy.keepAfter.getTime() : Infinity;
+    var fullCutoff = policy.fullDays === null || policy.fullDays === undefined ?
+        Infinity :
+        now.getTime() - policy.fullDays * DAY;
+    var dailyCutoff = policy.dailyDays > 0 ? now.getTime() - policy.dailyDays * DAY : -Infinity;
+    var archiving = fullCutoff !== Infinity;
+
+    return layers.filter(function (layer) {
+        var t = layer.time.getTime();
+        if (t >= keepAfter || t >= fullCutoff) {
+            return false;
+        }
+        if (!archiving) {
+            return true;
+        }
+        return t < dailyCutoff || layer.hour !== DAILY_HOUR;
+    });
+}
+
+function removeIfExists(file) {
+    try {
+        fs.unlinkSync(file);
+    } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+    }
+}
+
+function removeEmptyDirs(rootDir, dir) {
+    while (dir !== rootDir && dir.indexOf(rootDir + path.sep) === 0) {
+        try {
+            if (fs.readdirSync(dir).length > 0) return;
+            fs.rmdirSync(dir);
+        } catch (e) {
+            return;
+        }
+        dir = path.dirname(dir);
+    }
+}
+
+/**
+ * Remove dated layers that fall outside the retention policy, then any day/month/year directories left empty.
+ *
+ * @param {string} rootDir - e.g. public/data/weather
+ * @param {Object} policy - see selectExpired
+ * @param {Date} [now] - defaults to the current time
+ * @returns {Object} {removed: number, kept: number}
+ */
+function pruneArchive(rootDir, policy, now) {
+    var layers = listLayers(rootDir);
+    var expired = selectExpired(layers, policy, now || new Date());
+    var dirs = {};
+    expired.forEach(function (layer) {
+        try {
+            fs.unlinkSync(layer.path);
+            precompress.removeSidecars(layer.path);
+            removeIfExists(binaryGrid.binaryPathOf(layer.path));
+            precompress.removeSidecars(binaryGrid.binaryPathOf(layer.path));
+            dirs[layer.dir] = true;
+        } catch (e) {
+            console.warn("Archive: could not remove " + layer.path + ": " + e.message);
+        }
+    });
+    Object.keys(dirs).forEach(function (dir) {
+        removeEmptyDirs(path.resolve(rootDir), path.resolve(dir));
+    });
+    return { removed: expired.length, kept: layers.length - expired.length };
+}
+
+module.exports = {
+    listLayers: listLayers,
+    selectExpired: selectExpired,
+    pruneArchive: pruneArchive
+};
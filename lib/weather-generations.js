@@ -0,0 +1,141 @@
+/**
+ * Weather generations
+ *
+ * Each run's "current" overlays are written into a fresh generation directory:
+ *   public/data/weather/generations/<name>/current-*.json
+ * and only when every overlay has been written does the public path
+ *   public/data/weather/current
+ * switch to it. "current" is a symlink to the active generation, replaced with a single rename, so clients never
+ * see wind from one run and temperature from another.
+ *
+ * Where symlinks are unavailable (e.g. Windows without the privilege), the files are copied into a plain "current"
+ * directory instead, one atomic rename per file, and a warning is logged.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+
+var CURRENT = "current";
+var GENERATIONS = "generations";
+
+function lstatOrNull(p) {
+    try {
+        return fs.lstatSync(p);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Create an empty generation directory.
+ *
+ * @param {string} rootDir - e.g. public/data/weather
+ * @param {string} label - e.g. "20251216-12z"; a timestamp is appended so every attempt gets a fresh directory
+ * @returns {string} the generation directory
+ */
+function createGeneration(rootDir, label) {
+    var dir = path.join(rootDir, GENERATIONS, label + "-" + Date.now());
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Remove a generation directory that will not be activated (e.g. its run failed).
+ */
+function discardGeneration(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * @returns {string|null} the generation directory "current" points at, or null if it is not a symlink
+ */
+function activeGeneration(rootDir) {
+    var current = path.join(rootDir, CURRENT);
+    var stats = lstatOrNull(current);
+    if (!stats || !stats.isSymbolicLink()) {
+        return null;
+    }
+    return path.resolve(rootDir, fs.readlinkSync(current));
+}
+
+function copyInto(sourceDir, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.readdirSync(sourceDir).forEach(function (name) {
+        var tmp = path.join(targetDir, "." + name + ".tmp");
+        fs.copyFileSync(path.join(sourceDir, name), tmp);
+        fs.renameSync(tmp, path.join(targetDir, name));
+    });
+}
+
+/**
+ * Point "current" at a generation directory.
+ *
+ * @param {string} rootDir - e.g. public/data/weather
+ * @param {string} dir - a directory made by createGeneration
+ * @returns {boolean} true if switched atomically (symlink), false if the files had to be copied
+ */
+function activateGeneration(rootDir, dir) {
+    var current = path.join(rootDir, CURRENT);
+    var tmp = current + ".tmp-" + process.pid;
+    try {
+        fs.unlinkSync(tmp);
+    } catch (e) {
+        // no leftover from an interrupted swap
+    }
+    try {
+        fs.symlinkSync(path.relative(rootDir, dir), tmp, "dir");
+    } catch (e) {
+        console.warn("Generations: cannot create symlink (" + e.message + "), copying files into " + current +
+            " instead; overlays may briefly mix runs");
+        var legacy = lstatOrNull(current);
+        if (legacy && legacy.isSymbolicLink()) {
+            fs.unlinkSync(current);
+        }
+        copyInto(dir, current);
+        return false;
+    }
+    var stats = lstatOrNull(current);
+    if (stats && !stats.isSymbolicLink()) {
+        // First swap after upgrading from plain files: move the old directory aside so the rename can replace it.
+        fs.renameSync(current, path.join(rootDir, GENERATIONS, "legacy-" + Date.now()));
+    }
+    fs.renameSync(tmp, current);
+    return true;
+}
+
+/**
+ * Remove old generations, keeping the active one and the most recent others up to `keep` in total. Clients
+ * that resolved "current" just before a swap can still finish reading the previous generation.
+ *
+ * @returns {number} the number of generations removed
+ */
+function pruneGenerations(rootDir, keep) {
+    var dir = path.join(rootDir, GENERATIONS);
+    var active = activeGeneration(rootDir);
+    var names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (e) {
+        return 0;
+    }
+    var others = names.map(function (name) {
+        return path.join(dir, name);
+    }).filter(function (generation) {
+        return generation !== active;
+    }).sort(function (a, b) {
+        return fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs;
+    });
+    var expired = others.slice(Math.max(0, keep - (active ? 1 : 0)));
+    expired.forEach(discardGeneration);
+    return expired.length;
+}
+
+module.exports = {
+    activateGeneration: activateGeneration,
+    activeGeneration: activeGeneration,
+    createGeneration: createGeneration,
+    discardGeneration: discardGeneration,
+    pruneGenerations: pruneGenerations
+};
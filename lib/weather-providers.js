@@ -0,0 +1,447 @@
+/**
+ * Upstream data providers for the weather service
+ *
+ * A provider knows where a model's GRIB2 files live. Every provider has the same interface:
+ *
+ *   name                                                 - e.g. "gfs-s3"
+ *   listRuns(now)                                        - candidate runs, most recent first: [{date: "YYYYMMDD", run: "12z"}]
+ *   fetchInventory(dateStr, run, forecastHour)           - Promise<string>: wgrib2-style .idx content
+ *   fetchFields(dateStr, run, forecastHour, patterns)    - Promise<Buffer>: GRIB2 messages containing (at least) the
+ *                                                          records matching the inventory patterns
+ *   isPublished(dateStr, run, forecastHour)              - Promise<boolean>: whether the file exists yet (a cheap HEAD
+ *                                                          of its inventory, used by lib/run-scheduler.js to poll)
+ *   cycles                                               - cycle hours the provider publishes, e.g. [0, 6, 12, 18]
+ *
+ * Implementations:
+ * - gfs-s3:     NOAA's GFS mirror on AWS Open Data (or any mirror with the same layout), .idx + Range requests
+ * - gfs-nomads: NOMADS; inventory from the pub/ tree, fields through the filter_gfs_<res>.pl subset script
+ * - directory:  a URL template or local path template pointing at one GRIB2 file per run and forecast hour,
+ *               e.g. an internal mirror, with wgrib2 inventories or none
+ * - replay:     gfs-s3 pointed at recorded fixtures (see lib/fake-nomads.js); lists the recorded runs instead of
+ *               the ones the clock says should exist
+ *
+ * Records are picked out of the returned messages by their GRIB2 codes, not by name, so a provider may return more
+ * than was asked for (the filter script does, and so does the directory provider when there is no inventory).
+ */
+
+"use strict";
+
+var fs = require("fs");
+var http = require("http");
+var https = require("https");
+var nomadsDownloader = require("./nomads-downloader");
+
+var HOUR = 60 * 60 * 1000;
+
+function pad(n, width) {
+    return String(n).padStart(width, '0');
+}
+
+function dateString(date) {
+    return date.getUTCFullYear() + pad(date.getUTCMonth() + 1, 2) + pad(date.getUTCDate(), 2);
+}
+
+/**
+ * Runs (model cycles) that should be published by now, most recent first.
+ *
+ * @param {Date} now
+ * @param {Array<number>} cycles - cycle hours, e.g. [0, 6, 12, 18]
+ * @param {number} delayHours - how long after its cycle time a run is typically complete
+ * @param {number} days - how many days back to look
+ * @returns {Array<Object>} [{date: "YYYYMMDD", run: "HHz"}]
+ */
+function candidateRuns(now, cycles, delayHours, days) {
+    var latest = now.getTime() - delayHours * HOUR;
+    var midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    var runs = [];
+    for (var d = 0; d <= days; d++) {
+        cycles.slice().sort(function (a, b) { return b - a; }).forEach(function (hour) {
+            var t = new Date(midnight - d * 24 * HOUR + hour * HOUR);
+            if (t.getTime() <= latest && t.getTime() > latest - days * 24 * HOUR) {
+                runs.push({ date: dateString(t), run: pad(hour, 2) + "z" });
+            }
+        });
+    }
+    return runs;
+}
+
+/**
+ * Parse "00,06,12,18" into [0, 6, 12, 18].
+ */
+function parseCycles(spec) {
+    return String(spec).split(",").map(function (part) {
+        return parseInt(part, 10);
+    }).filter(function (hour) {
+        return !isNaN(hour) && hour >= 0 && hour < 24;
+    });
+}
+
+/**
+ * GFS file name for a run and forecast hour, e.g. "gfs.t12z.pgrb2.1p00.f003".
+ */
+function gfsFileName(run, resolution, forecastHour) {
+    return "gfs.t" + run + ".pgrb2." + resolution + ".f" + pad(forecastHour, 3);
+}
+
+/**
+ * Path of a GFS file relative to the root of the S3 mirror, e.g. "gfs.20251216/12/atmos/gfs.t12z.pgrb2.1p00.f003".
+ */
+function gfsFilePath(dateStr, run, resolution, forecastHour) {
+    return ["gfs." + dateStr, run.substring(0, 2), "atmos", gfsFileName(run, resolution, forecastHour)].join("/");
+}
+
+// GFS runs at 00, 06, 12, 18 UTC and is typically complete 3-4 hours later.
+var GFS_CYCLES = [0, 6, 12, 18];
+
+function gfsRuns(now) {
+    return candidateRuns(now || new Date(), GFS_CYCLES, 4, 1);
+}
+
+function joinUrl(parts) {
+    return parts.filter(function (x) { return x && x.length > 0; }).join("/");
+}
+
+/**
+ * GFS on NOAA's public S3 mirror (or a mirror with the same layout):
+ *   {baseUrl}/{prefix}/gfs.YYYYMMDD/HH/atmos/gfs.tHHz.pgrb2.<resolution>.fFFF(.idx)
+ * This is the index-based partial transfer ("fast download") approach recommended by NOMADS:
+ * https://nomads.ncep.noaa.gov/info.php?page=fastdownload
+ *
+ * @param {Object} options - {baseUrl, prefix, resolution ("1p00"), plus downloadGrib2Buffer options}
+ */
+function createGfsS3Provider(options) {
+    var resolution = options.resolution || "1p00";
+
+    function fileUrl(dateStr, run, forecastHour) {
+        return joinUrl([options.baseUrl.replace(/\/+$/, ""), (options.prefix || "").replace(/\/+$/, ""),
+            gfsFilePath(dateStr, run, resolution, forecastHour)]);
+    }
+
+    return {
+        name: "gfs-s3",
+        cycles: GFS_CYCLES,
+        listRuns: gfsRuns,
+        fetchInventory: function (dateStr, run, forecastHour) {
+            return nomadsDownloader.fetchInventory(fileUrl(dateStr, run, forecastHour) + ".idx", options);
+        },
+        fetchFields: function (dateStr, run, forecastHour, patterns) {
+            var url = fileUrl(dateStr, run, forecastHour);
+            console.log("GRIB URL:", url);
+            return nomadsDownloader.downloadGrib2Buffer(url, patterns, options).then(function (result) {
+                return result.buffer;
+            });
+        },
+        isPublished: function (dateStr, run, forecastHour) {
+            return nomadsDownloader.headExists(fileUrl(dateStr, run, forecastHour) + ".idx", options);
+        }
+    };
+}
+
+/**
+ * Build the filter script's var_/lev_ parameters from inventory patterns of the form ":VAR:level:".
+ * The script returns every selected variable at every selected level, a superset that the caller then
+ * narrows down when splitting records.
+ */
+function filterScriptParams(fieldPatterns) {
+    var vars = [], levels = [];
+    fieldPatterns.forEach(function (pattern) {
+        var m = /^:([A-Z0-9]+):([^:]+):?$/.exec(pattern);
+        if (!m) return;
+        var v = "var_" + m[1], lev = "lev_" + m[2].replace(/ /g, "_");
+        if (vars.indexOf(v) < 0) vars.push(v);
+        if (levels.indexOf(lev) < 0) levels.push(lev);
+    });
+    return vars.concat(levels).map(function (p) { return "&" + encodeURIComponent(p) + "=on"; }).join("");
+}
+
+/**
+ * Download a GFS subset through the NOMADS filter script, trying both directory layouts.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function downloadFiltered(baseUrl, script, gfsFile, dateStr, run, fieldPatterns) {
+    return new Promise(function (resolve, reject) {
+        var runHour = run.substring(0, 2);
+        // Based on investigation: Correct format is /gfs.YYYYMMDD/{cycle}/atmos
+        // Try both directory formats in case one doesn't work
+        var gfsDirs = [
+            "/gfs." + dateStr + "/" + runHour + "/atmos",  // New format (confirmed from docs)
+            "/gfs." + dateStr + runHour                     // Old format (fallback)
+        ];
+
+        var tryFallback = function (dirIndex) {
+            if (dirIndex >= gfsDirs.length) {
+                reject(new Error("All filter script URL variants failed"));
+                return;
+            }
+
+            var gfsDir = gfsDirs[dirIndex];
+            var nomadsUrl = baseUrl + "/cgi-bin/" + script +
+                "?file=" + gfsFile +
+                filterScriptParams(fieldPatterns) +
+                "&dir=" + encodeURIComponent(gfsDir);
+
+            console.log("Trying filter script (variant " + (dirIndex + 1) + "):", nomadsUrl);
+
+            var urlObj = new URL(nomadsUrl);
+            var protocol = nomadsUrl.startsWith('https') ? https : http;
+            var options = {
+                hostname: urlObj.hostname,
+                port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+                path: urlObj.pathname + urlObj.search,
+                method: 'GET',
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; Earth-Clock/1.0)'
+                },
+                timeout: 60000 // 60 second timeout
+            };
+
+            var req = protocol.request(options, function (response) {
+                if (response.statusCode === 302 || response.statusCode === 301) {
+                    response.resume();
+                    // Follow redirect
+                    return tryFallback(dirIndex + 1);
+                }
+
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    console.log("Variant " + (dirIndex + 1) + " failed: HTTP " + response.statusCode + " " + response.statusMessage);
+                    return tryFallback(dirIndex + 1);
+                }
+
+                var chunks = [];
+                response.on('data', function (chunk) {
+                    chunks.push(chunk);
+                });
+                response.on('end', function () {
+                    var buffer = Buffer.concat(chunks);
+                    console.log("Downloaded successfully via filter script (" + (buffer.length / 1024 / 1024).toFixed(2) + " MB)");
+                    resolve(buffer);
+                });
+            });
+
+            req.on('error', function (err) {
+                console.log("Variant " + (dirIndex + 1) + " error:", err.message);
+                // If it's a network error, try next variant
+                if (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN' || err.code === 'ETIMEDOUT') {
+                    tryFallback(dirIndex + 1);
+                } else {
+                    reject(err);
+                }
+            });
+
+            req.on('timeout', function () {
+                req.destroy();
+                console.log("Variant " + (dirIndex + 1) + " timeout");
+                tryFallback(dirIndex + 1);
+            });
+
+            req.end();
+        };
+
+        tryFallback(0);
+    });
+}
+
+/**
+ * GFS on NOMADS. The inventory comes from the pub/ tree:
+ *   {baseUrl}/pub/data/nccf/com/gfs/prod/gfs.YYYYMMDD/HH/atmos/gfs.tHHz.pgrb2.<resolution>.fFFF.idx
+ * and fields from the filter_gfs_<resolution>.pl subset script.
+ *
+ * @param {Object} options - {baseUrl ("https://nomads.ncep.noaa.gov"), resolution ("1p00"), plus
+ *        nomads-downloader retry options}
+ */
+function createGfsNomadsProvider(options) {
+    var baseUrl = (options.baseUrl || "https://nomads.ncep.noaa.gov").replace(/\/+$/, "");
+    var resolution = options.resolution || "1p00";
+
+    function inventoryUrl(dateStr, run, forecastHour) {
+        return joinUrl([baseUrl, "pub/data/nccf/com/gfs/prod", "gfs." + dateStr, run.substring(0, 2), "atmos",
+            gfsFileName(run, resolution, forecastHour) + ".idx"]);
+    }
+
+    return {
+        name: "gfs-nomads",
+        cycles: GFS_CYCLES,
+        listRuns: gfsRuns,
+        fetchInventory: function (dateStr, run, forecastHour) {
+            return nomadsDownloader.fetchInventory(inventoryUrl(dateStr, run, forecastHour), options);
+        },
+        fetchFields: function (dateStr, run, forecastHour, patterns) {
+            return downloadFiltered(baseUrl, "filter_gfs_" + resolution + ".pl",
+                gfsFileName(run, resolution, forecastHour), dateStr, run, patterns);
+        },
+        isPublished: function (dateStr, run, forecastHour) {
+            return nomadsDownloader.headExists(inventoryUrl(dateStr, run, forecastHour), options);
+        }
+    };
+}
+
+/**
+ * Expand a file template: {YYYY} {MM} {DD} {YYYYMMDD} {HH} (cycle hour), {FFF} (zero-padded forecast hour),
+ * {F} (unpadded forecast hour).
+ */
+function expandTemplate(template, dateStr, run, forecastHour) {
+    var values = {
+        YYYYMMDD: dateStr,
+        YYYY: dateStr.substring(0, 4),
+        MM: dateStr.substring(4, 6),
+        DD: dateStr.substring(6, 8),
+        HH: run.substring(0, 2),
+        FFF: pad(forecastHour, 3),
+        F: String(forecastHour)
+    };
+    return template.replace(/\{(YYYYMMDD|YYYY|MM|DD|HH|FFF|F)\}/g, function (match, key) {
+        return values[key];
+    });
+}
+
+function isRemote(location) {
+    return /^https?:\/\//.test(location);
+}
+
+/**
+ * A directory of GRIB2 files, one per run and forecast hour, addressed by a URL or local path template, e.g.
+ *   https://mirror.example.org/gfs/{YYYYMMDD}/{HH}/gfs.t{HH}z.pgrb2.0p25.f{FFF}
+ *   /srv/grib/{YYYYMMDD}{HH}/f{FFF}.grib2
+ * With a wgrib2-style inventory next to each file (template + inventorySuffix) only the matching records are
+ * fetched; with inventorySuffix "" the whole file is downloaded (or read) instead. Other inventory formats, such as
+ * the JSON lines of ECMWF's .index files, are not read.
+ *
+ * @param {Object} options - {template, cycles ([0, 6, 12, 18]), delayHours (4), inventorySuffix (".idx"), plus
+ *        downloadGrib2Buffer options}
+ */
+function createDirectoryProvider(options) {
+    if (!options.template) {
+        throw new Error("directory provider requires a file template");
+    }
+    var cycles = options.cycles && options.cycles.length > 0 ? options.cycles : [0, 6, 12, 18];
+    var delayHours = options.delayHours >= 0 ? options.delayHours : 4;
+    var inventorySuffix = options.inventorySuffix === undefined ? ".idx" : options.inventorySuffix;
+
+    function readLocal(file) {
+        return new Promise(function (resolve, reject) {
+            fs.readFile(file, function (err, data) {
+                if (err) {
+                    err.message = "Failed to read " + file + ": " + err.message;
+                    reject(err);
+                    return;
+                }
+                resolve(data);
+            });
+        });
+    }
+
+    return {
+        name: "directory",
+        cycles: cycles,
+        listRuns: function (now) {
+            return candidateRuns(now || new Date(), cycles, delayHours, 1);
+        },
+        fetchInventory: function (dateStr, run, forecastHour) {
+            if (!inventorySuffix) {
+                return Promise.reject(new Error("directory provider has no inventory configured"));
+            }
+            var location = expandTemplate(options.template, dateStr, run, forecastHour) + inventorySuffix;
+            return isRemote(location) ?
+                nomadsDownloader.fetchInventory(location, options) :
+                readLocal(location).then(function (data) { return data.toString(); });
+        },
+        fetchFields: function (dateStr, run, forecastHour, patterns) {
+            var location = expandTemplate(options.template, dateStr, run, forecastHour);
+            console.log("GRIB file:", location);
+            if (!isRemote(location)) {
+                return readLocal(location);
+            }
+            if (!inventorySuffix) {
+                return nomadsDownloader.downloadRange(location, 0, null, options);
+            }
+            return nomadsDownloader.downloadGrib2Buffer(location, patterns, options).then(function (result) {
+                return result.buffer;
+            });
+        },
+        isPublished: function (dateStr, run, forecastHour) {
+            // The inventory is usually written last, so prefer it when there is one.
+            var location = expandTemplate(options.template, dateStr, run, forecastHour) + inventorySuffix;
+            if (isRemote(location)) {
+                return nomadsDownloader.headExists(location, options);
+            }
+            return new Promise(function (resolve) {
+                fs.access(location, function (err) {
+                    resolve(!err);
+                });
+            });
+        }
+    };
+}
+
+/**
+ * Runs recorded in a fixtures directory laid out like the S3 mirror (gfs.YYYYMMDD/HH/), most recent first.
+ */
+function recordedRuns(fixturesDir) {
+    var runs = [];
+    var dates = [];
+    try {
+        dates = fs.readdirSync(fixturesDir).filter(function (name) { return /^gfs\.\d{8}$/.test(name); });
+    } catch (e) {
+        console.warn("Replay: cannot read fixtures directory " + fixturesDir + ": " + e.message);
+    }
+    dates.forEach(function (dir) {
+        fs.readdirSync(fixturesDir + "/" + dir).filter(function (name) {
+            return /^\d{2}$/.test(name);
+        }).forEach(function (hour) {
+            runs.push({ date: dir.substring(4), run: hour + "z" });
+        });
+    });
+    return runs.sort(function (a, b) {
+        var ka = a.date + a.run, kb = b.date + b.run;
+        return ka < kb ? 1 : ka > kb ? -1 : 0;
+    });
+}
+
+/**
+ * GFS from recorded fixtures served by lib/fake-nomads.js. Fetching is exactly gfs-s3's; only the list of runs comes
+ * from the fixtures directory, so a recording can be replayed at any later date.
+ *
+ * @param {Object} options - gfs-s3 options (baseUrl pointing at the fake server) plus fixturesDir
+ */
+function createReplayProvider(options) {
+    if (!options.fixturesDir) {
+        throw new Error("replay provider requires a fixtures directory");
+    }
+    var provider = createGfsS3Provider(options);
+    provider.name = "replay";
+    provider.listRuns = function () {
+        return recordedRuns(options.fixturesDir);
+    };
+    return provider;
+}
+
+/**
+ * Create a provider by name.
+ *
+ * @param {string} name - "gfs-s3", "gfs-nomads", "directory" or "replay"
+ * @param {Object} options - passed to the provider's factory
+ */
+function createProvider(name, options) {
+    switch (name) {
+        case "gfs-s3": return createGfsS3Provider(options);
+        case "gfs-nomads": return createGfsNomadsProvider(options);
+        case "directory": return createDirectoryProvider(options);
+        case "replay": return createReplayProvider(options);
+        default: throw new Error("Unknown weather data provider: " + name);
+    }
+}
+
+module.exports = {
+    candidateRuns: candidateRuns,
+    createDirectoryProvider: createDirectoryProvider,
+    createGfsNomadsProvider: createGfsNomadsProvider,
+    createGfsS3Provider: createGfsS3Provider,
+    createProvider: createProvider,
+    createReplayProvider: createReplayProvider,
+    expandTemplate: expandTemplate,
+    gfsFileName: gfsFileName,
+    gfsFilePath: gfsFilePath,
+    parseCycles: parseCycles
+};
@@ -0,0 +1,87 @@
+/**
+ * A minimal zip writer for the KMZ exports (lib/kmz-export.js): files deflated with zlib, in the order given, without
+ * directories, encryption or zip64 (so each file and the archive stay under 4 GB).
+ *
+ * See https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT.
+ */
+
+"use strict";
+
+var zlib = require("zlib");
+var png = require("./png");
+
+var VERSION = 20;   // 2.0: deflate
+var DEFLATE = 8;
+var UTF8_NAMES = 0x0800;
+
+/**
+ * @returns {Object} {time, date} in MS-DOS format, taken in UTC (zip records no time zone)
+ */
+function dosTime(date) {
+    return {
+        time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+        date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+    };
+}
+
+/**
+ * @param {Array<Object>} files - [{name: path within the archive, data: Buffer or string (UTF-8)}]
+ * @param {Date?} modified - the files' modification time (default now)
+ * @returns {Buffer} the zip archive
+ */
+function createZip(files, modified) {
+    var stamp = dosTime(modified || new Date());
+    var parts = [], directory = [], offset = 0;
+
+    files.forEach(function (file) {
+        var name = Buffer.from(file.name, "utf8");
+        var data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8");
+        var compressed = zlib.deflateRawSync(data);
+        var crc = png.crc32(data);
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);   // local file header signature
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(UTF8_NAMES, 6);
+        local.writeUInt16LE(DEFLATE, 8);
+        local.writeUInt16LE(stamp.time, 10);
+        local.writeUInt16LE(stamp.date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);           // extra field length
+
+        var central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // central directory header signature
+        central.writeUInt16LE(VERSION, 4);    // made by
+        central.writeUInt16LE(VERSION, 6);    // needed to extract
+        central.writeUInt16LE(UTF8_NAMES, 8);
+        central.writeUInt16LE(DEFLATE, 10);
+        central.writeUInt16LE(stamp.time, 12);
+        central.writeUInt16LE(stamp.date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);    // of the local header; extra, comment, disk and attributes are zero
+
+        parts.push(local, name, compressed);
+        directory.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    });
+
+    var directorySize = directory.reduce(function (sum, buffer) { return sum + buffer.length; }, 0);
+    var end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);         // end of central directory signature
+    end.writeUInt16LE(files.length, 8);       // entries on this disk
+    end.writeUInt16LE(files.length, 10);      // entries in total
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);            // where the central directory starts
+
+    return Buffer.concat(parts.concat(directory, [end]));
+}
+
+module.exports = {
+    createZip: createZip
+};
@@ -4,18 +4,24 @@
  * The frontend expects:
  *   public/data/oscar/catalog.json  -> array of filenames (sorted, newest last)
  *   public/data/oscar/<file>.json   -> JSON-ified GRIB-like records [u, v]
+ *   public/data/oscar/manifest.json -> the same layers with dates, sizes and checksums (lib/data-manifest.js)
  *
  * To avoid re-implementing OSCAR NetCDF processing here, this service mirrors the
  * pre-generated OSCAR JSON layers from an upstream source (default: earth.nullschool.net).
  */
 "use strict";
 
+var EventEmitter = require("events").EventEmitter;
 var http = require("http");
 var https = require("https");
 var fs = require("fs");
 var path = require("path");
+var dataManifest = require("./lib/data-manifest");
+var metrics = require("./lib/metrics");
+var precompress = require("./lib/precompress");
 
-var OSCAR_DIR = path.join(__dirname, "public", "data", "oscar");
+var PUBLIC_DIR = path.join(__dirname, "public");
+var OSCAR_DIR = path.join(PUBLIC_DIR, "data", "oscar");
 // Default to the existing earth-clock deployment, which serves OSCAR JSON layers.
 // You can point this at any server hosting the same file structure.
 var DEFAULT_SOURCE = "https://earth-clock.onemonkey.org/data/oscar";
@@ -29,6 +35,7 @@ if (isNaN(KEEP_LAYERS) || KEEP_LAYERS <= 0) {
     KEEP_LAYERS = 3; // keep the most recent few for navigation
 }
 var ENABLED = (process.env.OSCAR_SERVICE_ENABLED || "true").toLowerCase() !== "false";
+var updateMetrics = metrics.updateMetrics();
 
 if (!fs.existsSync(OSCAR_DIR)) {
     fs.mkdirSync(OSCAR_DIR, { recursive: true });
@@ -78,6 +85,36 @@ function writeAtomic(filePath, contents) {
     var tmpPath = path.join(dir, path.basename(filePath) + ".tmp-" + process.pid + "-" + Date.now());
     fs.writeFileSync(tmpPath, contents);
     fs.renameSync(tmpPath, filePath);
+    precompress.writeSidecars(filePath, contents);
+}
+
+/**
+ * @param {string} file - a layer filename, e.g. "20140131-surface-currents-oscar-0.33.json"
+ * @returns {Object} the layer's manifest entry, with grid and refTime read from the file's header
+ */
+function manifestEntry(file) {
+    var filePath = path.join(OSCAR_DIR, file);
+    var contents = fs.readFileSync(filePath);
+    var header = {};
+    try {
+        header = JSON.parse(contents.toString("utf8"))[0].header || {};
+    } catch (e) {
+        console.warn("OSCAR: cannot read header of " + file + ": " + e.message);
+    }
+    var digest = dataManifest.digest(contents);
+    var m = /^(\d{4})(\d{2})(\d{2})/.exec(file);
+    return dataManifest.layerEntry(PUBLIC_DIR, filePath, {
+        product: "currents",
+        surface: "surface",
+        level: "currents",
+        date: m ? m[1] + "/" + m[2] + "/" + m[3] : null,
+        hour: null,
+        refTime: header.refTime,
+        source: "OSCAR / Earth & Space Research",
+        header: header,
+        bytes: digest.bytes,
+        sha256: digest.sha256
+    });
 }
 
 function updateOscarData() {
@@ -99,6 +136,7 @@ function updateOscarData() {
             var fileUrl = OSCAR_SOURCE_BASE_URL + "/" + file;
             console.log("OSCAR: downloading " + fileUrl);
             return requestBuffer(fileUrl).then(function (buf) {
+                updateMetrics.downloadBytes.inc({ service: "oscar", provider: "oscar-mirror" }, buf.length);
                 writeAtomic(localPath, buf);
                 return null;
             });
@@ -107,12 +145,34 @@ function updateOscarData() {
         return Promise.all(downloadPromises).then(function () {
             var localCatalogPath = path.join(OSCAR_DIR, "catalog.json");
             writeAtomic(localCatalogPath, JSON.stringify(keep));
+            // Like the catalog, the manifest lists only the kept layers.
+            dataManifest.writeManifest(path.join(OSCAR_DIR, "manifest.json"), keep.map(manifestEntry));
             console.log("OSCAR: updated catalog (" + keep.length + " layer(s))");
             return keep;
         });
     });
 }
 
+// Outcome of the latest updates, for getStatus.
+var serviceStatus = { lastAttempt: null, lastSuccess: null, lastError: null, layers: [], nextRun: null };
+
+// Emits "update" with {service: "oscar", layers} when an update changes the set of layers.
+var events = new EventEmitter();
+
+/**
+ * @returns {Object} {enabled, lastAttempt, lastSuccess, lastError, layers (file names in use), nextRun}
+ */
+function getStatus() {
+    return {
+        enabled: ENABLED,
+        lastAttempt: serviceStatus.lastAttempt,
+        lastSuccess: serviceStatus.lastSuccess,
+        lastError: serviceStatus.lastError,
+        layers: serviceStatus.layers,
+        nextRun: serviceStatus.nextRun
+    };
+}
+
 function startOscarService() {
     if (!ENABLED) {
         console.log("OSCAR Service disabled (OSCAR_SERVICE_ENABLED=false)");
@@ -133,18 +193,39 @@ function startOscarService() {
             return;
         }
         inProgress = true;
-        updateOscarData().catch(function (err) {
+        serviceStatus.lastAttempt = new Date();
+        var endTimer = updateMetrics.duration.startTimer({ service: "oscar" });
+        updateOscarData().then(function (keep) {
+            var changed = keep.join(",") !== serviceStatus.layers.join(",");
+            serviceStatus.lastSuccess = new Date();
+            serviceStatus.lastError = null;
+            serviceStatus.layers = keep;
+            updateMetrics.runs.inc({ service: "oscar", result: "success" });
+            endTimer({ result: "success" });
+            if (changed) {
+                events.emit("update", { service: "oscar", layers: keep });
+            }
+        }, function (err) {
             console.error("OSCAR " + label + " update failed:", err.message);
+            serviceStatus.lastError = err.message;
+            updateMetrics.runs.inc({ service: "oscar", result: "failure" });
+            endTimer({ result: "failure" });
         }).finally(function () {
             inProgress = false;
         });
     }
 
     runOnce("Initial");
-    setInterval(function () { runOnce("Scheduled"); }, UPDATE_INTERVAL);
+    serviceStatus.nextRun = new Date(Date.now() + UPDATE_INTERVAL);
+    setInterval(function () {
+        serviceStatus.nextRun = new Date(Date.now() + UPDATE_INTERVAL);
+        runOnce("Scheduled");
+    }, UPDATE_INTERVAL);
 }
 
 module.exports = {
+    events: events,
+    getStatus: getStatus,
     updateOscarData: updateOscarData,
     startOscarService: startOscarService
 };
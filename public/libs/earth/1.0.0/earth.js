@@ -83,6 +83,7 @@
     var animatorAgent = newAgent();  // the wind animator
     var overlayAgent = newAgent();   // color overlay over the animation
     var dayNightAgent = newAgent();  // day/night overlay
+    var dataUpdates = _.clone(Backbone.Events);  // "update" when the server publishes new data (see subscribeToUpdates)
 
     /**
      * The input controller is an object that translates move operations (drag and/or zoom) into mutations of the
@@ -1090,6 +1091,62 @@
         }
         d3.select("#data-layer").text(description);
         d3.select("#data-center").text(center);
+        showDownloadLinks(grids);
+    }
+
+    /**
+     * Point the menu's download links at GeoTIFF and NetCDF exports (/api/grid) of the layer on display: the overlay
+     * when it is a published layer, otherwise (an overlay derived from several layers) the primary grid. The KMZ link
+     * (/api/overlay.kmz) exports the overlay as drawn, with a placemark at the marked location, if any.
+     */
+    function showDownloadLinks(grids) {
+        var grid = grids && (grids.overlayGrid.paths.length === 1 ? grids.overlayGrid : grids.primaryGrid);
+        d3.select("#data-download").classed("invisible", !grid);
+        if (!grid) {
+            return;
+        }
+        var attr = configuration.attributes;
+        var query = [
+            "product=" + grid.type,
+            "date=" + (attr.date === "current" ? "current" : grid.date.toISOString()),
+            "level=" + (attr.surface === "isobaric" ? attr.level : "surface")
+        ];
+        ["geotiff", "netcdf"].forEach(function (format) {
+            d3.select("#download-" + format).attr("href", "api/grid?" + query.concat("format=" + format).join("&"));
+        });
+        var kmz = ["overlay=" + grids.overlayGrid.type].concat(query.slice(1)), coord = activeLocation.coord;
+        if (coord && _.isFinite(coord[0]) && _.isFinite(coord[1])) {
+            kmz.push("place=" + coord[1].toFixed(2) + "," + coord[0].toFixed(2));
+        }
+        d3.select("#download-kmz").attr("href", "api/overlay.kmz?" + kmz.join("&"));
+    }
+
+    /**
+     * Stores the view's hash as a short link (POST /api/share) and copies the link to the clipboard, or shows it in
+     * a prompt to copy from where the clipboard is not available.
+     */
+    function shareView() {
+        var button = d3.select("#option-share");
+        if (button.classed("highlighted")) {
+            return;  // a request is in flight
+        }
+        button.classed("highlighted", true);
+        d3.xhr("api/share")
+            .header("Content-Type", "application/json")
+            .post(JSON.stringify({ hash: configuration.toHash() }), function (error, request) {
+                button.classed("highlighted", false);
+                if (error) {
+                    return report.error({ status: error.status, message: error.statusText || "Share failed" });
+                }
+                var url = JSON.parse(request.responseText).url;
+                var prompt = function () { window.prompt("Short link to this view:", url); };
+                if (!navigator.clipboard || !window.isSecureContext) {
+                    return prompt();
+                }
+                navigator.clipboard.writeText(url).then(function () {
+                    report.status("Link copied: " + url);
+                }, prompt);
+            });
     }
 
     /**
@@ -1172,6 +1229,7 @@
                 }
             }
         }
+        showDownloadLinks(grids);
     }
 
     function updateLocationDetails() {
@@ -1188,6 +1246,7 @@
         if (clearEverything) {
             activeLocation = {};
             d3.select(".location-mark").remove();
+            showDownloadLinks(gridAgent.value());
         }
     }
 
@@ -1208,7 +1267,8 @@
     function bindButtonToConfiguration(elementId, newAttr, keys) {
         keys = keys || _.keys(newAttr);
         d3.select(elementId).on("click", function () {
-            if (d3.select(elementId).classed("disabled")) return;
+            var button = d3.select(elementId);
+            if (button.classed("disabled") || button.classed("unavailable")) return;
             configuration.save(newAttr);
         });
         configuration.on("change", function (model) {
@@ -1217,6 +1277,48 @@
         });
     }
 
+    /**
+     * Registers a button whose layer may be missing from the data manifests. Whenever the date or layer changes, the
+     * button is marked unavailable (class ".unavailable") if the products for the configuration with newAttr applied
+     * cannot be loaded.
+     */
+    function bindButtonToAvailability(elementId, newAttr) {
+        var keys = ["date", "hour", "param", "surface", "level", "overlayType"];
+        function check() {
+            products.isAvailable(_.extend(_.clone(configuration.attributes), newAttr)).then(function (available) {
+                d3.select(elementId).classed("unavailable", !available);
+            });
+        }
+        configuration.on("change", function (model) {
+            if (_.some(keys, model.hasChanged, model)) check();
+        });
+        dataUpdates.on("update", check);
+    }
+
+    /**
+     * Subscribes to the server's stream of data updates (/api/events). When a service publishes new data, the
+     * catalogs are reloaded and, if the page shows the current layer of that service's data, the grids are rebuilt
+     * so the map refreshes in place.
+     */
+    function subscribeToUpdates() {
+        if (!window.EventSource) {
+            return;
+        }
+        var source = new EventSource("api/events");
+        source.addEventListener("update", function (event) {
+            var update = JSON.parse(event.data);
+            log.debug("data update: " + event.data);
+            products.refreshCatalogs(true).then(function () {
+                dataUpdates.trigger("update", update);
+                var param = update.service === "oscar" ? "ocean" : "wind";
+                var affected = update.service === "oscar" || update.kind === "current";
+                if (affected && configuration.get("date") === "current" && configuration.get("param") === param) {
+                    gridAgent.submit(buildGrids);
+                }
+            });
+        });
+    }
+
     function reportSponsorClick(type) {
         if (ga) {
             ga("send", "event", "sponsor", type);
@@ -1899,19 +2001,25 @@
         configuration.on("change:showGridPoints", function (x, showGridPoints) {
             d3.select("#option-show-grid").classed("highlighted", showGridPoints);
         });
+        d3.select("#option-share").on("click", shareView);
 
         // Add handlers for all wind level buttons.
         d3.selectAll(".surface").each(function () {
             var id = this.id, parts = id.split("-");
             bindButtonToConfiguration("#" + id, { param: "wind", surface: parts[0], level: parts[1] });
+            bindButtonToAvailability("#" + id, { param: "wind", surface: parts[0], level: parts[1] });
         });
 
         // Add handlers for ocean animation types.
         bindButtonToConfiguration("#animate-currents", { param: "ocean", surface: "surface", level: "currents" });
+        bindButtonToAvailability("#animate-currents", { param: "ocean", surface: "surface", level: "currents" });
 
         // Add handlers for all overlay buttons.
         products.overlayTypes.forEach(function (type) {
             bindButtonToConfiguration("#overlay-" + type, { overlayType: type });
+            if (type !== "off") {
+                bindButtonToAvailability("#overlay-" + type, { overlayType: type });
+            }
         });
         bindButtonToConfiguration("#overlay-wind", { param: "wind", overlayType: "default" });
         bindButtonToConfiguration("#overlay-ocean-off", { overlayType: "off" });
@@ -1944,6 +2052,7 @@
     function start() {
         // Everything is now set up, so load configuration from the hash fragment and kick off change events.
         configuration.fetch();
+        subscribeToUpdates();
     }
 
     when(true).then(init).then(start).otherwise(report.error);
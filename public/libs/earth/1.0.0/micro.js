@@ -331,6 +331,22 @@ var µ = function () {
         return d.promise;
     }
 
+    /**
+     * Returns a promise for a binary resource (URL) fetched via XHR as an ArrayBuffer. If the load fails, the promise
+     * rejects as for loadJson.
+     */
+    function loadArrayBuffer(resource) {
+        var d = when.defer();
+        d3.xhr(resource).responseType("arraybuffer").get(function (error, request) {
+            return error ?
+                !error.status ?
+                    d.reject({ status: -1, message: "Cannot load resource: " + resource, resource: resource }) :
+                    d.reject({ status: error.status, message: error.statusText, resource: resource }) :
+                d.resolve(request.response);
+        });
+        return d.promise;
+    }
+
     /**
      * Returns the distortion introduced by the specified projection at the given point.
      *
@@ -658,6 +674,7 @@ var µ = function () {
         formatScalar: formatScalar,
         formatVector: formatVector,
         loadJson: loadJson,
+        loadArrayBuffer: loadArrayBuffer,
         distortion: distortion,
         newAgent: newAgent,
         parse: parse,
@@ -11,11 +11,42 @@ var products = function () {
 
     var WEATHER_PATH = "data/weather";
     var OSCAR_PATH = "data/oscar";
-    var catalogs = {
+    var MANIFEST_TTL = 5 * 60 * 1000;  // services publish new layers every few hours; recheck at most this often
+    var BINARY_SUPPORTED = typeof DataView !== "undefined" && typeof TextDecoder !== "undefined";
+    var catalogs = {};
+
+    /**
+     * Loads the manifest.json a data service publishes next to its files. Resolves to null if there is none (an
+     * older deployment), in which case layer paths are constructed by naming convention instead.
+     */
+    function loadManifest(dir) {
+        return µ.loadJson([dir, "manifest.json"].join("/")).then(null, function (err) {
+            return err.status === 404 ? null : when.reject(err);
+        });
+    }
+
+    /**
+     * (Re)loads the manifests if they are older than MANIFEST_TTL, or unconditionally if force is true.
+     * @returns {Object} a promise that settles once both catalogs have been (re)loaded.
+     */
+    function refreshCatalogs(force) {
+        if (!force && catalogs.loaded && Date.now() - catalogs.loaded < MANIFEST_TTL) {
+            return when.settle([catalogs.weather, catalogs.oscar]);
+        }
+        catalogs.loaded = Date.now();
+        catalogs.weather = loadManifest(WEATHER_PATH).otherwise(function () {
+            return null;
+        });
         // The OSCAR catalog is an array of file names, sorted and prefixed with yyyyMMdd. Last item is the
         // most recent. For example: [ 20140101-abc.json, 20140106-abc.json, 20140112-abc.json, ... ]
-        oscar: µ.loadJson([OSCAR_PATH, "catalog.json"].join("/"))
-    };
+        catalogs.oscar = loadManifest(OSCAR_PATH).then(function (manifest) {
+            return manifest ?
+                _.map(manifest.layers, function (layer) { return layer.path.split("/").pop(); }).sort() :
+                µ.loadJson([OSCAR_PATH, "catalog.json"].join("/"));
+        });
+        return when.settle([catalogs.weather, catalogs.oscar]);
+    }
+    refreshCatalogs(true);
 
     function buildProduct(overrides) {
         return _.extend({
@@ -27,7 +58,7 @@ var products = function () {
             },
             load: function (cancel) {
                 var me = this;
-                return when.map(this.paths, µ.loadJson).then(function (files) {
+                return when.map(this.paths, loadLayer).then(function (files) {
                     return cancel.requested ? null : _.extend(me, buildGrid(me.builder.apply(me, files)));
                 });
             }
@@ -35,16 +66,81 @@ var products = function () {
     }
 
     /**
+     * Decodes a compact binary grid into the same records as a JSON layer: [{header: {...}, data: [...]}], with
+     * missing values as null. See lib/binary-grid.js for the layout: "EGRD", version, record count, metadata length,
+     * the metadata as JSON, then each record's values as int16 (scaled, -32768 for null) or float32 (NaN for null).
+     */
+    function decodeBinaryGrid(buffer) {
+        var view = new DataView(buffer);
+        var magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (magic !== "EGRD" || view.getUint16(4, true) !== 1) {
+            throw new Error("unsupported binary grid");
+        }
+        var metaLength = view.getUint32(8, true);
+        var meta = JSON.parse(new TextDecoder("utf-8").decode(new Uint8Array(buffer, 12, metaLength))).records;
+        var p = Math.ceil((12 + metaLength) / 4) * 4;
+        return meta.map(function (m) {
+            var data = new Array(m.count), i, x;
+            if (m.type === "int16") {
+                for (i = 0; i < m.count; i++) {
+                    x = view.getInt16(p + i * 2, true);
+                    data[i] = x === -32768 ? null : m.offset + x * m.scale;
+                }
+                p += Math.ceil(m.count / 2) * 4;
+            }
+            else {
+                for (i = 0; i < m.count; i++) {
+                    x = view.getFloat32(p + i * 4, true);
+                    data[i] = isNaN(x) ? null : x;
+                }
+                p += m.count * 4;
+            }
+            return { header: m.header, data: data };
+        });
+    }
+
+    /**
+     * Loads a layer: a binary grid if the path is to one (falling back to the JSON file beside it if that fails),
+     * otherwise JSON.
+     */
+    function loadLayer(resource) {
+        if (!/\.bin$/.test(resource)) {
+            return µ.loadJson(resource);
+        }
+        return µ.loadArrayBuffer(resource).then(decodeBinaryGrid).otherwise(function () {
+            return µ.loadJson(resource.replace(/\.bin$/, ".json"));
+        });
+    }
+
+    /**
+     * Finds the path of a GFS layer in the weather manifest, falling back to the naming convention
+     * (data/weather/{date}/{hour|current}-{type}-{surface}-{level}-gfs-1.0.json) if there is no manifest. The
+     * layer's binary copy is preferred if the manifest lists one and the browser can decode it.
+     *
      * @param attr
      * @param {String} type
      * @param {String?} surface
      * @param {String?} level
-     * @returns {String}
+     * @returns {Object} promise for the path, rejected with status 404 if the manifest does not list the layer
      */
     function gfs1p0degPath(attr, type, surface, level) {
-        var dir = attr.date, stamp = dir === "current" ? "current" : attr.hour;
-        var file = [stamp, type, surface, level, "gfs", "1.0"].filter(µ.isValue).join("-") + ".json";
-        return [WEATHER_PATH, dir, file].join("/");
+        refreshCatalogs();
+        return when(catalogs.weather).then(function (manifest) {
+            var dir = attr.date, current = dir === "current";
+            if (!manifest) {
+                var file = [current ? "current" : attr.hour, type, surface, level, "gfs", "1.0"]
+                    .filter(µ.isValue).join("-") + ".json";
+                return [WEATHER_PATH, dir, file].join("/");
+            }
+            var layer = _.find(manifest.layers, function (layer) {
+                return layer.date === dir && (current || layer.hour === attr.hour) && layer.product === type &&
+                    layer.surface === (surface || null) && layer.level === (level || null);
+            });
+            var label = [type, surface, level, current ? "current" : dir + " " + attr.hour].filter(µ.isValue);
+            return layer ?
+                BINARY_SUPPORTED && layer.binary ? layer.binary.path : layer.path :
+                when.reject({ status: 404, message: label.join(" ") + " not available", resource: WEATHER_PATH });
+        });
     }
 
     function gfsDate(attr) {
@@ -446,6 +542,7 @@ var products = function () {
         "currents": {
             matches: _.matches({ param: "ocean", surface: "surface", level: "currents" }),
             create: function (attr) {
+                refreshCatalogs();
                 return when(catalogs.oscar).then(function (catalog) {
                     return buildProduct({
                         field: "vector",
@@ -687,9 +784,25 @@ var products = function () {
         return results.filter(µ.isValue);
     }
 
+    /**
+     * @returns {Object} promise for true if every file the products for the specified attributes need is listed
+     *          in the manifests (or there are no manifests to say otherwise), false if not.
+     */
+    function isAvailable(attributes) {
+        return when.all(productsFor(attributes)).then(function (products) {
+            return when.all(_.flatten(_.pluck(products, "paths")));
+        }).then(function (paths) {
+            return _.every(paths, µ.isValue);
+        }, function () {
+            return false;
+        });
+    }
+
     return {
         overlayTypes: d3.set(_.keys(FACTORIES)),
-        productsFor: productsFor
+        productsFor: productsFor,
+        isAvailable: isAvailable,
+        refreshCatalogs: refreshCatalogs
     };
 
 }();
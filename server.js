@@ -8,11 +8,25 @@
 var http = require("http");
 var fs = require("fs");
 var path = require("path");
+var querystring = require("querystring");
 
 // Background data updaters (weather overlays + OSCAR currents).
 // These are started from the main server process so Docker/CapRover runs a single long-lived process.
 var weatherService = require("./weather-service");
 var oscarService = require("./oscar-service");
+var serviceStatus = require("./lib/service-status");
+var metrics = require("./lib/metrics");
+var staticFiles = require("./lib/static-files");
+var cachePolicy = require("./lib/cache-policy");
+var eventStream = require("./lib/event-stream");
+var pointForecast = require("./lib/point-forecast");
+var gridExtract = require("./lib/grid-extract");
+var mapRender = require("./lib/map-render");
+var pageProducts = require("./lib/page-products");
+var mapTiles = require("./lib/map-tiles");
+var kmzExport = require("./lib/kmz-export");
+var shareLinks = require("./lib/share-links");
+var rateLimit = require("./lib/rate-limit");
 
 var port = process.env.PORT || 80;
 var basePath = process.env.BASE_PATH || "/";
@@ -26,6 +40,45 @@ if (basePath !== "/" && basePath.endsWith("/")) {
 
 var publicDir = path.join(__dirname, "public");
 var publicDirResolved = path.resolve(publicDir);
+var startedAt = new Date();
+
+// /healthz and /readyz fail when data is older than these. GFS runs every 6 hours and is published ~3.5 hours
+// later, so current weather data is normally up to ~10 hours old.
+var WEATHER_STALE_AFTER_HOURS = parseFloat(process.env.WEATHER_STALE_AFTER_HOURS || "");
+if (isNaN(WEATHER_STALE_AFTER_HOURS) || WEATHER_STALE_AFTER_HOURS <= 0) {
+    WEATHER_STALE_AFTER_HOURS = 12;
+}
+// OSCAR is checked by the time since its last successful update (daily by default).
+var OSCAR_STALE_AFTER_HOURS = parseFloat(process.env.OSCAR_STALE_AFTER_HOURS || "");
+if (isNaN(OSCAR_STALE_AFTER_HOURS) || OSCAR_STALE_AFTER_HOURS <= 0) {
+    OSCAR_STALE_AFTER_HOURS = 72;
+}
+// Memory for rendered map tiles (/tiles/...), kept until the data changes.
+var TILE_CACHE_MB = parseInt(process.env.TILE_CACHE_MB || "", 10);
+if (isNaN(TILE_CACHE_MB) || TILE_CACHE_MB < 0) {
+    TILE_CACHE_MB = 64;
+}
+// /api/render.png and /api/overlay.kmz: memory for rendered map images and exports, and how many renders may wait
+// their turn before requests are turned away (503).
+var RENDER_CACHE_MB = parseInt(process.env.RENDER_CACHE_MB || "", 10);
+if (isNaN(RENDER_CACHE_MB) || RENDER_CACHE_MB < 0) {
+    RENDER_CACHE_MB = 32;
+}
+var RENDER_QUEUE = parseInt(process.env.RENDER_QUEUE || "", 10);
+if (isNaN(RENDER_QUEUE) || RENDER_QUEUE <= 0) {
+    RENDER_QUEUE = 4;
+}
+// Short share links (POST /api/share) are stored in this file, outside public/ so the list is not served.
+var SHARE_STORE_FILE = path.resolve(process.env.SHARE_STORE_FILE || path.join(__dirname, "data", "share-links.json"));
+// New share links a client may create per hour.
+var SHARE_RATE_LIMIT = parseInt(process.env.SHARE_RATE_LIMIT || "", 10);
+if (isNaN(SHARE_RATE_LIMIT) || SHARE_RATE_LIMIT <= 0) {
+    SHARE_RATE_LIMIT = 30;
+}
+// Set when the server is only reachable through a reverse proxy (as CapRover's nginx) that appends the client's
+// address to X-Forwarded-For and sets X-Forwarded-Proto/-Host. Otherwise clients are told apart by their connection
+// and URLs are built from the Host header, as any client can send the forwarded headers.
+var TRUST_PROXY = /^(1|true|yes)$/i.test(process.env.TRUST_PROXY || "");
 
 var mimeTypes = {
     ".html": "text/html",
@@ -51,6 +104,354 @@ function injectBaseTag(htmlContent, basePath) {
     return htmlContent.replace(/<head>/, "<head>\n    " + baseTag);
 }
 
+var httpRequests = metrics.registry.counter("earth_clock_http_requests_total",
+    "HTTP requests, by route, method and status", ["route", "method", "status"]);
+var httpDuration = metrics.registry.histogram("earth_clock_http_request_duration_seconds",
+    "HTTP request latency until the response is finished, by route, method and status", ["route", "method", "status"]);
+var httpBytes = metrics.registry.counter("earth_clock_http_response_bytes_total",
+    "Response body bytes served, by route", ["route"]);
+var dataAge = metrics.registry.gauge("earth_clock_data_age_seconds",
+    "Age of the data in use: weather since the model run time, OSCAR since the last successful update", ["service"]);
+var dataStale = metrics.registry.gauge("earth_clock_data_stale",
+    "1 if the service's data is older than its staleness threshold (see /healthz)", ["service"]);
+var lastSuccessTime = metrics.registry.gauge("earth_clock_update_last_success_timestamp_seconds",
+    "Time of the last successful data update", ["service"]);
+var processMemory = metrics.registry.gauge("process_resident_memory_bytes", "Resident memory size in bytes");
+var processCpu = metrics.registry.counter("process_cpu_seconds_total", "Total user and system CPU time in seconds");
+var cpuReported = 0;  // microseconds of CPU time already added to processCpu
+var eventClients = metrics.registry.gauge("earth_clock_event_stream_clients", "Clients connected to /api/events");
+var processStart = metrics.registry.gauge("process_start_time_seconds", "Start time of the process in seconds since the epoch");
+var tileCacheBytes = metrics.registry.gauge("earth_clock_tile_cache_bytes", "Memory used by cached map tiles");
+var renderCacheBytes = metrics.registry.gauge("earth_clock_render_cache_bytes",
+    "Memory used by cached /api/render.png images and /api/overlay.kmz exports");
+
+/**
+ * Route label for metrics: API routes as they are, static files by area, so the number of series stays small.
+ */
+function routeOf(pathname) {
+    if (apiRoutes.hasOwnProperty(pathname) || postRoutes.hasOwnProperty(pathname)) return pathname;
+    if (pathname.indexOf("/s/") === 0) return "/s/*";
+    if (pathname.indexOf("/data/weather/") === 0) return "/data/weather/*";
+    if (pathname.indexOf("/data/oscar/") === 0) return "/data/oscar/*";
+    if (pathname.indexOf("/data/") === 0) return "/data/*";
+    if (pathname.indexOf("/libs/") === 0) return "/libs/*";
+    if (pathname.indexOf("/tiles/") === 0) return "/tiles/*";
+    if (/\.html$/.test(pathname)) return "*.html";
+    return "static";
+}
+
+/**
+ * Count the request, its latency and the bytes written once the response has been sent.
+ */
+function instrument(req, res, route) {
+    var endTimer = httpDuration.startTimer({ route: route });
+    var method = ["GET", "HEAD", "POST"].indexOf(req.method) >= 0 ? req.method : "other";
+    var bytes = 0;
+    var write = res.write, end = res.end;
+    function count(chunk, encoding) {
+        if (chunk && typeof chunk !== "function") {
+            bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+        }
+    }
+    res.write = function (chunk, encoding) {
+        count(chunk, encoding);
+        return write.apply(res, arguments);
+    };
+    res.end = function (chunk, encoding) {
+        count(chunk, encoding);
+        return end.apply(res, arguments);
+    };
+    res.on("finish", function () {
+        var labels = { route: route, method: method, status: res.statusCode };
+        httpRequests.inc(labels);
+        endTimer(labels);
+        httpBytes.inc({ route: route }, bytes);
+    });
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store"
+    });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * @returns {Object} what lib/cache-policy.js needs to know about the weather run in use and the next one
+ */
+function cacheContext() {
+    var status = weatherService.getStatus();
+    return {
+        now: new Date(),
+        nextPublishAt: status.nextRun ? status.nextRun.expectedAt : null,
+        latestRefTime: status.refTime
+    };
+}
+
+/**
+ * Respond to a failed API request: with the error's status (e.g. 400 for a bad query, 404 for missing data) or 500.
+ */
+function sendApiError(res, pathname, error) {
+    if (!error.status) {
+        console.error("API " + pathname + " failed:", error.message);
+    }
+    sendJson(res, error.status || 500, { error: error.message });
+}
+
+/**
+ * @returns {string} the URL of the app as the client reached it: from the Host header and the connection, or with
+ *          TRUST_PROXY from the X-Forwarded-Proto and X-Forwarded-Host headers the proxy sets, if present
+ */
+function baseUrlOf(req) {
+    var proto = req.socket.encrypted ? "https" : "http", host = req.headers.host || "localhost";
+    if (TRUST_PROXY) {
+        proto = (req.headers["x-forwarded-proto"] || proto).split(",")[0].trim();
+        host = (req.headers["x-forwarded-host"] || host).split(",")[0].trim();
+    }
+    return proto + "://" + host + (basePath === "/" ? "" : basePath);
+}
+
+/**
+ * @returns {string} the client's address: the connection's, or with TRUST_PROXY the last X-Forwarded-For entry, the
+ *          one the trusted proxy appended (earlier entries come from the client and may be anything)
+ */
+function clientOf(req) {
+    var forwarded = TRUST_PROXY ? (req.headers["x-forwarded-for"] || "").split(",").pop().trim() : "";
+    return forwarded || req.socket.remoteAddress || "";
+}
+
+/**
+ * Read a request body of up to maxBytes.
+ *
+ * @param {Function} callback - (error with status 413 if too large, body as a string)
+ */
+function readBody(req, maxBytes, callback) {
+    var chunks = [], size = 0, done = false;
+    req.on("data", function (chunk) {
+        if (done) return;
+        size += chunk.length;
+        if (size > maxBytes) {
+            done = true;
+            var error = new Error("request body larger than " + maxBytes + " bytes");
+            error.status = 413;
+            callback(error);
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on("end", function () {
+        if (done) return;
+        done = true;
+        callback(null, Buffer.concat(chunks).toString("utf8"));
+    });
+    req.on("error", function (err) {
+        if (done) return;
+        done = true;
+        callback(err);
+    });
+}
+
+function queryOf(req) {
+    var queryIndex = req.url.indexOf("?");
+    return querystring.parse(queryIndex >= 0 ? req.url.substring(queryIndex + 1) : "");
+}
+
+function currentStatus() {
+    return serviceStatus.buildStatus({
+        weather: weatherService,
+        oscar: oscarService,
+        publicDir: publicDirResolved,
+        startedAt: startedAt,
+        weatherStaleAfter: WEATHER_STALE_AFTER_HOURS * 60 * 60 * 1000,
+        oscarStaleAfter: OSCAR_STALE_AFTER_HOURS * 60 * 60 * 1000
+    });
+}
+
+// Pushes the services' "update" events to browsers, so open pages pick up a new run without reloading.
+var updates = eventStream.createEventStream({
+    onClientsChanged: function (count) {
+        eventClients.set({}, count);
+    }
+});
+eventClients.set({}, 0);
+[weatherService, oscarService].forEach(function (service) {
+    service.events.on("update", function (update) {
+        pageProducts.refresh(publicDirResolved);  // rendered images pick up the new layers straight away
+        updates.publish("update", update);
+    });
+});
+
+var tiles = mapTiles.createTileService({ publicDir: publicDirResolved, cacheBytes: TILE_CACHE_MB * 1024 * 1024 });
+var renders = mapRender.createRenderService({
+    publicDir: publicDirResolved,
+    cacheBytes: RENDER_CACHE_MB * 1024 * 1024,
+    maxQueued: RENDER_QUEUE,
+    maxAge: 300
+});
+
+/**
+ * /tiles/{overlay}/{z}/{x}/{y}.png and /tiles/{overlay}.json: overlay map tiles and their TileJSON
+ * (lib/map-tiles.js), with CORS so that web maps on other sites can use them.
+ */
+function serveTiles(req, res, pathname) {
+    tiles.handle(pathname, queryOf(req), baseUrlOf(req)).then(function (result) {
+        staticFiles.sendBody(req, res, 200, {
+            "Content-Type": result.contentType,
+            "Cache-Control": cachePolicy.cacheControlForTime(result.validTime, cacheContext()),
+            "Access-Control-Allow-Origin": "*"
+        }, result.body);
+    }, function (error) {
+        sendApiError(res, pathname, error);
+    });
+}
+
+/**
+ * /api/status: what each service is doing and how old the data is.
+ * /healthz:    503 when data is stale, after a grace period of one staleness threshold from startup (for restarts).
+ * /readyz:     503 until the data is fresh, e.g. while the first run after a deploy is still being fetched.
+ * /api/events: Server-Sent Events stream of data updates (lib/event-stream.js).
+ * /api/point:  every overlay interpolated at ?lat=&lon= (lib/point-forecast.js).
+ * /api/grid:   a layer cropped to ?bbox= and decimated by ?stride=, as JSON, CSV, GeoJSON, GeoTIFF or NetCDF
+ *              (lib/grid-extract.js).
+ * /api/render.png: the map as a PNG image, e.g. for chat posts and dashboards (lib/map-render.js).
+ * /api/overlay.kmz: an overlay as a KMZ ground overlay with legend and placemarks, for Google Earth
+ *              (lib/kmz-export.js).
+ */
+var apiRoutes = {
+    "/api/status": function (req, res) {
+        sendJson(res, 200, currentStatus());
+    },
+    "/healthz": function (req, res) {
+        var problems = serviceStatus.staleness(currentStatus(), true);
+        sendJson(res, problems.length > 0 ? 503 : 200, { status: problems.length > 0 ? "stale" : "ok", problems: problems });
+    },
+    "/readyz": function (req, res) {
+        var problems = serviceStatus.staleness(currentStatus(), false);
+        sendJson(res, problems.length > 0 ? 503 : 200, { status: problems.length > 0 ? "not ready" : "ready", problems: problems });
+    },
+    "/api/events": function (req, res) {
+        updates.handle(req, res);
+    },
+    "/api/point": function (req, res) {
+        pointForecast.pointForecast(publicDirResolved, queryOf(req)).then(function (body) {
+            sendJson(res, 200, body);
+        }, function (error) {
+            sendApiError(res, "/api/point", error);
+        });
+    },
+    "/api/grid": function (req, res) {
+        gridExtract.extractGrid(publicDirResolved, queryOf(req)).then(function (result) {
+            var headers = { "Content-Type": result.contentType, "Cache-Control": "no-store" };
+            if (result.fileName) {
+                headers["Content-Disposition"] = "attachment; filename=\"" + result.fileName + "\"";
+            }
+            staticFiles.sendBody(req, res, 200, headers, result.body);
+        }, function (error) {
+            sendApiError(res, "/api/grid", error);
+        });
+    },
+    "/api/render.png": function (req, res) {
+        renders.render(queryOf(req)).then(function (result) {
+            // Images are costly to render; let caches and chat unfurlers reuse one for a few minutes.
+            staticFiles.sendBody(req, res, 200,
+                { "Content-Type": result.contentType, "Cache-Control": "public, max-age=300" }, result.body);
+        }, function (error) {
+            if (error.retryAfter) {
+                res.setHeader("Retry-After", String(error.retryAfter));
+            }
+            sendApiError(res, "/api/render.png", error);
+        });
+    },
+    "/api/overlay.kmz": function (req, res) {
+        kmzExport.exportKmz(publicDirResolved, queryOf(req), renders).then(function (result) {
+            staticFiles.sendBody(req, res, 200, {
+                "Content-Type": result.contentType,
+                "Cache-Control": "public, max-age=300",
+                "Content-Disposition": "attachment; filename=\"" + result.fileName + "\""
+            }, result.body);
+        }, function (error) {
+            if (error.retryAfter) {
+                res.setHeader("Retry-After", String(error.retryAfter));
+            }
+            sendApiError(res, "/api/overlay.kmz", error);
+        });
+    },
+    "/metrics": function (req, res) {
+        // Gauges derived from the current state are refreshed on every scrape.
+        var status = currentStatus();
+        ["weather", "oscar"].forEach(function (service) {
+            var s = status[service];
+            if (!s.enabled) return;
+            var age = service === "weather" ? s.dataAgeSeconds : s.lastSuccess ? (Date.now() - Date.parse(s.lastSuccess)) / 1000 : null;
+            dataAge.set({ service: service }, age === null ? NaN : age);
+            dataStale.set({ service: service }, s.stale ? 1 : 0);
+            lastSuccessTime.set({ service: service }, s.lastSuccess ? Date.parse(s.lastSuccess) / 1000 : NaN);
+        });
+        var cpu = process.cpuUsage(), cpuTotal = cpu.user + cpu.system;
+        processMemory.set({}, process.memoryUsage().rss);
+        processCpu.inc({}, (cpuTotal - cpuReported) / 1e6);
+        cpuReported = cpuTotal;
+        processStart.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+        tileCacheBytes.set({}, tiles.size().bytes);
+        renderCacheBytes.set({}, renders.size().bytes);
+        res.writeHead(200, { "Content-Type": metrics.CONTENT_TYPE, "Cache-Control": "no-store" });
+        res.end(metrics.registry.render());
+    }
+};
+
+var shares = shareLinks.createShareLinks({ file: SHARE_STORE_FILE });
+var shareLimiter = rateLimit.createRateLimiter({ limit: SHARE_RATE_LIMIT, windowMs: 60 * 60 * 1000 });
+
+/**
+ * /api/share: POST {"hash": "<the page's configuration hash>"} stores it and answers {id, url, hash}, the url being
+ *             the short link (lib/share-links.js). Limited to SHARE_RATE_LIMIT new requests per client and hour.
+ */
+var postRoutes = {
+    "/api/share": function (req, res) {
+        var quota = shareLimiter.take(clientOf(req));
+        if (!quota.allowed) {
+            res.setHeader("Retry-After", String(quota.retryAfter));
+            sendJson(res, 429, { error: "too many share links; try again in " + quota.retryAfter + " s" });
+            return;
+        }
+        readBody(req, 4096, function (err, body) {
+            if (err) {
+                return sendApiError(res, "/api/share", err);
+            }
+            var hash;
+            try {
+                hash = JSON.parse(body).hash;
+            } catch (e) {
+                hash = null;
+            }
+            shares.create(hash).then(function (result) {
+                var id = result.id;
+                sendJson(res, result.created ? 201 : 200,
+                    { id: id, url: baseUrlOf(req) + "/s/" + id, hash: shares.lookup(id) });
+            }, function (error) {
+                sendApiError(res, "/api/share", error);
+            });
+        });
+    }
+};
+
+/**
+ * /s/{id}: redirect a short share link to the page with its configuration hash.
+ */
+function serveShareLink(req, res, pathname) {
+    var hash = shares.lookup(pathname.substring("/s/".length));
+    if (!hash) {
+        sendJson(res, 404, { error: "no such share link" });
+        return;
+    }
+    res.writeHead(302, {
+        "Location": (basePath === "/" ? "" : basePath) + "/#" + hash,
+        "Cache-Control": "public, max-age=86400"
+    });
+    res.end();
+}
+
 var server = http.createServer(function (req, res) {
     // Extract pathname from URL (handle query strings)
     var urlPath = req.url;
@@ -62,11 +463,63 @@ var server = http.createServer(function (req, res) {
         pathname = pathname.substring(basePath.length);
     }
 
+    instrument(req, res, routeOf(pathname === "/" || pathname === "" ? "/index.html" : pathname));
+
+    if (postRoutes.hasOwnProperty(pathname)) {
+        if (req.method !== "POST") {
+            res.writeHead(405, { "Allow": "POST" });
+            res.end();
+            return;
+        }
+        postRoutes[pathname](req, res);
+        return;
+    }
+
+    if (pathname.indexOf("/s/") === 0) {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405, { "Allow": "GET, HEAD" });
+            res.end();
+            return;
+        }
+        serveShareLink(req, res, pathname);
+        return;
+    }
+
+    if (apiRoutes.hasOwnProperty(pathname)) {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405, { "Allow": "GET, HEAD" });
+            res.end();
+            return;
+        }
+        try {
+            apiRoutes[pathname](req, res);
+        } catch (e) {
+            sendApiError(res, pathname, e);
+        }
+        return;
+    }
+
+    if (pathname.indexOf("/tiles/") === 0) {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.writeHead(405, { "Allow": "GET, HEAD" });
+            res.end();
+            return;
+        }
+        serveTiles(req, res, pathname);
+        return;
+    }
+
     // Default to index.html for root
     if (pathname === "/" || pathname === "") {
         pathname = "/index.html";
     }
 
+    if (req.method !== "GET" && req.method !== "HEAD") {
+        res.writeHead(405, { "Allow": "GET, HEAD" });
+        res.end();
+        return;
+    }
+
     // Resolve absolute path and guard against path traversal (CVE-2025-23084 / CVE-2025-27210)
     var filePath = path.resolve(publicDirResolved, "." + pathname);
 
@@ -91,6 +544,8 @@ var server = http.createServer(function (req, res) {
         var relativePath = path.relative(publicDirResolved, filePath).replace(/\\/g, "/");
         var needsBaseTag = htmlFiles.indexOf(relativePath) >= 0;
 
+        // Compression, ETag/Last-Modified, 304, HEAD and Range are handled by lib/static-files.js.
+        var options = { contentType: contentType, cacheControl: cachePolicy.cacheControlFor(relativePath, cacheContext()) };
         if (needsBaseTag) {
             // Read file, inject base tag, and serve
             fs.readFile(filePath, "utf8", function (readErr, content) {
@@ -99,21 +554,11 @@ var server = http.createServer(function (req, res) {
                     res.end("Internal Server Error");
                     return;
                 }
-                var modifiedContent = injectBaseTag(content, basePath);
-                res.setHeader("Content-Type", contentType);
-                res.setHeader("Cache-Control", "public, max-age=300");
-                res.end(modifiedContent);
+                options.body = Buffer.from(injectBaseTag(content, basePath), "utf8");
+                staticFiles.serveFile(req, res, filePath, stats, options);
             });
         } else {
-            // Serve file normally
-            res.setHeader("Content-Type", contentType);
-            res.setHeader("Cache-Control", "public, max-age=300");
-            var stream = fs.createReadStream(filePath);
-            stream.on("error", function () {
-                res.writeHead(500);
-                res.end("Internal Server Error");
-            });
-            stream.pipe(res);
+            staticFiles.serveFile(req, res, filePath, stats, options);
         }
     });
 });
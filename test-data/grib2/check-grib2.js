@@ -0,0 +1,99 @@
+/**
+ * check-grib2 - Checks lib/grib2-converter.js's complex packing decoder against known values
+ *
+ * Usage: npm run check-grib2
+ *
+ * gfs-20170620-00z-tmp-surface.grib2 is a GFS 1.0° analysis of surface temperature (NOAA, public domain), packed
+ * with template 5.3: complex packing with second-order spatial differencing, as GFS packs most fields. The expected
+ * values are those decoded by grib2json (NetCDF-Java's GRIB reader), from the tests of the weacast-grib2json package
+ * (MIT license). A hand-built template 5.2 message covers what that file does not: missing values and a bit-map, and
+ * the rejection of a bit-map it cannot see (indicator 254, "previously defined").
+ *
+ * Exits non-zero if any value differs.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var zlib = require("zlib");
+var converter = require("../../lib/grib2-converter");
+
+var failures = 0;
+
+function check(name, actual, expected) {
+    var bad = [];
+    if (actual.length !== expected.length) {
+        bad.push("length " + actual.length + ", expected " + expected.length);
+    }
+    for (var i = 0; i < expected.length && bad.length < 5; i++) {
+        var a = actual[i], e = expected[i];
+        if (e === null ? a !== null : !(Math.abs(a - e) <= 1e-6)) {
+            bad.push("[" + i + "] " + a + ", expected " + e);
+        }
+    }
+    console.log((bad.length > 0 ? "FAIL " : "ok   ") + name + (bad.length > 0 ? ": " + bad.join("; ") : ""));
+    failures += bad.length > 0 ? 1 : 0;
+}
+
+/**
+ * Template 5.2 over five grid points, the third masked out by the bit-map, values Y = (100 + X) / 10:
+ *   group 1: reference 2, width 2, length 3, packed 0, 1 and 3 (all ones: missing) -> 10.2, 10.3, null
+ *   group 2: reference 15 (all ones in 4 bits: missing), width 0, length 1           -> null
+ */
+function handBuiltMessage() {
+    var s3 = Buffer.alloc(14);
+    s3.writeUInt32BE(s3.length, 0);
+    s3[4] = 3;
+    s3.writeUInt32BE(5, 6);            // number of grid points
+
+    var s5 = Buffer.alloc(47);
+    s5.writeUInt32BE(s5.length, 0);
+    s5[4] = 5;
+    s5.writeUInt32BE(4, 5);            // number of packed values
+    s5.writeUInt16BE(2, 9);            // template 5.2
+    s5.writeFloatBE(100, 11);          // R
+    s5.writeUInt16BE(0, 15);           // E
+    s5.writeUInt16BE(1, 17);           // D
+    s5[19] = 4;                        // bits per group reference
+    s5[21] = 1;                        // general group splitting
+    s5[22] = 1;                        // primary missing values
+    s5.writeUInt32BE(2, 31);           // NG
+    s5[35] = 0;                        // width reference
+    s5[36] = 2;                        // bits per width
+    s5.writeUInt32BE(3, 37);           // length reference
+    s5[41] = 1;                        // length increment
+    s5.writeUInt32BE(1, 42);           // true length of the last group
+    s5[46] = 1;                        // bits per scaled length
+
+    var s6 = Buffer.from([0, 0, 0, 7, 6, 0, 0xd8]);  // bit-map 11011
+    var s7 = Buffer.from([0, 0, 0, 9, 7,
+        0x2f,                          // references 0010 1111
+        0x80,                          // widths 10 00
+        0x00,                          // lengths 0 0
+        0x1c]);                        // values 00 01 11
+    return { 3: s3, 5: s5, 6: s6, 7: s7 };
+}
+
+var fixture = path.join(__dirname, "gfs-20170620-00z-tmp-surface");
+var expected = JSON.parse(zlib.gunzipSync(fs.readFileSync(fixture + ".expected.json.gz")));
+converter.convertGrib2ToJson(fixture + ".grib2", function (err, records) {
+    if (err) {
+        console.error("FAIL template 5.3 (GFS surface temperature): " + err.message);
+        process.exitCode = 1;
+        return;
+    }
+    check("template 5.3 (GFS surface temperature)", records[0].data, expected);
+    check("template 5.2 (missing values, bit-map)", converter.decodeComplexPacking(handBuiltMessage()),
+        [10.2, 10.3, null, null, null]);
+    var reused = handBuiltMessage();
+    reused[6] = Buffer.from([0, 0, 0, 6, 6, 254]);
+    try {
+        converter.decodeComplexPacking(reused);
+        console.log("FAIL bit-map indicator 254: decoded without the bit-map");
+        failures++;
+    } catch (e) {
+        console.log("ok   bit-map indicator 254 (" + e.message + ")");
+    }
+    process.exitCode = failures > 0 ? 1 : 0;
+});
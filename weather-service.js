@@ -20,283 +20,257 @@ process.on('warning', function (warning) {
     console.warn(warning.name + ': ' + warning.message);
 });
 
-var http = require("http");
-var https = require("https");
+var EventEmitter = require("events").EventEmitter;
 var fs = require("fs");
 var path = require("path");
 var grib2Converter = require("./lib/grib2-converter");
-var nomadsDownloader = require("./lib/nomads-downloader");
-
-var WEATHER_DATA_DIR = path.join(__dirname, "public", "data", "weather", "current");
-var GFS_BASE_URL = "https://nomads.ncep.noaa.gov";
+var weatherProviders = require("./lib/weather-providers");
+var weatherArchive = require("./lib/weather-archive");
+var fakeNomads = require("./lib/fake-nomads");
+var gridValidation = require("./lib/grid-validation");
+var weatherGenerations = require("./lib/weather-generations");
+var dataManifest = require("./lib/data-manifest");
+var runScheduler = require("./lib/run-scheduler");
+var precompress = require("./lib/precompress");
+var binaryGrid = require("./lib/binary-grid");
+var metrics = require("./lib/metrics");
+
+var PUBLIC_DIR = path.join(__dirname, "public");
+var WEATHER_ROOT_DIR = path.join(PUBLIC_DIR, "data", "weather");
+// Lists every published layer for the client (lib/data-manifest.js).
+var WEATHER_MANIFEST = path.join(WEATHER_ROOT_DIR, "manifest.json");
+// "current" is a symlink to the active generation under public/data/weather/generations/ (see
+// lib/weather-generations.js); KEEP_GENERATIONS generations (the active one included) are kept on disk.
+var WEATHER_DATA_DIR = path.join(WEATHER_ROOT_DIR, "current");
+var KEEP_GENERATIONS = 2;
+// Offline replay: serve recorded fixtures (see lib/fake-nomads.js) from a local fake S3 mirror and fetch from it.
+var REPLAY_DIR = process.env.GFS_REPLAY_DIR ? path.resolve(process.env.GFS_REPLAY_DIR) : "";
+var REPLAY_PORT = parseInt(process.env.GFS_REPLAY_PORT || "", 10);
+if (isNaN(REPLAY_PORT) || REPLAY_PORT <= 0) {
+    REPLAY_PORT = 8765;
+}
+// Start the fake mirror in-process, unless GFS_DATA_BASE_URL points at one that is already running.
+var REPLAY_SERVER = REPLAY_DIR && !process.env.GFS_DATA_BASE_URL;
+// Upstream providers, tried in order for every file: "gfs-s3", "gfs-nomads", "directory" and/or "replay" (see
+// lib/weather-providers.js). The first provider also decides which runs are tried.
+var PROVIDER_NAMES = (process.env.WEATHER_PROVIDERS || (REPLAY_DIR ? "replay" : "gfs-s3,gfs-nomads")).split(",").map(function (name) {
+    return name.trim();
+}).filter(function (name) { return name.length > 0; });
+var GFS_NOMADS_BASE_URL = (process.env.GFS_NOMADS_BASE_URL || "https://nomads.ncep.noaa.gov").replace(/\/+$/, "");
 // Use NOAA's public S3 mirror by default (more reliable and supports .idx + Range requests).
 // Override with GFS_DATA_BASE_URL and (optionally) GFS_DATA_PREFIX if needed.
-var GFS_DATA_BASE_URL = (process.env.GFS_DATA_BASE_URL || "https://noaa-gfs-bdp-pds.s3.amazonaws.com").replace(/\/+$/, "");
+var GFS_DATA_BASE_URL = (process.env.GFS_DATA_BASE_URL ||
+    (REPLAY_SERVER ? "http://127.0.0.1:" + REPLAY_PORT : "https://noaa-gfs-bdp-pds.s3.amazonaws.com")).replace(/\/+$/, "");
 var GFS_DATA_PREFIX = (process.env.GFS_DATA_PREFIX || "").replace(/\/+$/, "");
-var UPDATE_INTERVAL = parseInt(process.env.UPDATE_INTERVAL_MS || "", 10);
-if (isNaN(UPDATE_INTERVAL) || UPDATE_INTERVAL <= 0) {
-    UPDATE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours (GFS updates 4x daily)
+// Runs are fetched as soon as they are published (lib/run-scheduler.js): polling for a cycle starts
+// GFS_PUBLISH_DELAY_MINUTES after its cycle time, every GFS_POLL_MIN_MS at first, backing off to GFS_POLL_MAX_MS.
+var PUBLISH_DELAY = parseInt(process.env.GFS_PUBLISH_DELAY_MINUTES || "", 10);
+if (isNaN(PUBLISH_DELAY) || PUBLISH_DELAY < 0) {
+    PUBLISH_DELAY = 200; // GFS f000 usually appears about 3.5 hours after the cycle time
+}
+var POLL_MIN = parseInt(process.env.GFS_POLL_MIN_MS || "", 10);
+if (isNaN(POLL_MIN) || POLL_MIN <= 0) {
+    POLL_MIN = 60 * 1000; // 1 minute
+}
+var POLL_MAX = parseInt(process.env.GFS_POLL_MAX_MS || "", 10);
+if (isNaN(POLL_MAX) || POLL_MAX < POLL_MIN) {
+    POLL_MAX = Math.max(POLL_MIN, 15 * 60 * 1000); // 15 minutes
+}
+// Forecast steps are uploaded one after another after the analysis; a step not published yet is polled for (with the
+// same backoff) until GFS_FORECAST_WAIT_MINUTES after the analysis is expected, then skipped.
+var FORECAST_WAIT = parseInt(process.env.GFS_FORECAST_WAIT_MINUTES || "", 10);
+if (isNaN(FORECAST_WAIT) || FORECAST_WAIT < 0) {
+    FORECAST_WAIT = 120; // GFS finishes uploading f384 about 1.5 hours after f000
 }
+// Write .gz/.br sidecars next to every layer so the server need not compress on each request.
+var PRECOMPRESS = (process.env.WEATHER_PRECOMPRESS || "true").toLowerCase() !== "false";
+// Also write every layer in the compact binary format (lib/binary-grid.js), which the UI prefers.
+var BINARY_GRIDS = (process.env.WEATHER_BINARY_GRIDS || "true").toLowerCase() !== "false";
+// Largest rounding error accepted when storing an overlay's values as int16 in the binary format: finer than the
+// precision products.js displays. Anything coarser is stored as float32.
+var BINARY_TOLERANCE = {
+    wind: 0.005,                      // m/s
+    temp: 0.005,                      // K
+    relative_humidity: 0.05,          // %
+    air_density: 0.00005,             // kg/m³
+    total_precipitable_water: 0.0005, // kg/m²
+    total_cloud_water: 0.0005,        // kg/m²
+    mean_sea_level_pressure: 1        // Pa
+};
 var RETRY_INTERVAL = parseInt(process.env.RETRY_INTERVAL_MS || "", 10);
 if (isNaN(RETRY_INTERVAL) || RETRY_INTERVAL <= 0) {
     RETRY_INTERVAL = 30 * 60 * 1000; // 30 minutes
 }
+var DOWNLOAD_CONCURRENCY = parseInt(process.env.GFS_DOWNLOAD_CONCURRENCY || "", 10);
+if (isNaN(DOWNLOAD_CONCURRENCY) || DOWNLOAD_CONCURRENCY <= 0) {
+    DOWNLOAD_CONCURRENCY = 4; // parallel Range requests per GRIB file
+}
+// Each inventory/Range request is retried with jittered exponential backoff before the run is given up on.
+var DOWNLOAD_RETRIES = parseInt(process.env.GFS_DOWNLOAD_RETRIES || "", 10);
+if (isNaN(DOWNLOAD_RETRIES) || DOWNLOAD_RETRIES < 0) {
+    DOWNLOAD_RETRIES = 4;
+}
+var DOWNLOAD_TIMEOUT = parseInt(process.env.GFS_DOWNLOAD_TIMEOUT_MS || "", 10);
+if (isNaN(DOWNLOAD_TIMEOUT) || DOWNLOAD_TIMEOUT <= 0) {
+    DOWNLOAD_TIMEOUT = 60 * 1000; // socket idle timeout per request
+}
 var ENABLED = (process.env.WEATHER_SERVICE_ENABLED || "true").toLowerCase() !== "false";
-
-// Ensure data directory exists
-if (!fs.existsSync(WEATHER_DATA_DIR)) {
-    fs.mkdirSync(WEATHER_DATA_DIR, { recursive: true });
+// Forecast steps to fetch after the analysis (f000), e.g. "3-120/3" or "3,6,9,12-48/6". Empty or "none" disables.
+var FORECAST_HOURS = parseForecastHours(process.env.GFS_FORECAST_HOURS === undefined ? "3-120/3" : process.env.GFS_FORECAST_HOURS);
+// Isobaric levels (hPa) offered by the UI's height buttons. Override with a comma-separated list, or "none".
+var ISOBARIC_LEVELS = parseIsobaricLevels(process.env.GFS_ISOBARIC_LEVELS || "1000,850,700,500,250,70,10");
+// Archiving keeps past runs under public/data/weather/yyyy/mm/dd/ so the UI can navigate backward.
+// When disabled, dated layers older than the latest analysis are pruned after each update.
+var ARCHIVE_ENABLED = (process.env.WEATHER_ARCHIVE_ENABLED || "false").toLowerCase() === "true";
+var ARCHIVE_FULL_DAYS = parseInt(process.env.WEATHER_ARCHIVE_FULL_DAYS || "", 10);
+if (isNaN(ARCHIVE_FULL_DAYS) || ARCHIVE_FULL_DAYS < 0) {
+    ARCHIVE_FULL_DAYS = 7; // keep every 3-hourly layer for a week
+}
+var ARCHIVE_DAILY_DAYS = parseInt(process.env.WEATHER_ARCHIVE_DAILY_DAYS || "", 10);
+if (isNaN(ARCHIVE_DAILY_DAYS) || ARCHIVE_DAILY_DAYS < 0) {
+    ARCHIVE_DAILY_DAYS = 60; // then one layer per day for two months (0 = forever)
 }
 
-/**
- * Get the most recent available date in YYYYMMDD format
- * GFS data is typically available for dates up to yesterday or today
- * We need to check what dates are actually available on the server
- */
-function getCurrentDateString() {
-    var now = new Date();
-    var year = now.getUTCFullYear();
-    var month = String(now.getUTCMonth() + 1).padStart(2, '0');
-    var day = String(now.getUTCDate()).padStart(2, '0');
-    var today = year + month + day;
+// "directory" provider: one GRIB2 file per run/forecast hour, e.g. an internal mirror, with a wgrib2 inventory or none.
+var GRIB_DIRECTORY_TEMPLATE = process.env.GRIB_DIRECTORY_TEMPLATE || "";
+var GRIB_DIRECTORY_CYCLES = weatherProviders.parseCycles(process.env.GRIB_DIRECTORY_CYCLES || "00,06,12,18");
+var GRIB_DIRECTORY_DELAY_HOURS = parseFloat(process.env.GRIB_DIRECTORY_DELAY_HOURS || "");
+if (isNaN(GRIB_DIRECTORY_DELAY_HOURS) || GRIB_DIRECTORY_DELAY_HOURS < 0) {
+    GRIB_DIRECTORY_DELAY_HOURS = 4;
+}
+var GRIB_DIRECTORY_INVENTORY = process.env.GRIB_DIRECTORY_INVENTORY === undefined ? ".idx" :
+    (process.env.GRIB_DIRECTORY_INVENTORY.toLowerCase() === "none" ? "" : process.env.GRIB_DIRECTORY_INVENTORY);
 
-    // Try today first, but if it fails we'll fall back to yesterday
-    // The actual date checking happens when we try to download
-    return today;
+// A misconfigured provider (an unknown name, "directory" without GRIB_DIRECTORY_TEMPLATE) is logged and left out,
+// rather than throwing here and taking down server.js, which loads this module.
+var PROVIDERS = PROVIDER_NAMES.map(function (name) {
+    try {
+        return createProvider(name);
+    } catch (e) {
+        console.error("Weather provider " + name + " disabled: " + e.message);
+        return null;
+    }
+}).filter(function (provider) { return provider; });
+if (PROVIDERS.length === 0) {
+    console.error("No usable weather providers (WEATHER_PROVIDERS=" + PROVIDER_NAMES.join(",") + "); " +
+        "weather updates will fail until the configuration is fixed");
 }
 
-/**
- * Get the most recent available date by checking what's actually on the server
- * This is a more reliable approach than assuming today's date exists
- */
-function getAvailableDateString(callback) {
-    // For now, try today and yesterday
-    // In a production system, you might want to actually query the server
-    var now = new Date();
-    var today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-    var yesterday = new Date(today);
-    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+function createProvider(name) {
+    return weatherProviders.createProvider(name, {
+        baseUrl: name === "gfs-nomads" ? GFS_NOMADS_BASE_URL : GFS_DATA_BASE_URL,
+        prefix: GFS_DATA_PREFIX,
+        resolution: "1p00",
+        template: GRIB_DIRECTORY_TEMPLATE,
+        cycles: GRIB_DIRECTORY_CYCLES,
+        delayHours: GRIB_DIRECTORY_DELAY_HOURS,
+        inventorySuffix: GRIB_DIRECTORY_INVENTORY,
+        fixturesDir: REPLAY_DIR,
+        concurrency: DOWNLOAD_CONCURRENCY,
+        retries: DOWNLOAD_RETRIES,
+        timeout: DOWNLOAD_TIMEOUT
+    });
+}
 
-    var todayStr = String(today.getUTCFullYear()) +
-        String(today.getUTCMonth() + 1).padStart(2, '0') +
-        String(today.getUTCDate()).padStart(2, '0');
-    var yesterdayStr = String(yesterday.getUTCFullYear()) +
-        String(yesterday.getUTCMonth() + 1).padStart(2, '0') +
-        String(yesterday.getUTCDate()).padStart(2, '0');
+// Validation of decoded grids before anything is written (lib/grid-validation.js). GFS 1.0° grids are 360x181;
+// "auto" only requires all overlays of a step to share one grid (the default for the "directory" provider).
+var EXPECTED_GRID = parseGridSize(process.env.WEATHER_EXPECTED_GRID ||
+    (PROVIDERS.length > 0 && PROVIDERS[0].name === "directory" ? "auto" : "360x181"));
+var MAX_NULL_FRACTION = parseFloat(process.env.WEATHER_MAX_NULL_FRACTION || "");
+if (isNaN(MAX_NULL_FRACTION) || MAX_NULL_FRACTION < 0) {
+    MAX_NULL_FRACTION = 0.01; // GFS grids have no missing points
+}
 
-    // Return both dates - we'll try today first, then yesterday
-    return [todayStr, yesterdayStr];
+// Ensure data directory exists. "current" itself is created by the first generation swap (lib/weather-generations.js).
+if (!fs.existsSync(WEATHER_ROOT_DIR)) {
+    fs.mkdirSync(WEATHER_ROOT_DIR, { recursive: true });
 }
 
 /**
- * Get the most recent GFS run (00z, 06z, 12z, or 18z)
- * GFS runs are typically available 3-4 hours after the run time
- * So we look back to find the most recent available run
- * 
- * Returns an array of runs to try in order (most recent first)
+ * Parse a forecast hour specification into a sorted array of unique hours.
+ * Accepts comma-separated hours and ranges with an optional step: "3-120/3", "6,12,24-72/12".
+ * Hour 0 is always excluded since the analysis is fetched separately.
  */
-function getLatestGFSRuns() {
-    var now = new Date();
-    var hour = now.getUTCHours();
-    // GFS runs at 00, 06, 12, 18 UTC
-    // Data is typically available 3-4 hours after run time
-    // So if it's 20:00 UTC, the 18z run might not be ready yet, use 12z instead
-    var allRuns = [18, 12, 6, 0];
-    var runsToTry = [];
-
-    // Look for the most recent run that should be available
-    // Subtract 4 hours to account for processing delay
-    var adjustedHour = hour - 4;
-    if (adjustedHour < 0) adjustedHour += 24;
-
-    // Start with the most recent run that should be available
-    for (var i = 0; i < allRuns.length; i++) {
-        if (adjustedHour >= allRuns[i]) {
-            // Add this run and all previous runs (they should all be available)
-            for (var j = i; j < allRuns.length; j++) {
-                runsToTry.push(String(allRuns[j]).padStart(2, '0') + 'z');
-            }
-            break;
-        }
-    }
-
-    // If no runs found, default to 12z and 00z (most common)
-    if (runsToTry.length === 0) {
-        runsToTry = ['12z', '00z'];
+function parseForecastHours(spec) {
+    var hours = [];
+    var s = (spec || "").trim();
+    if (!s || s.toLowerCase() === "none") {
+        return hours;
     }
-
-    return runsToTry;
+    s.split(",").forEach(function (part) {
+        var m = /^\s*(\d+)(?:\s*-\s*(\d+)(?:\s*\/\s*(\d+))?)?\s*$/.exec(part);
+        if (!m) {
+            console.warn("Ignoring invalid forecast hour specification: " + part);
+            return;
+        }
+        var start = parseInt(m[1], 10);
+        var end = m[2] !== undefined ? parseInt(m[2], 10) : start;
+        var step = m[3] !== undefined ? parseInt(m[3], 10) : 1;
+        if (step <= 0) step = 1;
+        for (var h = start; h <= end; h += step) {
+            if (h > 0 && hours.indexOf(h) < 0) hours.push(h);
+        }
+    });
+    return hours.sort(function (a, b) { return a - b; });
 }
 
 /**
- * Get a single GFS run (for backward compatibility)
+ * Parse a grid size such as "360x181" into {nx, ny}; "auto" (or anything unparseable) gives null.
  */
-function getLatestGFSRun() {
-    var runs = getLatestGFSRuns();
-    return runs[0];
+function parseGridSize(spec) {
+    var m = /^\s*(\d+)\s*x\s*(\d+)\s*$/i.exec(spec || "");
+    return m ? { nx: parseInt(m[1], 10), ny: parseInt(m[2], 10) } : null;
 }
 
 /**
- * Download GFS GRIB2 fields using index-based partial transfer method
- * This is the recommended approach per NOMADS documentation:
- * https://nomads.ncep.noaa.gov/info.php?page=fastdownload
- * https://www.cpc.ncep.noaa.gov/products/wesley/fast_downloading_grib.html
- * 
- * Falls back to filter_gfs.pl method if index-based download fails
+ * Parse a comma-separated list of isobaric levels in hPa (e.g. "1000,850,500") into an array of numbers.
  */
-function downloadGFSFile(dateStr, run, fieldPatterns, outputPath, gfsFileName) {
-    var runHour = run.substring(0, 2);
-
-    // Use index-based method as primary (recommended fast download approach)
-    // Filter script method as fallback
-    // Supported URL formats:
-    // - AWS S3 mirror (default): https://noaa-gfs-bdp-pds.s3.amazonaws.com/gfs.YYYYMMDD/{cycle}/atmos/gfs.t{cycle}z.pgrb2.1p00.f000
-    // - NOMADS: https://nomads.ncep.noaa.gov/pub/data/nccf/com/gfs/prod/gfs.YYYYMMDD/{cycle}/atmos/gfs.t{cycle}z.pgrb2.1p00.f000
-
-    var gfsDir = "gfs." + dateStr;
-    var gfsFile = gfsFileName || ("gfs.t" + run + ".pgrb2.1p00.f000");
-    var baseUrl = [GFS_DATA_BASE_URL, GFS_DATA_PREFIX, gfsDir, runHour, "atmos", gfsFile]
-        .filter(function (x) { return x && x.length > 0; })
-        .join("/");
-
-    console.log("Attempting download using index-based method (fast download - recommended)");
-    console.log("GRIB URL:", baseUrl);
-
-    return nomadsDownloader.downloadGrib2Fields(baseUrl, fieldPatterns, outputPath)
-        .catch(function (err) {
-            // Only fall back for the original wind use-case. The CGI filter script supports a limited
-            // set of parameters and is not a general solution for arbitrary overlays.
-            var allowFallback = fieldPatterns.some(function (p) { return (p || "").indexOf("UGRD") >= 0 || (p || "").indexOf("VGRD") >= 0; });
-            if (!allowFallback) {
-                throw err;
-            }
-
-            console.log("Index-based method failed, trying filter script method (fallback)...");
-            console.log("Error:", err.message);
-
-            // Fallback to filter script method (wind only)
-            return downloadGFSFileFallback(dateStr, run, fieldPatterns, outputPath);
-        });
+function parseIsobaricLevels(spec) {
+    var s = (spec || "").trim();
+    if (s.toLowerCase() === "none") {
+        return [];
+    }
+    return s.split(",").map(function (part) {
+        return parseInt(part, 10);
+    }).filter(function (level, i, levels) {
+        return !isNaN(level) && level > 0 && levels.indexOf(level) === i;
+    });
 }
 
 /**
- * Fallback: Download using filter_gfs_1p00.pl CGI script
- * This uses the current NOMADS filter script format
- * Tries multiple directory format variants
+ * Fetch the GRIB2 messages for one run and forecast hour, trying each configured provider in order.
+ *
+ * @returns {Promise<Object>} {buffer, provider}: messages containing (at least) the records matching fieldPatterns,
+ *          and the name of the provider that served them
  */
-function downloadGFSFileFallback(dateStr, run, fieldPatterns, outputPath) {
-    return new Promise(function (resolve, reject) {
-        var runHour = run.substring(0, 2);
-        // Based on investigation: Correct format is /gfs.YYYYMMDD/{cycle}/atmos
-        // Try both directory formats in case one doesn't work
-        var gfsDirs = [
-            "/gfs." + dateStr + "/" + runHour + "/atmos",  // New format (confirmed from docs)
-            "/gfs." + dateStr + runHour                     // Old format (fallback)
-        ];
-        var gfsFile = "gfs.t" + run + ".pgrb2.1p00.f000";
-
-        var tryFallback = function (dirIndex) {
-            if (dirIndex >= gfsDirs.length) {
-                reject(new Error("All filter script URL variants failed"));
-                return;
-            }
-
-            var gfsDir = gfsDirs[dirIndex];
-            // Fallback filter method: we can only filter by the CGI's built-in params.
-            // This implementation is tailored for the original wind use-case. For any other
-            // fields we rely on the index-based method.
-            var nomadsUrl = GFS_BASE_URL + "/cgi-bin/filter_gfs_1p00.pl" +
-                "?file=" + gfsFile +
-                "&lev_10_m_above_ground=on" +
-                "&var_UGRD=on" +
-                "&var_VGRD=on" +
-                "&dir=" + encodeURIComponent(gfsDir);
-
-            console.log("Trying filter script (variant " + (dirIndex + 1) + "):", nomadsUrl);
-
-            var urlObj = new URL(nomadsUrl);
-            var protocol = nomadsUrl.startsWith('https') ? https : http;
-            var options = {
-                hostname: urlObj.hostname,
-                port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-                path: urlObj.pathname + urlObj.search,
-                method: 'GET',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; Earth-Clock/1.0)'
-                },
-                timeout: 60000 // 60 second timeout
-            };
-
-            var file = fs.createWriteStream(outputPath);
-            var req = protocol.request(options, function (response) {
-                if (response.statusCode === 302 || response.statusCode === 301) {
-                    file.close();
-                    if (fs.existsSync(outputPath)) {
-                        fs.unlinkSync(outputPath);
-                    }
-                    // Follow redirect
-                    return tryFallback(dirIndex + 1);
-                }
-
-                if (response.statusCode !== 200) {
-                    file.close();
-                    if (fs.existsSync(outputPath)) {
-                        fs.unlinkSync(outputPath);
-                    }
-                    console.log("Variant " + (dirIndex + 1) + " failed: HTTP " + response.statusCode + " " + response.statusMessage);
-                    return tryFallback(dirIndex + 1);
-                }
-
-                response.pipe(file);
-
-                file.on('finish', function () {
-                    file.close();
-                    var stats = fs.statSync(outputPath);
-                    console.log("Downloaded successfully:", outputPath, "(" + (stats.size / 1024 / 1024).toFixed(2) + " MB)");
-                    resolve(outputPath);
-                });
-            });
-
-            req.on('error', function (err) {
-                file.close();
-                if (fs.existsSync(outputPath)) {
-                    fs.unlinkSync(outputPath);
-                }
-                console.log("Variant " + (dirIndex + 1) + " error:", err.message);
-                // If it's a network error, try next variant
-                if (err.code === 'ENOTFOUND' || err.code === 'EAI_AGAIN' || err.code === 'ETIMEDOUT') {
-                    tryFallback(dirIndex + 1);
-                } else {
-                    reject(err);
-                }
-            });
-
-            req.on('timeout', function () {
-                req.destroy();
-                file.close();
-                if (fs.existsSync(outputPath)) {
-                    fs.unlinkSync(outputPath);
-                }
-                console.log("Variant " + (dirIndex + 1) + " timeout");
-                tryFallback(dirIndex + 1);
-            });
-
-            req.end();
-        };
-
-        tryFallback(0);
-    });
+function fetchFields(dateStr, run, forecastHour, fieldPatterns) {
+    var tryProvider = function (index, lastError) {
+        if (index >= PROVIDERS.length) {
+            return Promise.reject(lastError || new Error("No weather data providers configured"));
+        }
+        var provider = PROVIDERS[index];
+        console.log("Fetching f" + String(forecastHour).padStart(3, '0') + " from provider " + provider.name);
+        return provider.fetchFields(dateStr, run, forecastHour, fieldPatterns).then(function (buffer) {
+            return { buffer: buffer, provider: provider.name };
+        }, function (err) {
+            console.log("Provider " + provider.name + " failed:", err.message);
+            return tryProvider(index + 1, err);
+        });
+    };
+    return tryProvider(0, null);
 }
 
 /**
- * Convert GRIB2 file to JSON using native JavaScript parser (grib-js)
+ * Convert GRIB2 data to JSON using native JavaScript parser (grib-js)
  * No Java dependency required!
+ *
+ * @param {Buffer} gribData
  */
-function convertGrib2ToJson(gribFile) {
+function convertGrib2ToJson(gribData) {
     return new Promise(function (resolve, reject) {
-        console.log("Converting GRIB2 to JSON using native parser: " + gribFile);
+        console.log("Converting GRIB2 to JSON using native parser (" + (gribData.length / 1024 / 1024).toFixed(2) + " MB)");
 
-        grib2Converter.convertGrib2ToJson(gribFile, function (err, jsonData) {
+        grib2Converter.convertGrib2ToJson(gribData, function (err, jsonData) {
             if (err) {
                 console.error("Conversion error:", err.message);
                 reject(err);
@@ -308,32 +282,42 @@ function convertGrib2ToJson(gribFile) {
     });
 }
 
-/**
- * Write JSON atomically (temp file then rename).
- */
-function writeJsonAtomic(outputPath, jsonData) {
+function writeAtomic(outputPath, contents) {
     var dir = path.dirname(outputPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
     var tmpPath = path.join(dir, path.basename(outputPath) + ".tmp-" + process.pid + "-" + Date.now());
-    fs.writeFileSync(tmpPath, JSON.stringify(jsonData));
+    fs.writeFileSync(tmpPath, contents);
     fs.renameSync(tmpPath, outputPath);
 }
 
-function safeUnlink(filePath) {
-    try {
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
+/**
+ * Write JSON atomically (temp file then rename), followed by its precompressed .gz/.br sidecars
+ * (lib/precompress.js), compressed once for all paths. With WEATHER_BINARY_GRIDS, the binary copy
+ * (lib/binary-grid.js) is written first, so a client never finds a JSON file whose binary copy is older.
+ *
+ * @param {number?} tolerance - quantization tolerance for the binary copy (see BINARY_TOLERANCE)
+ * @returns {Array<Object>} {bytes, sha256, binary: {file, bytes}?} of each file written, in the order of outputPaths
+ */
+function writeJsonAtomicAll(outputPaths, jsonData, tolerance) {
+    var contents = JSON.stringify(jsonData);
+    var digest = dataManifest.digest(contents);
+    var sidecars = PRECOMPRESS ? precompress.compressAll(contents) : [];
+    var binary = BINARY_GRIDS ? binaryGrid.encode(jsonData, tolerance) : null;
+    var binarySidecars = binary && PRECOMPRESS ? precompress.compressAll(binary) : [];
+    return outputPaths.map(function (outputPath) {
+        var result = { bytes: digest.bytes, sha256: digest.sha256, binary: null };
+        if (binary) {
+            var binaryPath = binaryGrid.binaryPathOf(outputPath);
+            writeAtomic(binaryPath, binary);
+            precompress.writeSidecars(binaryPath, binarySidecars);
+            result.binary = { file: binaryPath, bytes: binary.length };
         }
-    } catch (e) {
-        // ignore
-    }
-}
-
-function recordIsNamed(record, names) {
-    var name = (record && record.header && record.header.parameterNumberName) || "";
-    for (var i = 0; i < names.length; i++) {
-        if (name.toLowerCase().indexOf(names[i].toLowerCase()) >= 0) return true;
-    }
-    return false;
+        writeAtomic(outputPath, contents);
+        precompress.writeSidecars(outputPath, sidecars);
+        return result;
+    });
 }
 
 function findRecord(records, predicate) {
@@ -369,174 +353,583 @@ function deriveAirDensity(tempRecord, pressureRecord) {
     return [{ header: header, data: rho }];
 }
 
-function downloadConvertWrite(dateStr, run, fieldPatterns, outputPath) {
-    var tempGribFile = path.join(__dirname, "temp_" + path.basename(outputPath).replace(/[^a-zA-Z0-9_.-]/g, "_") + "_" + process.pid + "_" + Date.now() + ".grib2");
-    return downloadGFSFile(dateStr, run, fieldPatterns, tempGribFile).then(function () {
-        return convertGrib2ToJson(tempGribFile);
-    }).then(function (jsonData) {
-        writeJsonAtomic(outputPath, jsonData);
-        return outputPath;
-    }).finally(function () {
-        safeUnlink(tempGribFile);
+/**
+ * Derive air density on an isobaric surface, where pressure is constant: ρ = p / (Rd·T).
+ */
+function deriveIsobaricAirDensity(tempRecord, pressurePa) {
+    var t = tempRecord.data || [];
+    var p = new Array(t.length);
+    for (var i = 0; i < t.length; i++) {
+        p[i] = pressurePa;
+    }
+    return deriveAirDensity(tempRecord, { header: tempRecord.header, data: p });
+}
+
+/**
+ * Output paths for one set of overlays. The analysis is written to "current/current-*.json"; forecast steps
+ * (and a dated copy of the analysis) use the "yyyy/mm/dd/hhhh-*.json" scheme built by gfs1p0degPath in
+ * products.js, where the date and hour are the step's validity time.
+ */
+function overlayOutputPaths(dir, stamp) {
+    function file(parts) {
+        return path.join(dir, [stamp].concat(parts, ["gfs", "1.0"]).join("-") + ".json");
+    }
+    var levels = {};
+    ISOBARIC_LEVELS.forEach(function (level) {
+        var name = level + "hPa";
+        levels[name] = {
+            wind: file(["wind", "isobaric", name]),
+            temp: file(["temp", "isobaric", name]),
+            relative_humidity: file(["relative_humidity", "isobaric", name]),
+            air_density: file(["air_density", "isobaric", name])
+        };
     });
+    return {
+        levels: levels,
+        wind: file(["wind", "surface", "level"]),
+        temp: file(["temp", "surface", "level"]),
+        relative_humidity: file(["relative_humidity", "surface", "level"]),
+        air_density: file(["air_density", "surface", "level"]),
+        // These overlays are not height-dependent in products.js, so filenames omit surface/level.
+        total_precipitable_water: file(["total_precipitable_water"]),
+        total_cloud_water: file(["total_cloud_water"]),
+        mean_sea_level_pressure: file(["mean_sea_level_pressure"])
+    };
+}
+
+function currentOutputPaths() {
+    return overlayOutputPaths(WEATHER_DATA_DIR, "current");
+}
+
+function datedOutputPaths(validTime) {
+    var dir = path.join(WEATHER_ROOT_DIR,
+        String(validTime.getUTCFullYear()),
+        String(validTime.getUTCMonth() + 1).padStart(2, '0'),
+        String(validTime.getUTCDate()).padStart(2, '0'));
+    return overlayOutputPaths(dir, String(validTime.getUTCHours()).padStart(2, '0') + "00");
+}
+
+/**
+ * @returns {Date} the validity time of a run's forecast step.
+ */
+function validTimeOf(dateStr, run, forecastHour) {
+    return new Date(Date.UTC(
+        +dateStr.substring(0, 4),
+        +dateStr.substring(4, 6) - 1,
+        +dateStr.substring(6, 8),
+        +run.substring(0, 2) + forecastHour));
 }
 
-function downloadConvertWriteWithFile(dateStr, run, fieldPatterns, outputPath, gfsFileName) {
-    var tempGribFile = path.join(__dirname, "temp_" + path.basename(outputPath).replace(/[^a-zA-Z0-9_.-]/g, "_") + "_" + process.pid + "_" + Date.now() + ".grib2");
-    return downloadGFSFile(dateStr, run, fieldPatterns, tempGribFile, gfsFileName).then(function () {
-        return convertGrib2ToJson(tempGribFile);
-    }).then(function (jsonData) {
-        writeJsonAtomic(outputPath, jsonData);
-        return outputPath;
-    }).finally(function () {
-        safeUnlink(tempGribFile);
+/**
+ * @returns {Object} the first record having the specified GRIB2 parameter category/number on the specified
+ *          surface type (and surface value, if given), or null.
+ */
+function selectRecord(records, category, number, surfaceType, surfaceValue) {
+    return findRecord(records, function (r) {
+        var h = r && r.header;
+        return h &&
+            h.parameterCategory === category &&
+            h.parameterNumber === number &&
+            h.surface1Type === surfaceType &&
+            (surfaceValue === undefined || h.surface1Value === surfaceValue);
     });
 }
 
 /**
- * Fetch and process current GFS data for all supported overlays (current + surface only)
- * Tries multiple dates and GFS runs in order until one succeeds.
+ * Inventory patterns for every record an overlay set needs from a GFS 1.0° file.
+ * NOTE: patterns are substring matches. Use leading colons (":TMP:") to avoid matching
+ * related-but-different variables (e.g. APTMP contains TMP as a substring).
  */
-function fetchCurrentGFSData(callback) {
-    // Try both today and yesterday since today's data may not be available yet
-    var now = new Date();
-    var today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-    var yesterday = new Date(today);
-    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
-
-    var todayStr = String(today.getUTCFullYear()) +
-        String(today.getUTCMonth() + 1).padStart(2, '0') +
-        String(today.getUTCDate()).padStart(2, '0');
-    var yesterdayStr = String(yesterday.getUTCFullYear()) +
-        String(yesterday.getUTCMonth() + 1).padStart(2, '0') +
-        String(yesterday.getUTCDate()).padStart(2, '0');
-
-    var datesToTry = [todayStr, yesterdayStr];
-    var runsToTry = getLatestGFSRuns();
-
-    // Output files (surface only)
-    var outWind = path.join(WEATHER_DATA_DIR, "current-wind-surface-level-gfs-1.0.json");
-    var outTemp = path.join(WEATHER_DATA_DIR, "current-temp-surface-level-gfs-1.0.json");
-    var outRH = path.join(WEATHER_DATA_DIR, "current-relative_humidity-surface-level-gfs-1.0.json");
-    var outAD = path.join(WEATHER_DATA_DIR, "current-air_density-surface-level-gfs-1.0.json");
-    // These overlays are not height-dependent in products.js, so filenames omit surface/level.
-    var outTPW = path.join(WEATHER_DATA_DIR, "current-total_precipitable_water-gfs-1.0.json");
-    var outTCW = path.join(WEATHER_DATA_DIR, "current-total_cloud_water-gfs-1.0.json");
-    var outMSLP = path.join(WEATHER_DATA_DIR, "current-mean_sea_level_pressure-gfs-1.0.json");
-
-    // Field patterns (inventory substring matches; multiple variants for robustness)
-    // NOTE: patterns are substring matches. Use leading colons (":TMP:") to avoid matching
-    // related-but-different variables (e.g. APTMP contains TMP as a substring).
-    var patternsWind = [
+function overlayPatterns() {
+    var patterns = [
         ":UGRD:10 m above ground:",
-        ":VGRD:10 m above ground:"
-    ];
-    var patternsTmp2mAndPresSfc = [
+        ":VGRD:10 m above ground:",
         ":TMP:2 m above ground:",
-        ":PRES:surface:"
+        ":PRES:surface:",
+        ":PRMSL:mean sea level:",
+        ":RH:2 m above ground:",
+        ":PWAT:entire atmosphere (considered as a single layer):",
+        // GFS 1p00 uses CWAT (cloud water) for this overlay.
+        ":CWAT:entire atmosphere (considered as a single layer):"
     ];
-    var patternsRH2m = [
-        ":RH:2 m above ground:"
-    ];
-    var patternsPWAT = [
-        ":PWAT:entire atmosphere"
-    ];
-    // GFS 1p00 uses CWAT (cloud water) for this overlay.
-    var patternsTCWAT = [
-        ":CWAT:entire atmosphere"
-    ];
-    // Mean sea level pressure (PRMSL) uses complex packing in GFS and is not decoded by grib-js.
-    // We generate MSLP from the decoded surface pressure record instead.
+    ISOBARIC_LEVELS.forEach(function (level) {
+        ["UGRD", "VGRD", "TMP", "RH"].forEach(function (param) {
+            patterns.push(":" + param + ":" + level + " mb:");
+        });
+    });
+    return patterns;
+}
 
-    console.log("Fetching GFS data");
-    console.log("Will try dates:", datesToTry.join(", "));
-    console.log("Will try runs:", runsToTry.join(", "));
+/**
+ * Split decoded surface records into the surface overlays. Wind is required: without it the step fails. Other
+ * models (see lib/weather-providers.js) don't carry every GFS field, so any other missing overlay is logged and
+ * skipped.
+ *
+ * @returns {Array<Object>} {overlay, label, records, targets} objects, one per output file set
+ */
+function collectSurfaceOverlays(records, outputSets) {
+    function output(overlay, overlayRecords) {
+        // These overlays are not height-dependent in products.js (see overlayOutputPaths).
+        var flat = ["total_precipitable_water", "total_cloud_water", "mean_sea_level_pressure"].indexOf(overlay) >= 0;
+        return {
+            overlay: overlay,
+            surface: flat ? null : "surface",
+            level: flat ? null : "level",
+            label: "surface " + overlay,
+            records: overlayRecords,
+            targets: outputSets.map(function (paths) { return paths[overlay]; })
+        };
+    }
+    var u = selectRecord(records, 2, 2, 103, 10);
+    var v = selectRecord(records, 2, 3, 103, 10);
+    if (!u || !v) {
+        throw new Error("Download did not contain 10 m UGRD/VGRD records");
+    }
+    var temp = selectRecord(records, 0, 0, 103, 2);
+    var pres = selectRecord(records, 3, 0, 1);
+    // GFS publishes PRMSL (3/1); other models such as ECMWF publish pressure reduced to MSL as PRES (3/0).
+    var mslp = selectRecord(records, 3, 1, 101) || selectRecord(records, 3, 0, 101);
+    var scalars = {
+        temp: temp,
+        // PRMSL is complex-packed (template 5.3); lib/grib2-converter.js decodes it.
+        mean_sea_level_pressure: mslp,
+        relative_humidity: selectRecord(records, 1, 1, 103, 2),
+        total_precipitable_water: selectRecord(records, 1, 3, 200),
+        total_cloud_water: selectRecord(records, 6, 6, 200)
+    };
+
+    var outputs = [output("wind", [u, v])];
+    Object.keys(scalars).forEach(function (overlay) {
+        if (scalars[overlay]) {
+            outputs.push(output(overlay, [scalars[overlay]]));
+        } else {
+            console.warn("Surface " + overlay + ": record not found, skipping");
+        }
+    });
+    if (temp && pres) {
+        outputs.push(output("air_density", deriveAirDensity(temp, pres)));
+    } else {
+        console.warn("Surface air_density: TMP or PRES not found, skipping");
+    }
+    return outputs;
+}
+
+/**
+ * Split decoded UGRD/VGRD/TMP/RH records into per-level outputs: wind, temp, relative humidity and (derived) air
+ * density. Upper-air levels are a bonus on top of the surface overlays, so a level missing any of its records is
+ * logged and skipped rather than failing the step.
+ *
+ * @returns {Array<Object>} {overlay, label, records, targets} objects, one per output file set
+ */
+function collectIsobaricLevels(records, outputSets) {
+    var outputs = [];
+    var levels = [];
+    ISOBARIC_LEVELS.forEach(function (level) {
+        var name = level + "hPa";
+        function output(overlay, overlayRecords) {
+            outputs.push({
+                overlay: overlay,
+                surface: "isobaric",
+                level: name,
+                label: name + " " + overlay,
+                records: overlayRecords,
+                targets: outputSets.map(function (paths) { return paths.levels[name][overlay]; })
+            });
+        }
+        var uRec = selectRecord(records, 2, 2, 100, level * 100);
+        var vRec = selectRecord(records, 2, 3, 100, level * 100);
+        var tempRec = selectRecord(records, 0, 0, 100, level * 100);
+        var rhRec = selectRecord(records, 1, 1, 100, level * 100);
+        if (uRec && vRec) {
+            output("wind", [uRec, vRec]);
+            levels.push(name);
+        } else {
+            console.warn("Isobaric " + name + ": UGRD/VGRD not found, skipping wind");
+        }
+        if (tempRec) {
+            output("temp", [tempRec]);
+            output("air_density", deriveIsobaricAirDensity(tempRec, level * 100));
+        } else {
+            console.warn("Isobaric " + name + ": TMP not found, skipping temp and air density");
+        }
+        if (rhRec) {
+            output("relative_humidity", [rhRec]);
+        } else {
+            console.warn("Isobaric " + name + ": RH not found, skipping relative humidity");
+        }
+    });
+    if (ISOBARIC_LEVELS.length > 0) {
+        console.log("Isobaric levels with wind: " + (levels.length > 0 ? levels.join(", ") : "none"));
+    }
+    return outputs;
+}
+
+/**
+ * Download, convert and write every overlay for a single GFS file (one run + forecast hour). All records come
+ * from one inventory fetch and one decode, and are then split into the output files. Each overlay is written to
+ * the same key of every path set in outputSets.
+ *
+ * Nothing is written unless every overlay passes validation (lib/grid-validation.js), so a bad download leaves the
+ * previous files in place and the caller moves on to another run.
+ *
+ * @returns {Promise<Array<Object>>} the files written: {file, overlay, surface, level, header, source, bytes, sha256}
+ */
+function fetchOverlays(dateStr, run, forecastHour, outputSets) {
+    var provider = null;
+    return fetchFields(dateStr, run, forecastHour, overlayPatterns()).then(function (result) {
+        provider = result.provider;
+        updateMetrics.downloadBytes.inc({ service: "weather", provider: provider }, result.buffer.length);
+        return convertGrib2ToJson(result.buffer);
+    }).then(function (records) {
+        var outputs = collectSurfaceOverlays(records, outputSets).concat(collectIsobaricLevels(records, outputSets));
+        var problems = gridValidation.validateOutputs(outputs, {
+            refTime: validTimeOf(dateStr, run, 0),
+            forecastHour: forecastHour,
+            nx: EXPECTED_GRID ? EXPECTED_GRID.nx : null,
+            ny: EXPECTED_GRID ? EXPECTED_GRID.ny : null,
+            maxNullFraction: MAX_NULL_FRACTION
+        });
+        if (problems.length > 0) {
+            problems.forEach(function (problem) {
+                console.error("Validation: " + problem);
+            });
+            throw new Error("Validation rejected " + problems.length + " grid problem(s), keeping previous files (first: " +
+                problems[0] + ")");
+        }
+        var written = [];
+        outputs.forEach(function (output) {
+            var header = output.records[0].header;
+            var tolerance = BINARY_TOLERANCE.hasOwnProperty(output.overlay) ? BINARY_TOLERANCE[output.overlay] : -1;
+            writeJsonAtomicAll(output.targets, output.records, tolerance).forEach(function (digest, i) {
+                written.push({
+                    file: output.targets[i],
+                    overlay: output.overlay,
+                    surface: output.surface,
+                    level: output.level,
+                    header: header,
+                    source: (header.centerName || "unknown center") + " via " + provider,
+                    bytes: digest.bytes,
+                    sha256: digest.sha256,
+                    binary: digest.binary
+                });
+            });
+        });
+        return written;
+    });
+}
+
+/**
+ * Record written files in public/data/weather/manifest.json (see lib/data-manifest.js). Files written into a
+ * generation directory are listed under their public "current" path. Entries for files that no longer exist are
+ * dropped, so calling this with no files just tidies the manifest (e.g. after pruning).
+ *
+ * @param {Array<Object>} written - as returned by fetchOverlays
+ * @param {string?} generation - the generation directory the "current" files were written to
+ */
+function updateWeatherManifest(written, dateStr, run, forecastHour, generation) {
+    var entries = (written || []).map(function (w) {
+        var file = generation && path.dirname(w.file) === generation ? path.join(WEATHER_DATA_DIR, path.basename(w.file)) : w.file;
+        var binary = w.binary ? { file: binaryGrid.binaryPathOf(file), bytes: w.binary.bytes } : null;
+        var parts = path.relative(WEATHER_ROOT_DIR, file).split(path.sep);
+        var current = parts[0] === "current";
+        return dataManifest.layerEntry(PUBLIC_DIR, file, {
+            product: w.overlay,
+            surface: w.surface,
+            level: w.level,
+            date: current ? "current" : parts.slice(0, 3).join("/"),
+            hour: current ? null : parts[3].substring(0, 4),
+            forecastHour: forecastHour,
+            refTime: validTimeOf(dateStr, run, 0),
+            validTime: validTimeOf(dateStr, run, forecastHour),
+            source: w.source,
+            header: w.header,
+            bytes: w.bytes,
+            sha256: w.sha256,
+            binary: binary
+        });
+    });
+    try {
+        var manifest = dataManifest.updateManifest(WEATHER_MANIFEST, PUBLIC_DIR, entries);
+        console.log("Manifest: " + manifest.layers.length + " layer(s)");
+    } catch (e) {
+        console.error("Manifest update failed:", e.message);
+    }
+}
+
+/**
+ * Wait until a forecast step is published, polling from POLL_MIN backing off to POLL_MAX, but not past the deadline.
+ *
+ * @returns {Promise<boolean>} whether the step is published (true straight away if no provider can tell)
+ */
+function waitForStep(dateStr, run, forecastHour, deadline) {
+    var step = "f" + String(forecastHour).padStart(3, '0');
+    var canTell = PROVIDERS.some(function (provider) { return provider.isPublished; });
+    var poll = function (delay) {
+        return isRunPublished({ date: dateStr, run: run }, forecastHour).catch(function () {
+            return false;  // logged by isRunPublished; try again until the deadline
+        }).then(function (published) {
+            if (published || !canTell) {
+                return true;
+            }
+            if (Date.now() + delay > deadline) {
+                console.warn("Forecast step " + step + " not published by " + new Date(deadline).toISOString());
+                return false;
+            }
+            console.log("Forecast step " + step + " not published yet, checking again in " + (delay / 1000) + " s");
+            return new Promise(function (resolve) {
+                setTimeout(resolve, delay);
+            }).then(function () {
+                return poll(Math.min(delay * 2, POLL_MAX));
+            });
+        });
+    };
+    return poll(POLL_MIN);
+}
+
+/**
+ * Fetch the configured forecast steps of a run, one after another. NOAA publishes later steps progressively after
+ * the analysis, so each step is waited for (waitForStep) until FORECAST_WAIT after the analysis is expected. A step
+ * that is still missing, or fails, is logged and skipped rather than failing the whole run.
+ *
+ * @returns {Promise<Array<number>>} the forecast hours that were written successfully.
+ */
+function fetchForecastSteps(dateStr, run, forecastHours) {
+    var written = [];
+    var deadline = validTimeOf(dateStr, run, 0).getTime() + (PUBLISH_DELAY + FORECAST_WAIT) * 60 * 1000;
+    return forecastHours.reduce(function (chain, forecastHour) {
+        return chain.then(function () {
+            return waitForStep(dateStr, run, forecastHour, deadline);
+        }).then(function (published) {
+            if (!published) {
+                return;
+            }
+            var validTime = validTimeOf(dateStr, run, forecastHour);
+            console.log("Fetching forecast step f" + String(forecastHour).padStart(3, '0') +
+                " (valid " + validTime.toISOString() + ")");
+            return fetchOverlays(dateStr, run, forecastHour, [datedOutputPaths(validTime)]).then(function (files) {
+                updateWeatherManifest(files, dateStr, run, forecastHour, null);
+                written.push(forecastHour);
+            }).catch(function (error) {
+                console.error("Forecast step f" + String(forecastHour).padStart(3, '0') + " failed:", error.message);
+            });
+        });
+    }, Promise.resolve()).then(function () {
+        return written;
+    });
+}
+
+var updateMetrics = metrics.updateMetrics();
 
-    // Try each date in order
-    var tryDate = function (dateIndex) {
-        if (dateIndex >= datesToTry.length) {
-            var error = new Error("All dates and runs failed. Tried dates: " + datesToTry.join(", ") + " with runs: " + runsToTry.join(", ") + ". Data may not be available yet.");
+// Outcome of the latest fetch attempts, for getStatus.
+var serviceStatus = { lastAttempt: null, lastSuccess: null, date: null, run: null, refTime: null, lastError: null };
+
+// Emits "update" with {service: "weather", kind, date, run, refTime} whenever new data is published: kind "current"
+// once the run's analysis is in place as current, "forecast" once its forecast steps have been written.
+var events = new EventEmitter();
+
+function emitUpdate(kind, dateStr, run, extra) {
+    var update = { service: "weather", kind: kind, date: dateStr, run: run, refTime: validTimeOf(dateStr, run, 0).toISOString() };
+    Object.keys(extra || {}).forEach(function (k) { update[k] = extra[k]; });
+    events.emit("update", update);
+}
+
+/**
+ * Fetch and process current GFS data for all supported overlays (surface only), followed by the
+ * configured forecast steps of the same run.
+ * Tries the given runs ([{date, run}]), or else the runs listed by the first provider, most recent first, until one
+ * succeeds.
+ */
+function fetchCurrentGFSData(callback, runs) {
+    var runsToTry = runs || (PROVIDERS.length > 0 ? PROVIDERS[0].listRuns(new Date()) : []);
+    var runNames = runsToTry.map(function (r) { return r.date + " " + r.run; });
+    serviceStatus.lastAttempt = new Date();
+    var endTimer = updateMetrics.duration.startTimer({ service: "weather" });
+
+    console.log("Fetching GFS data");
+    console.log("Providers:", PROVIDERS.map(function (p) { return p.name; }).join(", "));
+    console.log("Will try runs:", runNames.join(", "));
+
+    // Try each run in order
+    var tryRun = function (runIndex) {
+        if (runIndex >= runsToTry.length) {
+            var error = PROVIDERS.length === 0 ?
+                new Error("No usable weather providers; check WEATHER_PROVIDERS and the providers' settings") :
+                new Error("All runs failed. Tried runs: " + runNames.join(", ") + ". Data may not be available yet.");
             console.error("Error fetching GFS data:", error.message);
+            serviceStatus.lastError = error.message;
+            updateMetrics.runs.inc({ service: "weather", result: "failure" });
+            endTimer({ result: "failure" });
             if (callback) callback(error);
             return;
         }
 
-        var dateStr = datesToTry[dateIndex];
-        console.log("Trying date: " + dateStr + " (" + (dateIndex + 1) + "/" + datesToTry.length + ")");
-
-        // Try each run in order for this date
-        var tryRun = function (runIndex) {
-            if (runIndex >= runsToTry.length) {
-                // All runs failed for this date, try next date
-                console.log("All runs failed for date " + dateStr + ", trying next date...");
-                tryDate(dateIndex + 1);
-                return;
+        var dateStr = runsToTry[runIndex].date;
+        var run = runsToTry[runIndex].run;
+        console.log("Trying date " + dateStr + ", run: " + run + " (" + (runIndex + 1) + "/" + runsToTry.length + ")");
+
+        // The analysis is written into a fresh generation directory (activated as "current" once every overlay
+        // has been written) and under its dated path, so stepping back from the first forecast step lands on it.
+        // If any overlay fails, try next run.
+        var generation = weatherGenerations.createGeneration(WEATHER_ROOT_DIR, dateStr + "-" + run);
+        var outputSets = [overlayOutputPaths(generation, "current"), datedOutputPaths(validTimeOf(dateStr, run, 0))];
+        fetchOverlays(dateStr, run, 0, outputSets).then(function (files) {
+            var atomic = weatherGenerations.activateGeneration(WEATHER_ROOT_DIR, generation);
+            return { files: files, atomic: atomic };
+        }).then(function (activated) {
+            publishRun(activated.files, activated.atomic);
+        }, function (error) {
+            console.error("Date " + dateStr + ", run " + run + " failed:", error.message);
+            if (weatherGenerations.activeGeneration(WEATHER_ROOT_DIR) !== generation) {
+                weatherGenerations.discardGeneration(generation);
             }
+            // Try next run
+            tryRun(runIndex + 1);
+        });
 
-            var run = runsToTry[runIndex];
-            console.log("Trying date " + dateStr + ", run: " + run + " (" + (runIndex + 1) + "/" + runsToTry.length + ")");
-
-            // Download & generate each overlay. If any fails, try next run.
-            // Do wind first to validate the run.
-            downloadConvertWrite(dateStr, run, patternsWind, outWind).then(function () {
-                // Download TMP(2m)+PRES(surface) once, use it for temp + derived air density.
-                var tmpGrib = path.join(__dirname, "temp_tmp_pres_" + process.pid + "_" + Date.now() + ".grib2");
-                return downloadGFSFile(dateStr, run, patternsTmp2mAndPresSfc, tmpGrib).then(function () {
-                    return convertGrib2ToJson(tmpGrib).then(function (records) {
-                        // Identify records
-                        var tempRec = findRecord(records, function (r) {
-                            var h = r && r.header;
-                            return h &&
-                                ((h.parameterCategoryName === "Temperature") || (h.parameterCategory === 0)) &&
-                                (h.surface1TypeName || "").toLowerCase().indexOf("above ground") >= 0 &&
-                                h.surface1Value === 2;
-                        });
-                        var presRec = findRecord(records, function (r) {
-                            var h = r && r.header;
-                            return h &&
-                                ((h.parameterCategoryName === "Mass") || (h.parameterCategory === 3)) &&
-                                h.parameterNumber === 0 &&
-                                (h.surface1TypeName || "").toLowerCase().indexOf("surface") >= 0;
+        // The run is live from here on: whatever fails now is logged and reported once, but never makes the
+        // service fall back to an older run.
+        function publishRun(files, atomic) {
+            var lastError = null;
+            function attempt(what, step) {
+                try {
+                    return step();
+                } catch (error) {
+                    console.error("Date " + dateStr + ", run " + run + ": " + what + " failed:", error.message);
+                    lastError = lastError || error.message;
+                    return null;
+                }
+            }
+            if (!atomic) {
+                attempt("discarding the copied generation", function () {
+                    weatherGenerations.discardGeneration(generation);
+                });
+            }
+            attempt("pruning generations", function () {
+                weatherGenerations.pruneGenerations(WEATHER_ROOT_DIR, KEEP_GENERATIONS);
+            });
+            attempt("updating the manifest", function () {
+                updateWeatherManifest(files, dateStr, run, 0, generation);
+            });
+            console.log("Successfully updated weather overlays (using date " + dateStr + ", run " + run + ")");
+            attempt("notifying listeners", function () {
+                emitUpdate("current", dateStr, run);
+            });
+            var forecast = FORECAST_HOURS.length === 0 ? Promise.resolve() :
+                fetchForecastSteps(dateStr, run, FORECAST_HOURS).then(function (written) {
+                    console.log("Forecast steps written: " + written.length + "/" + FORECAST_HOURS.length +
+                        " (date " + dateStr + ", run " + run + ")");
+                    if (written.length > 0) {
+                        attempt("notifying listeners", function () {
+                            emitUpdate("forecast", dateStr, run, { forecastHours: written });
                         });
-                        if (!tempRec || !presRec) {
-                            throw new Error("TMP/PRES download did not contain expected records");
-                        }
-                        // Write temp directly
-                        writeJsonAtomic(outTemp, [tempRec]);
-                        // Derive air density and write
-                        var rhoJson = deriveAirDensity(tempRec, presRec);
-                        writeJsonAtomic(outAD, rhoJson);
-                        // Generate MSLP overlay from surface pressure (PRMSL is complex-packed in GFS).
-                        var mslHeader = {};
-                        Object.keys(presRec.header || {}).forEach(function (k) { mslHeader[k] = presRec.header[k]; });
-                        mslHeader.parameterNumberName = "Mean Sea Level Pressure";
-                        writeJsonAtomic(outMSLP, [{ header: mslHeader, data: presRec.data }]);
-                    });
-                }).finally(function () {
-                    safeUnlink(tmpGrib);
+                    }
                 });
+            forecast.catch(function (error) {
+                console.error("Date " + dateStr + ", run " + run + ": forecast steps failed:", error.message);
+                lastError = lastError || error.message;
             }).then(function () {
-                return downloadConvertWrite(dateStr, run, patternsRH2m, outRH);
-            }).then(function () {
-                // PWAT is decodable from the 0.25° file (simple packing). Use it for TPW.
-                var file025 = "gfs.t" + run + ".pgrb2.0p25.f000";
-                return downloadConvertWriteWithFile(dateStr, run, patternsPWAT, outTPW, file025);
-            }).then(function () {
-                return downloadConvertWrite(dateStr, run, patternsTCWAT, outTCW);
-            }).then(function () {
-                console.log("Successfully updated weather overlays (using date " + dateStr + ", run " + run + ")");
-                if (callback) callback(null, outWind);
-            }).catch(function (error) {
-                console.error("Date " + dateStr + ", run " + run + " failed:", error.message);
-                // Try next run
-                tryRun(runIndex + 1);
+                serviceStatus.lastSuccess = new Date();
+                serviceStatus.date = dateStr;
+                serviceStatus.run = run;
+                serviceStatus.refTime = validTimeOf(dateStr, run, 0);
+                serviceStatus.lastError = lastError;
+                updateMetrics.runs.inc({ service: "weather", result: "success" });
+                endTimer({ result: "success" });
+                attempt("the update callback", function () {
+                    if (callback) callback(null, currentOutputPaths().wind, { date: dateStr, run: run, refTime: validTimeOf(dateStr, run, 0) });
+                });
             });
-        };
+        }
+    };
 
+    startReplayServer(function (error) {
+        if (error) {
+            console.error("Error fetching GFS data:", error.message);
+            if (callback) callback(error);
+            return;
+        }
         tryRun(0);
+    });
+}
+
+var replayServer = null;
+
+/**
+ * Start the in-process fake mirror for GFS_REPLAY_DIR (once), then invoke callback. Without replay (or with an
+ * external fake mirror) the callback is invoked straight away.
+ */
+function startReplayServer(callback) {
+    if (!REPLAY_SERVER || replayServer) {
+        return callback(null);
+    }
+    replayServer = fakeNomads.createServer(REPLAY_DIR);
+    replayServer.on("error", function (err) {
+        replayServer = null;
+        callback(new Error("Replay server failed to start: " + err.message));
+    });
+    replayServer.listen(REPLAY_PORT, "127.0.0.1", function () {
+        replayServer.unref();
+        console.log("Replaying fixtures from " + REPLAY_DIR + " via " + GFS_DATA_BASE_URL);
+        callback(null);
+    });
+}
+
+/**
+ * Record the latest available run (analysis plus the configured forecast steps) from GFS_DATA_BASE_URL into a
+ * fixtures directory that GFS_REPLAY_DIR can replay later. Only the records the service uses are kept.
+ */
+function recordFixtures(fixturesDir, callback) {
+    var runsToTry = PROVIDERS.length > 0 ? PROVIDERS[0].listRuns(new Date()) : [];
+    var patterns = overlayPatterns();
+
+    function record(dateStr, run, forecastHour) {
+        var file = weatherProviders.gfsFilePath(dateStr, run, "1p00", forecastHour);
+        var sourceUrl = [GFS_DATA_BASE_URL, GFS_DATA_PREFIX, file].filter(function (x) { return x; }).join("/");
+        return fakeNomads.recordFile(sourceUrl, patterns, path.join(fixturesDir, file), {
+            concurrency: DOWNLOAD_CONCURRENCY, retries: DOWNLOAD_RETRIES, timeout: DOWNLOAD_TIMEOUT
+        });
+    }
+
+    var tryRun = function (runIndex) {
+        if (runIndex >= runsToTry.length) {
+            return callback(new Error("No run could be recorded"));
+        }
+        var dateStr = runsToTry[runIndex].date;
+        var run = runsToTry[runIndex].run;
+        console.log("Recording date " + dateStr + ", run " + run + " into " + fixturesDir);
+        record(dateStr, run, 0).then(function () {
+            return FORECAST_HOURS.reduce(function (chain, forecastHour) {
+                return chain.then(function () {
+                    return record(dateStr, run, forecastHour).catch(function (error) {
+                        console.error("Recording f" + String(forecastHour).padStart(3, '0') + " failed:", error.message);
+                    });
+                });
+            }, Promise.resolve());
+        }).then(function () {
+            callback(null, { date: dateStr, run: run });
+        }).catch(function (error) {
+            console.error("Date " + dateStr + ", run " + run + " failed:", error.message);
+            tryRun(runIndex + 1);
+        });
     };
 
-    tryDate(0);
+    tryRun(0);
+}
+
+/**
+ * Apply the archive retention policy to the dated layers.
+ *
+ * @param {Date?} analysisTime - refTime of the latest successful run. When archiving is disabled, dated layers
+ *        before it are removed; without it nothing is removed in that mode.
+ */
+function pruneWeatherArchive(analysisTime) {
+    var policy = ARCHIVE_ENABLED ?
+        { fullDays: ARCHIVE_FULL_DAYS, dailyDays: ARCHIVE_DAILY_DAYS } :
+        { fullDays: null, keepAfter: analysisTime || new Date(0) };
+    var result = weatherArchive.pruneArchive(WEATHER_ROOT_DIR, policy);
+    console.log("Archive: pruned " + result.removed + " layer file(s), kept " + result.kept);
+    updateWeatherManifest([]);
+    return result;
 }
 
 /**
@@ -550,53 +943,130 @@ function startWeatherService() {
     console.log("============================================================");
     console.log("Weather Data Service Starting");
     console.log("Data directory: " + WEATHER_DATA_DIR);
-    console.log("Update interval: " + (UPDATE_INTERVAL / 1000 / 60 / 60) + " hours");
+    console.log("Schedule: poll " + PUBLISH_DELAY + " minutes after each cycle, every " + (POLL_MIN / 1000) + "-" +
+        (POLL_MAX / 1000) + " s until published");
     console.log("Retry interval: " + (RETRY_INTERVAL / 1000 / 60) + " minutes");
+    console.log("Forecast hours: " + (FORECAST_HOURS.length > 0 ? FORECAST_HOURS.join(", ") : "none"));
+    console.log("Isobaric levels: " + (ISOBARIC_LEVELS.length > 0 ? ISOBARIC_LEVELS.join(", ") + " hPa" : "none"));
+    console.log("Providers: " + PROVIDERS.map(function (p) { return p.name; }).join(", "));
+    console.log("Archive: " + (ARCHIVE_ENABLED ?
+        "enabled (full " + ARCHIVE_FULL_DAYS + " days, daily " + (ARCHIVE_DAILY_DAYS > 0 ? ARCHIVE_DAILY_DAYS + " days" : "forever") + ")" :
+        "disabled (latest run only)"));
     console.log("============================================================");
 
-    var inProgress = false;
-    var retryTimeout = null;
-
-    function runOnce(label) {
-        if (inProgress) {
-            console.log("Weather Data Service: previous run still in progress, skipping (" + label + ")");
-            return;
-        }
-        inProgress = true;
-        fetchCurrentGFSData(function (error) {
-            inProgress = false;
-            if (error) {
-                console.error(label + " fetch failed:", error.message);
-                if (!retryTimeout) {
-                    retryTimeout = setTimeout(function () {
-                        retryTimeout = null;
-                        runOnce("Retry");
-                    }, RETRY_INTERVAL);
+    scheduler = runScheduler.createScheduler({
+        cycles: PROVIDERS.length > 0 && PROVIDERS[0].cycles ? PROVIDERS[0].cycles : [0, 6, 12, 18],
+        publishDelay: PUBLISH_DELAY * 60 * 1000,
+        minPoll: POLL_MIN,
+        maxPoll: POLL_MAX,
+        retryInterval: RETRY_INTERVAL,
+        isPublished: isRunPublished,
+        onRun: function (runs, done) {
+            fetchCurrentGFSData(function (error, outputPath, info) {
+                if (error) {
+                    console.error((runs ? "Scheduled" : "Initial") + " fetch failed:", error.message);
+                    return done(error);
                 }
-                return;
-            }
-            if (retryTimeout) {
-                clearTimeout(retryTimeout);
-                retryTimeout = null;
-            }
+                try {
+                    pruneWeatherArchive(info && info.refTime);
+                } catch (e) {
+                    console.error("Archive pruning failed:", e.message);
+                }
+                done(null, info);
+            }, runs);
+        }
+    });
+    scheduler.start();
+}
+
+/**
+ * @param {Object} run - {date: "YYYYMMDD", run: "HHz"}
+ * @param {number?} forecastHour - the step to check (default 0: the analysis, which is all that is needed to start
+ *        fetching; later steps are waited for by fetchForecastSteps)
+ * @returns {Promise<boolean>} whether the step is published, according to the first provider that can tell
+ */
+function isRunPublished(run, forecastHour) {
+    forecastHour = forecastHour || 0;
+    var providers = PROVIDERS.filter(function (provider) { return provider.isPublished; });
+    var lastError = null;
+    return providers.reduce(function (previous, provider) {
+        return previous.then(function (published) {
+            return published || provider.isPublished(run.date, run.run, forecastHour).catch(function (err) {
+                console.warn("Provider " + provider.name + ": " + err.message);
+                lastError = err;
+                return false;
+            });
         });
-    }
+    }, Promise.resolve(false)).then(function (published) {
+        if (!published && lastError && providers.length > 0) {
+            throw lastError;
+        }
+        return published;
+    });
+}
+
+var scheduler = null;
 
-    // Fetch immediately on start
-    runOnce("Initial");
+/**
+ * @returns {Object} the scheduler's status (see lib/run-scheduler.js), including the last run fetched and the next
+ *          expected run, or null if the service has not been started
+ */
+function getSchedule() {
+    return scheduler ? scheduler.status() : null;
+}
 
-    // Schedule periodic updates
-    setInterval(function () {
-        runOnce("Scheduled");
-    }, UPDATE_INTERVAL);
+/**
+ * @returns {Object} {enabled, lastAttempt, lastSuccess, date, run, refTime (of the run in use), lastError, schedule}
+ */
+function getStatus() {
+    var schedule = getSchedule();
+    return {
+        enabled: ENABLED,
+        lastAttempt: serviceStatus.lastAttempt,
+        lastSuccess: serviceStatus.lastSuccess,
+        date: serviceStatus.date,
+        run: serviceStatus.run,
+        refTime: serviceStatus.refTime,
+        lastError: serviceStatus.lastError,
+        nextRun: schedule && schedule.nextRun,
+        schedule: schedule
+    };
 }
 
 // Export for use as module or run directly
+// Run with --prune to apply the archive retention policy once and exit, --once to fetch once and exit (non-zero
+// on failure), or --record [dir] to record the latest run as replay fixtures (default test-data/recorded).
 if (require.main === module) {
-    startWeatherService();
+    var recordIndex = process.argv.indexOf("--record");
+    if (process.argv.indexOf("--prune") >= 0) {
+        pruneWeatherArchive(null);
+    } else if (recordIndex >= 0) {
+        var fixturesDir = process.argv[recordIndex + 1] && process.argv[recordIndex + 1].indexOf("--") !== 0 ?
+            path.resolve(process.argv[recordIndex + 1]) :
+            path.join(__dirname, "test-data", "recorded");
+        recordFixtures(fixturesDir, function (error) {
+            if (error) {
+                console.error("Recording failed:", error.message);
+            }
+            process.exitCode = error ? 1 : 0;
+        });
+    } else if (process.argv.indexOf("--once") >= 0) {
+        fetchCurrentGFSData(function (error, outputPath, info) {
+            if (!error) {
+                pruneWeatherArchive(info.refTime);
+            }
+            process.exitCode = error ? 1 : 0;
+        });
+    } else {
+        startWeatherService();
+    }
 } else {
     module.exports = {
+        events: events,
         fetchCurrentGFSData: fetchCurrentGFSData,
+        getSchedule: getSchedule,
+        getStatus: getStatus,
+        pruneWeatherArchive: pruneWeatherArchive,
         startWeatherService: startWeatherService
     };
 }